@@ -0,0 +1,81 @@
+const rateLimit = require('express-rate-limit');
+const { verifyApiKey, touchApiKey } = require('../services/apiKeys');
+
+const API_KEY_MESSAGES = {
+  invalid: 'Invalid API key',
+  revoked: 'API key revoked',
+  expired: 'API key expired'
+};
+
+// Intentos fallidos por IP (clave ausente, inválida o sin scope): frena el brute force
+// antes de consultar la base de datos. Solo cuentan las respuestas 401/403.
+const apiKeyAttemptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many invalid API key attempts, try again later' }
+});
+
+// Límite por clave (rateLimitPerMinute de cada una), no por IP
+const apiKeyLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  limit: req => req.apiKey.rateLimitPerMinute,
+  keyGenerator: req => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Rate limit exceeded for this API key' }
+});
+
+/**
+ * Exige una clave de servicio (cabecera X-API-Key) con el scope indicado
+ * @param {string} scope - p. ej. 'recursos:search'
+ * @returns {Function[]} middlewares: límite de intentos por IP + autenticación + rate limit por clave
+ */
+const apiKeyMiddleware = (scope) => [
+  apiKeyAttemptLimiter,
+  async (req, res, next) => {
+    try {
+      const key = req.header('X-API-Key');
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          message: 'API key required (X-API-Key header)'
+        });
+      }
+
+      const { apiKey, reason } = await verifyApiKey(key);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: API_KEY_MESSAGES[reason]
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `API key lacks scope ${scope}`
+        });
+      }
+
+      req.apiKey = apiKey;
+      touchApiKey(apiKey, req.ip).catch(error => console.error('Touch API key error:', error.message));
+
+      next();
+    } catch (error) {
+      console.error('API key middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying API key'
+      });
+    }
+  },
+  apiKeyLimiter
+];
+
+module.exports = {
+  apiKeyMiddleware
+};
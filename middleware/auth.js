@@ -1,49 +1,65 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 
-const authMiddleware = async (req, res, next) => {
+/**
+ * Verify a JWT and load its active user (shared by the HTTP middleware and the WebSocket channel)
+ * @param {string} token
+ * @returns {Promise<{user: User, decoded: Object}>}
+ * @throws {Error} code UNAUTHORIZED: error.message is the 401 message for the client, error.reason the log detail
+ */
+const authenticateToken = async (token) => {
+  const fail = (message, reason = message) => {
+    const error = new Error(message);
+    error.code = 'UNAUTHORIZED';
+    error.reason = reason;
+    return error;
+  };
+
+  if (!token) {
+    throw fail('No token provided');
+  }
+
+  // Verify token
+  let decoded;
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
+  } catch (jwtError) {
+    throw fail(
+      jwtError.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+      `JWT verification error - ${jwtError.message}`
+    );
+  }
 
-    if (!token) {
-      console.log('Auth failed: No token provided');
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-    }
+  // Find user
+  const user = await User.findByPk(decoded.id, {
+    attributes: { exclude: ['password'] }
+  });
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
-    } catch (jwtError) {
-      console.log('Auth failed: JWT verification error -', jwtError.message);
-      return res.status(401).json({
-        success: false,
-        message: jwtError.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
-      });
-    }
+  if (!user) {
+    throw fail('User not found', `User not found for id ${decoded.id}`);
+  }
 
-    // Find user
-    const user = await User.findByPk(decoded.id, {
-      attributes: { exclude: ['password'] }
-    });
+  if (!user.isActive) {
+    throw fail('User account is deactivated', `User is not active ${user.email}`);
+  }
 
-    if (!user) {
-      console.log('Auth failed: User not found for id', decoded.id);
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  return { user, decoded };
+};
 
-    if (!user.isActive) {
-      console.log('Auth failed: User is not active', user.email);
+const authMiddleware = async (req, res, next) => {
+  try {
+    // Get token from header
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    let user;
+    try {
+      ({ user } = await authenticateToken(token));
+    } catch (authError) {
+      if (authError.code !== 'UNAUTHORIZED') throw authError;
+      console.log('Auth failed:', authError.reason);
       return res.status(401).json({
         success: false,
-        message: 'User account is deactivated'
+        message: authError.message
       });
     }
 
@@ -99,6 +115,7 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticateToken,
   authMiddleware,
   adminMiddleware,
   optionalAuth
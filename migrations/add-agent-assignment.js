@@ -0,0 +1,52 @@
+/**
+ * Migration: Agent assignment and SLA timers
+ *
+ * Adds the queue, assignee and SLA columns to Conversations and Users.agentQueues.
+ * The ConversationAssignments history table is created by sequelize.sync() on startup.
+ * Usage: node migrations/add-agent-assignment.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add agent assignment...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Conversations"
+        ADD COLUMN IF NOT EXISTS "queue" VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS "queuedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "assignedToUserId" UUID REFERENCES "Users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+        ADD COLUMN IF NOT EXISTS "assignedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "firstResponseDueAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "firstResponseAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "resolutionDueAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "slaResolvedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "firstResponseBreached" BOOLEAN DEFAULT false,
+        ADD COLUMN IF NOT EXISTS "resolutionBreached" BOOLEAN DEFAULT false;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "conversations_assigned_to_user_id" ON "Conversations" ("assignedToUserId");
+    `);
+    console.log('✅ Updated Conversations (queue, assignee, SLA timers)');
+
+    await sequelize.query(`
+      ALTER TABLE "Users"
+        ADD COLUMN IF NOT EXISTS "agentQueues" VARCHAR(255)[] DEFAULT ARRAY[]::VARCHAR(255)[];
+    `);
+    console.log('✅ Updated Users (agentQueues)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,34 @@
+/**
+ * Migration: Service API keys
+ *
+ * Adds SearchLogs.apiKeyId (sync() creates the ApiKeys table itself but does not
+ * add columns to existing tables).
+ * Usage: node migrations/add-api-keys.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add service API keys...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "SearchLogs"
+        ADD COLUMN IF NOT EXISTS "apiKeyId" UUID;
+    `);
+    console.log('✅ Updated SearchLogs (apiKeyId)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,53 @@
+/**
+ * Migration: Article URL ingestion and re-sync
+ *
+ * Adds the fetch tracking columns to Recursos and the 'sync' origin to
+ * RecursoVersions (sync() does not alter existing tables or ENUMs).
+ * Usage: node migrations/add-article-sync.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add article sync...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Recursos"
+        ADD COLUMN IF NOT EXISTS "autoSync" BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS "lastFetchedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "lastFetchStatus" INTEGER,
+        ADD COLUMN IF NOT EXISTS "lastFetchError" TEXT;
+    `);
+    console.log('✅ Updated Recursos (autoSync, lastFetchedAt, lastFetchStatus, lastFetchError)');
+
+    // PostgreSQL requires ALTER TYPE to add new enum values
+    await sequelize.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_enum
+          WHERE enumlabel = 'sync'
+          AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'enum_RecursoVersions_origen')
+        ) THEN
+          ALTER TYPE "enum_RecursoVersions_origen" ADD VALUE 'sync';
+        END IF;
+      END
+      $$;
+    `);
+    console.log('✅ Updated RecursoVersions origen ENUM');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,35 @@
+/**
+ * Migration: Full-text index on Chunks for hybrid search
+ *
+ * Creates the GIN index used by the keyword and hybrid modes of
+ * searchSimilarChunks (Spanish tsvector over Chunks.contenido).
+ * Usage: node migrations/add-chunk-fulltext-index.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add chunk full-text index...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    // La expresión debe coincidir con CHUNK_TSVECTOR de services/embeddingService.js
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "chunks_contenido_fts_idx"
+      ON "Chunks" USING GIN (to_tsvector('spanish', contenido));
+    `);
+    console.log('✅ Created chunks_contenido_fts_idx');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,35 @@
+/**
+ * Migration: Video transcript timestamps
+ *
+ * Adds Chunks.startSeconds / endSeconds, filled for video resources chunked
+ * from SRT/WebVTT transcripts so search results can link to the exact minute.
+ * Usage: node migrations/add-chunk-timestamps.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add transcript timestamps to chunks...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Chunks"
+        ADD COLUMN IF NOT EXISTS "startSeconds" INTEGER,
+        ADD COLUMN IF NOT EXISTS "endSeconds" INTEGER;
+    `);
+    console.log('✅ Updated Chunks (startSeconds, endSeconds)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,34 @@
+/**
+ * Migration: Truncated chunk flag
+ *
+ * Adds Chunks.truncated, set when a chunk had more tokens than the embedding
+ * model accepts and was cut before embedding.
+ * Usage: node migrations/add-chunk-truncated.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add truncated flag to chunks...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Chunks"
+        ADD COLUMN IF NOT EXISTS "truncated" BOOLEAN NOT NULL DEFAULT false;
+    `);
+    console.log('✅ Updated Chunks (truncated)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
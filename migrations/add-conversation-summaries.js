@@ -0,0 +1,36 @@
+/**
+ * Migration: Conversation summaries
+ *
+ * Adds the columns used by the background summarizer to Conversations
+ * (the summary column itself already exists).
+ * Usage: node migrations/add-conversation-summaries.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add conversation summaries...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Conversations"
+        ADD COLUMN IF NOT EXISTS "summaryUpToMessageId" UUID,
+        ADD COLUMN IF NOT EXISTS "summarizedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "summaryRequestedAt" TIMESTAMP WITH TIME ZONE;
+    `);
+    console.log('✅ Updated Conversations (summaryUpToMessageId, summarizedAt, summaryRequestedAt)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
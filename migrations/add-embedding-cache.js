@@ -0,0 +1,35 @@
+/**
+ * Migration: Embedding cache counters
+ *
+ * Adds the cache hit/miss counters to IngestionJobs (sync() creates the
+ * EmbeddingCache table itself but does not add columns to existing tables).
+ * Usage: node migrations/add-embedding-cache.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add embedding cache counters...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "IngestionJobs"
+        ADD COLUMN IF NOT EXISTS "cacheHits" INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "cacheMisses" INTEGER DEFAULT 0;
+    `);
+    console.log('✅ Updated IngestionJobs (cacheHits, cacheMisses)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
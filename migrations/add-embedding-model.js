@@ -0,0 +1,53 @@
+/**
+ * Migration: Embedding model per chunk
+ *
+ * Adds the model/dimension of each chunk vector, the columns used to build a
+ * re-embed alongside the current vectors, and drops the fixed dimension of
+ * Chunks.embedding so models with other dimensions fit. Existing vectors are
+ * recorded as text-embedding-3-small (the only model used until now).
+ * Usage: node migrations/add-embedding-model.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add embedding model...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Chunks"
+        ADD COLUMN IF NOT EXISTS "embeddingModel" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "embeddingDimensions" INTEGER,
+        ADD COLUMN IF NOT EXISTS "embeddingNext" vector,
+        ADD COLUMN IF NOT EXISTS "embeddingNextModel" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "embeddingNextDimensions" INTEGER;
+    `);
+    console.log('✅ Updated Chunks (embeddingModel, embeddingDimensions, embeddingNext*)');
+
+    await sequelize.query(`
+      ALTER TABLE "Chunks" ALTER COLUMN embedding TYPE vector;
+    `);
+    console.log('✅ Chunks.embedding accepts any dimension');
+
+    const [, result] = await sequelize.query(`
+      UPDATE "Chunks"
+      SET "embeddingModel" = 'text-embedding-3-small',
+          "embeddingDimensions" = vector_dims(embedding)
+      WHERE embedding IS NOT NULL AND "embeddingModel" IS NULL;
+    `);
+    console.log(`✅ Backfilled ${result.rowCount} chunks as text-embedding-3-small`);
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,64 @@
+/**
+ * Migration: Human handoff
+ *
+ * Adds Conversations.mode / handoffStartedAt and the 'system' sender used for
+ * handoff events in the message timeline.
+ * Usage: node migrations/add-human-handoff.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add human handoff...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_Conversations_mode') THEN
+          CREATE TYPE "enum_Conversations_mode" AS ENUM ('bot', 'human');
+        END IF;
+      END
+      $$;
+    `);
+
+    await sequelize.query(`
+      ALTER TABLE "Conversations"
+        ADD COLUMN IF NOT EXISTS "mode" "enum_Conversations_mode" DEFAULT 'bot',
+        ADD COLUMN IF NOT EXISTS "handoffStartedAt" TIMESTAMP WITH TIME ZONE;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "conversations_mode" ON "Conversations" ("mode");
+    `);
+    console.log('✅ Updated Conversations (mode, handoffStartedAt)');
+
+    // PostgreSQL requires ALTER TYPE to add new enum values
+    await sequelize.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_enum
+          WHERE enumlabel = 'system'
+          AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'enum_Messages_sender')
+        ) THEN
+          ALTER TYPE "enum_Messages_sender" ADD VALUE 'system';
+        END IF;
+      END
+      $$;
+    `);
+    console.log('✅ Updated Messages sender ENUM');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,38 @@
+/**
+ * Migration: Knowledge base import/export
+ *
+ * Adds Recursos.externalKey, the stable key imports upsert by (sync() creates
+ * the ImportJobs table itself but does not add columns to existing tables).
+ * Usage: node migrations/add-knowledge-bundles.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add knowledge bundle keys...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Recursos"
+        ADD COLUMN IF NOT EXISTS "externalKey" VARCHAR(255);
+    `);
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "recursos_external_key"
+        ON "Recursos" ("externalKey");
+    `);
+    console.log('✅ Updated Recursos (externalKey + unique index)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+/**
+ * Migration: Message revisions
+ *
+ * Adds Messages.replyToMessageId / revision / isActive so bot answers can be
+ * regenerated (previous answers kept as alternatives) and user messages edited.
+ * Usage: node migrations/add-message-revisions.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add message revisions...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Messages"
+        ADD COLUMN IF NOT EXISTS "replyToMessageId" UUID,
+        ADD COLUMN IF NOT EXISTS "revision" INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS "isActive" BOOLEAN DEFAULT true;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "messages_reply_to_message_id" ON "Messages" ("replyToMessageId");
+    `);
+    console.log('✅ Updated Messages (replyToMessageId, revision, isActive)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+/**
+ * Migration: Message source citations
+ *
+ * Adds Messages.sources (knowledge base citations of bot answers) and the GIN
+ * index used to list the messages that cited a resource.
+ * Usage: node migrations/add-message-sources.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add message sources...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Messages"
+        ADD COLUMN IF NOT EXISTS "sources" JSONB DEFAULT '[]'::jsonb;
+    `);
+    console.log('✅ Updated Messages (sources)');
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "messages_sources" ON "Messages" USING gin ("sources");
+    `);
+    console.log('✅ Created index messages_sources');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,57 @@
+/**
+ * Migration: PDF upload support
+ *
+ * Adds page range columns to Chunks, the processing error to Recursos and
+ * the original file to RecursoVersions (sync() does not add columns to
+ * existing tables).
+ * Usage: node migrations/add-pdf-pages.js
+ */
+
+require('dotenv').config();
+const sequelize = require('../config/database');
+
+async function migrate() {
+  try {
+    console.log('🔄 Starting migration: Add PDF pages...');
+
+    // Connect to database
+    await sequelize.authenticate();
+    console.log('✅ Database connected');
+
+    await sequelize.query(`
+      ALTER TABLE "Chunks"
+        ADD COLUMN IF NOT EXISTS "pageStart" INTEGER,
+        ADD COLUMN IF NOT EXISTS "pageEnd" INTEGER;
+    `);
+    console.log('✅ Updated Chunks (pageStart, pageEnd)');
+
+    await sequelize.query(`
+      ALTER TABLE "Recursos"
+        ADD COLUMN IF NOT EXISTS "processingError" TEXT;
+    `);
+    console.log('✅ Updated Recursos (processingError)');
+
+    // RecursoVersions puede no existir todavía si el servidor no ha arrancado con la nueva versión
+    await sequelize.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'RecursoVersions') THEN
+          ALTER TABLE "RecursoVersions"
+            ADD COLUMN IF NOT EXISTS "fileData" BYTEA,
+            ADD COLUMN IF NOT EXISTS "fileName" VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS "fileMimeType" VARCHAR(100);
+        END IF;
+      END
+      $$;
+    `);
+    console.log('✅ Updated RecursoVersions (fileData, fileName, fileMimeType)');
+
+    console.log('🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
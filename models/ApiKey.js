@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Quién la usa, p. ej. "n8n producción"'
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'Primeros caracteres de la clave, para reconocerla en el panel'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 de la clave; la clave en claro solo se muestra al crearla'
+  },
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: ['recursos:search']
+  },
+  rateLimitPerMinute: {
+    type: DataTypes.INTEGER,
+    defaultValue: 60
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = ApiKey;
@@ -29,9 +29,53 @@ const Chunk = sequelize.define('Chunk', {
   tokens: {
     type: DataTypes.INTEGER,
     allowNull: true,
-    comment: 'Número aproximado de tokens en este chunk'
+    comment: 'Número de tokens del chunk (tokenizador cl100k_base)'
+  },
+  truncated: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'El texto superaba el máximo del modelo y se recortó antes de embeberlo'
+  },
+  pageStart: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Primera página del PDF de la que sale el chunk'
+  },
+  pageEnd: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Última página del PDF de la que sale el chunk'
+  },
+  startSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Segundo del vídeo en el que empieza el chunk (transcripciones SRT/VTT)'
+  },
+  endSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Segundo del vídeo en el que termina el chunk'
+  },
+  // embedding y embeddingNext se manejan con SQL directo (tipo vector de pgvector)
+  embeddingModel: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Modelo que generó embedding; solo se compara con consultas del mismo modelo'
+  },
+  embeddingDimensions: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  embeddingNextModel: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Modelo de embeddingNext (re-embed en curso, aún no conmutado)'
+  },
+  embeddingNextDimensions: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   },
-  // embedding se maneja con SQL directo (tipo vector de pgvector)
   embeddingStatus: {
     type: DataTypes.ENUM('pending', 'processing', 'completed', 'error'),
     defaultValue: 'pending'
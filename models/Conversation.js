@@ -28,10 +28,75 @@ const Conversation = sequelize.define('Conversation', {
     type: DataTypes.ENUM('active', 'resolved', 'pending', 'escalated'),
     defaultValue: 'active'
   },
+  mode: {
+    type: DataTypes.ENUM('bot', 'human'),
+    defaultValue: 'bot',
+    comment: 'human: el bot está en pausa y responde un agente (handoff)'
+  },
+  handoffStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  queue: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Cola de escalado (categoría) mientras la atiende un agente'
+  },
+  queuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  assignedToUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  assignedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  firstResponseDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  firstResponseAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolutionDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  slaResolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fin del escalado (resuelta o devuelta al bot)'
+  },
+  firstResponseBreached: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  resolutionBreached: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   summary: {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  summaryUpToMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Último mensaje incluido en summary'
+  },
+  summarizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  summaryRequestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Pendiente de resumir en segundo plano'
+  },
   metadata: {
     type: DataTypes.JSONB,
     defaultValue: {
@@ -86,6 +151,12 @@ const Conversation = sequelize.define('Conversation', {
     {
       fields: ['category']
     },
+    {
+      fields: ['mode']
+    },
+    {
+      fields: ['assignedToUserId']
+    },
     {
       fields: ['createdAt']
     }
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Historial de asignaciones de una conversación escalada
+const ConversationAssignment = sequelize.define('ConversationAssignment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('auto', 'claimed', 'assigned', 'unassigned'),
+    allowNull: false
+  },
+  queue: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  fromUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  toUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  byUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Admin que hizo el cambio (null si fue automático)'
+  },
+  strategy: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'round-robin o least-loaded en asignaciones automáticas'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['conversationId'] },
+    { fields: ['toUserId', 'createdAt'] }
+  ]
+});
+
+module.exports = ConversationAssignment;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EmbeddingCache = sequelize.define('EmbeddingCache', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 del texto normalizado del chunk'
+  },
+  model: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  dimensions: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  embedding: {
+    type: DataTypes.ARRAY(DataTypes.REAL),
+    allowNull: false,
+    comment: 'Se copia a Chunks.embedding con ::vector'
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'EmbeddingCache',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['contentHash', 'model'] }
+  ]
+});
+
+module.exports = EmbeddingCache;
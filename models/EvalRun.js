@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EvalRun = sequelize.define('EvalRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  evalSetId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'EvalSets',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    defaultValue: 'running'
+  },
+  label: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Etiqueta libre (p. ej. "antes del reindex")'
+  },
+  mode: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  k: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  config: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Configuración de búsqueda y chunking en el momento de la ejecución'
+  },
+  metrics: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: '{ recallAtK, mrr, hitRate, questions }'
+  },
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Resultado por pregunta: rank del primer acierto, recall y fallos'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'EvalRuns',
+  timestamps: true,
+  indexes: [
+    { fields: ['evalSetId', 'createdAt'] }
+  ]
+});
+
+module.exports = EvalRun;
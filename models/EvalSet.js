@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EvalSet = sequelize.define('EvalSet', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  questions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ question, expected: [{ recursoId, chunkIndex? }] }]; sin chunkIndex vale cualquier chunk del recurso'
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'EvalSets',
+  timestamps: true
+});
+
+module.exports = EvalSet;
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ImportJob = sequelize.define('ImportJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    defaultValue: 'queued'
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  format: {
+    type: DataTypes.ENUM('jsonl', 'zip'),
+    allowNull: false
+  },
+  reuseEmbeddings: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Sembrar EmbeddingCache con los vectores exportados del mismo modelo'
+  },
+  totalRecords: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  processedRecords: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Registros ya importados; al reanudar se sigue desde el siguiente'
+  },
+  created: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  updated: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  skipped: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Registros sin cambios respecto al recurso existente'
+  },
+  failed: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  embeddingsReused: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  errors: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: '[{ line, externalKey, error }] de los registros que fallaron'
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  heartbeatAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'ImportJobs',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = ImportJob;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Registros de un bundle de importación, ya leídos al subirlo: el worker pide cada
+// lote por posición sin volver a cargar ni parsear el fichero. Se borran al terminar.
+const ImportRecord = sequelize.define('ImportRecord', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  importJobId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Orden en el bundle (0..totalRecords-1); processedRecords apunta aquí'
+  },
+  line: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Línea del JSONL, para los errores'
+  },
+  record: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Registro sin file.data (null si la línea no era JSON válido)'
+  },
+  fileData: {
+    type: DataTypes.BLOB,
+    allowNull: true,
+    comment: 'Fichero original del registro (PDF, SRT/VTT)'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error de lectura de la línea'
+  }
+}, {
+  tableName: 'ImportRecords',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['importJobId', 'position']
+    }
+  ]
+});
+
+module.exports = ImportRecord;
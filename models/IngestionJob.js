@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const IngestionJob = sequelize.define('IngestionJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  recursoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Recursos',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'queued'
+  },
+  sourceText: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Texto completo a trocear (el Recurso solo guarda un preview)'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'No se reclama antes de esta fecha (backoff entre reintentos)'
+  },
+  lastChunkIndex: {
+    type: DataTypes.INTEGER,
+    defaultValue: -1,
+    comment: 'Último chunkIndex completado; al reanudar se sigue desde el siguiente'
+  },
+  totalChunks: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  cacheHits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Chunks cuyo embedding salió de EmbeddingCache'
+  },
+  cacheMisses: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Chunks que necesitaron llamar al proveedor de embeddings'
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Worker que tiene reclamado el job (hostname:pid)'
+  },
+  heartbeatAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'IngestionJobs',
+  timestamps: true,
+  indexes: [
+    { fields: ['recursoId'] },
+    { fields: ['status', 'runAt'] }
+  ]
+});
+
+module.exports = IngestionJob;
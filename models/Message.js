@@ -16,7 +16,7 @@ const Message = sequelize.define('Message', {
     }
   },
   sender: {
-    type: DataTypes.ENUM('user', 'bot', 'admin'),
+    type: DataTypes.ENUM('user', 'bot', 'admin', 'system'),  // system: eventos (inicio/fin de handoff)
     allowNull: false
   },
   content: {
@@ -44,10 +44,30 @@ const Message = sequelize.define('Message', {
       model: null
     }
   },
+  sources: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Citas de la respuesta del bot: [{ recursoId, chunkId, titulo, similarity, url, pageStart, startSeconds... }]'
+  },
   isRead: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  replyToMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Mensaje del usuario al que responde (respuestas del bot)'
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    comment: 'Número de respuesta para el mismo mensaje del usuario (sube al regenerar)'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Revisión que se muestra; las respuestas sustituidas al regenerar quedan como alternativas'
+  },
   editedAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -68,6 +88,14 @@ const Message = sequelize.define('Message', {
     },
     {
       fields: ['createdAt']
+    },
+    {
+      fields: ['replyToMessageId']
+    },
+    {
+      // Mensajes que citan un recurso: sources @> '[{"recursoId": ...}]'
+      using: 'gin',
+      fields: ['sources']
     }
   ]
 });
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Eventos del canal en tiempo real. El id es creciente para que un cliente que se
+// reconecta pida los posteriores al último que vio.
+const RealtimeEvent = sequelize.define('RealtimeEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Dueño de la conversación (recibe sus eventos sin suscribirse)'
+  },
+  type: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['conversationId', 'id']
+    },
+    {
+      fields: ['userId', 'id']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+module.exports = RealtimeEvent;
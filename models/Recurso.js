@@ -32,6 +32,11 @@ const Recurso = sequelize.define('Recurso', {
     type: DataTypes.ENUM('pending', 'processing', 'completed', 'error'),
     defaultValue: 'pending'
   },
+  processingError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Motivo del último fallo de extracción/ingesta (PDF cifrado, vacío...)'
+  },
   categoria: {
     type: DataTypes.ENUM('comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'),
     defaultValue: 'general'
@@ -39,6 +44,32 @@ const Recurso = sequelize.define('Recurso', {
   activo: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  externalKey: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    comment: 'Clave estable entre entornos para import/export (ver services/knowledgeBundle.js)'
+  },
+  // Artículos importados desde url (ver services/articleSync.js)
+  autoSync: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Volver a descargar la url periódicamente y re-trocear si cambia'
+  },
+  lastFetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastFetchStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Status HTTP del último fetch (null si no hubo respuesta)'
+  },
+  lastFetchError: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   tableName: 'Recursos',
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RecursoVersion = sequelize.define('RecursoVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  recursoId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Recursos',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Número de revisión (1, 2, 3...) dentro del recurso'
+  },
+  titulo: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  descripcion: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  contenido: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Contenido original completo (Recurso.contenido solo guarda un preview)'
+  },
+  fileData: {
+    type: DataTypes.BLOB,
+    allowNull: true,
+    comment: 'Fichero original subido (PDF)'
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  fileMimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 de titulo + descripcion + contenido'
+  },
+  origen: {
+    type: DataTypes.ENUM('create', 'update', 'rollback', 'legacy', 'sync'),
+    allowNull: false,
+    defaultValue: 'update',
+    comment: 'legacy = reconstruida del preview de un recurso anterior a las versiones; sync = re-descarga de la url'
+  },
+  rolledBackFrom: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Versión restaurada cuando origen = rollback'
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'RecursoVersions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['recursoId', 'version'], unique: true }
+  ]
+});
+
+module.exports = RecursoVersion;
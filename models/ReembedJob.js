@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ReembedJob = sequelize.define('ReembedJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'openai, openai-compatible o hashing'
+  },
+  model: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  baseUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Servidor OpenAI-compatible (la API key sale del entorno, nunca se guarda)'
+  },
+  dimensions: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'ready', 'switched', 'failed', 'cancelled'),
+    defaultValue: 'running',
+    comment: 'ready = todos los chunks tienen el vector nuevo y se puede conmutar'
+  },
+  totalChunks: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  processedChunks: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Fallos seguidos; se reinicia con cada lote correcto'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdByUserId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  switchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'ReembedJobs',
+  timestamps: true,
+  indexes: [
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = ReembedJob;
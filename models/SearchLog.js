@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SearchLog = sequelize.define('SearchLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  query: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  normalizedQuery: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Minúsculas, sin tildes ni signos: agrupa búsquedas repetidas'
+  },
+  categoria: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  tipo: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  mode: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  topSimilarity: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Similitud del mejor resultado (null en modo keyword o sin resultados)'
+  },
+  scores: {
+    type: DataTypes.ARRAY(DataTypes.FLOAT),
+    defaultValue: [],
+    comment: 'Similitud de cada recurso devuelto, en orden'
+  },
+  recursoIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    defaultValue: [],
+    comment: 'Recursos devueltos, en orden'
+  },
+  resultCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  embedding: {
+    type: DataTypes.ARRAY(DataTypes.REAL),
+    allowNull: true,
+    comment: 'Embedding de la consulta, para agrupar búsquedas parecidas en el informe'
+  },
+  embeddingModel: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Clave de servicio que hizo la búsqueda'
+  }
+}, {
+  tableName: 'SearchLogs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['normalizedQuery'] },
+    // Recursos nunca devueltos: "recursoIds" @> ARRAY[r.id] (GIN no sirve = ANY)
+    { using: 'gin', fields: ['recursoIds'] }
+  ]
+});
+
+module.exports = SearchLog;
@@ -55,6 +55,11 @@ const User = sequelize.define('User', {
       notifications: true,
       newsletter: false
     }
+  },
+  agentQueues: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [],
+    comment: 'Colas de escalado en las que este admin recibe asignaciones automáticas'
   }
 }, {
   timestamps: true,
@@ -6,6 +6,18 @@ const Recurso = require('./Recurso');
 const Chunk = require('./Chunk');
 const Feedback = require('./Feedback');
 const Blocklist = require('./Blocklist');
+const IngestionJob = require('./IngestionJob');
+const RecursoVersion = require('./RecursoVersion');
+const EvalSet = require('./EvalSet');
+const EvalRun = require('./EvalRun');
+const ReembedJob = require('./ReembedJob');
+const EmbeddingCache = require('./EmbeddingCache');
+const ImportJob = require('./ImportJob');
+const ImportRecord = require('./ImportRecord');
+const SearchLog = require('./SearchLog');
+const ApiKey = require('./ApiKey');
+const ConversationAssignment = require('./ConversationAssignment');
+const RealtimeEvent = require('./RealtimeEvent');
 
 // Define relationships
 User.hasMany(Conversation, {
@@ -36,6 +48,77 @@ Chunk.belongsTo(Recurso, {
   as: 'recurso'
 });
 
+// Recurso - IngestionJob
+Recurso.hasMany(IngestionJob, {
+  foreignKey: 'recursoId',
+  as: 'ingestionJobs',
+  onDelete: 'CASCADE'
+});
+IngestionJob.belongsTo(Recurso, {
+  foreignKey: 'recursoId',
+  as: 'recurso'
+});
+
+// Recurso - RecursoVersion
+Recurso.hasMany(RecursoVersion, {
+  foreignKey: 'recursoId',
+  as: 'versions',
+  onDelete: 'CASCADE'
+});
+RecursoVersion.belongsTo(Recurso, {
+  foreignKey: 'recursoId',
+  as: 'recurso'
+});
+
+// EvalSet - EvalRun
+EvalSet.hasMany(EvalRun, {
+  foreignKey: 'evalSetId',
+  as: 'runs',
+  onDelete: 'CASCADE'
+});
+EvalRun.belongsTo(EvalSet, {
+  foreignKey: 'evalSetId',
+  as: 'evalSet'
+});
+
+// ImportJob - ImportRecord
+ImportJob.hasMany(ImportRecord, {
+  foreignKey: 'importJobId',
+  as: 'records',
+  onDelete: 'CASCADE'
+});
+ImportRecord.belongsTo(ImportJob, {
+  foreignKey: 'importJobId',
+  as: 'importJob'
+});
+
+// Conversation - assigned agent and assignment history
+Conversation.belongsTo(User, {
+  foreignKey: 'assignedToUserId',
+  as: 'assignedTo'
+});
+Conversation.hasMany(ConversationAssignment, {
+  foreignKey: 'conversationId',
+  as: 'assignments',
+  onDelete: 'CASCADE'
+});
+ConversationAssignment.belongsTo(Conversation, {
+  foreignKey: 'conversationId',
+  as: 'conversation'
+});
+ConversationAssignment.belongsTo(User, {
+  foreignKey: 'fromUserId',
+  as: 'fromUser'
+});
+ConversationAssignment.belongsTo(User, {
+  foreignKey: 'toUserId',
+  as: 'toUser'
+});
+ConversationAssignment.belongsTo(User, {
+  foreignKey: 'byUserId',
+  as: 'byUser'
+});
+
 // Feedback relationships
 Feedback.belongsTo(Conversation, {
   foreignKey: 'conversationId',
@@ -62,5 +145,17 @@ module.exports = {
   Recurso,
   Chunk,
   Feedback,
-  Blocklist
+  Blocklist,
+  IngestionJob,
+  RecursoVersion,
+  EvalSet,
+  EvalRun,
+  ReembedJob,
+  EmbeddingCache,
+  ImportJob,
+  ImportRecord,
+  SearchLog,
+  ApiKey,
+  ConversationAssignment,
+  RealtimeEvent
 };
@@ -1,7 +1,15 @@
 const router = require('express').Router();
 const { Op } = require('sequelize');
-const { User, Conversation, Message, Feedback, Blocklist } = require('../models');
+const { User, Conversation, Message, Feedback, Blocklist, Recurso, IngestionJob, EvalSet, EvalRun, SearchLog, ApiKey, ConversationAssignment } = require('../models');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { retryJob, cancelJob } = require('../services/ingestionQueue');
+const { normalizeQuestions, runEvalSet, compareRuns, EVAL_DEFAULTS } = require('../services/retrievalEval');
+const { startReembed, switchReembed, cancelReembed, getEmbeddingStatus } = require('../services/reembed');
+const { getSearchReport, REPORT_DEFAULTS } = require('../services/searchAnalytics');
+const { createApiKey, normalizeKeyFields, serializeApiKey, API_KEY_SCOPES } = require('../services/apiKeys');
+const { summarizeConversation, requestSummaryIfDue } = require('../services/conversationSummarizer');
+const { startHandoff, endHandoff } = require('../services/handoff');
+const { claimConversation, assignConversation, recordFirstResponse, getSlaStats, QUEUES } = require('../services/agentAssignment');
 const sequelize = require('../config/database');
 
 // Apply auth and admin middleware to all routes
@@ -54,7 +62,7 @@ router.get('/users/:id', async (req, res) => {
       include: [{
         model: Conversation,
         as: 'conversations',
-        attributes: ['id', 'title', 'category', 'status', 'rating', 'createdAt']
+        attributes: ['id', 'title', 'summary', 'category', 'status', 'rating', 'createdAt']
       }]
     });
 
@@ -81,7 +89,15 @@ router.get('/users/:id', async (req, res) => {
 // Update user
 router.patch('/users/:id', async (req, res) => {
   try {
-    const { role, isActive } = req.body;
+    const { role, isActive, agentQueues } = req.body;
+
+    if (agentQueues !== undefined &&
+        (!Array.isArray(agentQueues) || agentQueues.some(q => !QUEUES.includes(q)))) {
+      return res.status(400).json({
+        success: false,
+        message: `agentQueues must be a list of: ${QUEUES.join(', ')}`
+      });
+    }
 
     const user = await User.findByPk(req.params.id);
     if (!user) {
@@ -94,6 +110,7 @@ router.patch('/users/:id', async (req, res) => {
     const updates = {};
     if (role) updates.role = role;
     if (isActive !== undefined) updates.isActive = isActive;
+    if (agentQueues !== undefined) updates.agentQueues = [...new Set(agentQueues)];
 
     await user.update(updates);
 
@@ -175,12 +192,19 @@ router.delete('/users/:id', async (req, res) => {
 // Get all conversations (admin view)
 router.get('/conversations', async (req, res) => {
   try {
-    const { status, category, userId, startDate, endDate, limit = 50, offset = 0 } = req.query;
+    const { status, category, userId, startDate, endDate, q, mode, limit = 50, offset = 0 } = req.query;
     
     const where = {};
     if (status) where.status = status;
+    if (mode) where.mode = mode;
     if (category) where.category = category;
     if (userId) where.userId = userId;
+    if (q) {
+      where[Op.or] = [
+        { title: { [Op.iLike]: `%${q}%` } },
+        { summary: { [Op.iLike]: `%${q}%` } }
+      ];
+    }
     
     if (startDate || endDate) {
       where.createdAt = {};
@@ -222,6 +246,421 @@ router.get('/conversations', async (req, res) => {
   }
 });
 
+// Human handoff inbox: conversations where the bot is paused, newest user message first
+router.get('/inbox', async (req, res) => {
+  try {
+    const { category, queue, limit = 50, offset = 0 } = req.query;
+
+    const where = { mode: 'human' };
+    if (category) where.category = category;
+    if (queue) where.queue = queue;
+
+    // User messages since the handoff that no agent has read yet
+    const unreadCount = sequelize.literal(`(
+      SELECT COUNT(*)::int FROM "Messages" m
+      WHERE m."conversationId" = "Conversation".id
+        AND m.sender = 'user' AND m."isRead" = false AND m."deletedAt" IS NULL
+        AND m."createdAt" >= "Conversation"."handoffStartedAt"
+    )`);
+    const lastUserMessageAt = sequelize.literal(`(
+      SELECT MAX(m."createdAt") FROM "Messages" m
+      WHERE m."conversationId" = "Conversation".id AND m.sender = 'user' AND m."deletedAt" IS NULL
+    )`);
+
+    const { count, rows } = await Conversation.findAndCountAll({
+      where,
+      attributes: {
+        include: [
+          [unreadCount, 'unreadCount'],
+          [lastUserMessageAt, 'lastUserMessageAt']
+        ]
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'company']
+        },
+        {
+          model: User,
+          as: 'assignedTo',
+          attributes: ['id', 'name', 'email']
+        }
+      ],
+      order: [[lastUserMessageAt, 'DESC NULLS LAST']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conversations: rows,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inbox'
+    });
+  }
+});
+
+// Agent queues: escalated conversations still in human mode, nearest SLA deadline first
+async function listQueue(req, res, where) {
+  const { category, queue, limit = 50, offset = 0 } = req.query;
+
+  where.mode = 'human';
+  if (category) where.category = category;
+  if (queue) where.queue = queue;
+
+  // First response deadline until the agent answers, then the resolution one
+  const nextDueAt = sequelize.literal(
+    'LEAST(CASE WHEN "Conversation"."firstResponseAt" IS NULL THEN "Conversation"."firstResponseDueAt" END, "Conversation"."resolutionDueAt")'
+  );
+
+  const { count, rows } = await Conversation.findAndCountAll({
+    where,
+    attributes: {
+      include: [[nextDueAt, 'nextDueAt']]
+    },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'email', 'company']
+      },
+      {
+        model: User,
+        as: 'assignedTo',
+        attributes: ['id', 'name', 'email']
+      }
+    ],
+    order: [[nextDueAt, 'ASC NULLS LAST']],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      conversations: rows,
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    }
+  });
+}
+
+// Conversations assigned to the current admin
+router.get('/queues/mine', async (req, res) => {
+  try {
+    await listQueue(req, res, { assignedToUserId: req.userId });
+  } catch (error) {
+    console.error('Get my queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching queue'
+    });
+  }
+});
+
+// Conversations nobody has claimed yet
+router.get('/queues/unassigned', async (req, res) => {
+  try {
+    await listQueue(req, res, { assignedToUserId: null });
+  } catch (error) {
+    console.error('Get unassigned queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching queue'
+    });
+  }
+});
+
+// Conversations past an SLA deadline, or within `withinMinutes` of one
+router.get('/queues/breaching', async (req, res) => {
+  try {
+    const withinMinutes = Math.max(parseInt(req.query.withinMinutes) || 0, 0);
+    const limitDate = new Date(Date.now() + withinMinutes * 60 * 1000);
+
+    await listQueue(req, res, {
+      slaResolvedAt: null,
+      [Op.or]: [
+        { firstResponseBreached: true },
+        { resolutionBreached: true },
+        { firstResponseAt: null, firstResponseDueAt: { [Op.lte]: limitDate } },
+        { resolutionDueAt: { [Op.lte]: limitDate } }
+      ]
+    });
+  } catch (error) {
+    console.error('Get breaching queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching queue'
+    });
+  }
+});
+
+// Get a conversation with its full timeline (marks the user's messages as read)
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id, {
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'company']
+        },
+        {
+          model: User,
+          as: 'assignedTo',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: Message,
+          as: 'messages'
+        }
+      ],
+      order: [[{ model: Message, as: 'messages' }, 'createdAt', 'ASC']]
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    await Message.update(
+      { isRead: true },
+      { where: { conversationId: conversation.id, sender: 'user', isRead: false } }
+    );
+
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation'
+    });
+  }
+});
+
+// Take over a conversation: the bot stops answering until it is returned
+router.post('/conversations/:id/handoff', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const event = await startHandoff(conversation, { reason: 'admin', admin: req.user });
+    if (!event) {
+      return res.status(409).json({
+        success: false,
+        message: 'Conversation is already in human mode'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Conversation handed off to an agent',
+      data: { conversation, event }
+    });
+  } catch (error) {
+    console.error('Start handoff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting handoff'
+    });
+  }
+});
+
+// Return a conversation to the bot
+router.post('/conversations/:id/return-to-bot', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const event = await endHandoff(conversation, { admin: req.user });
+
+    res.json({
+      success: true,
+      message: 'Conversation returned to the bot',
+      data: { conversation, event }
+    });
+  } catch (error) {
+    if (error.code === 'HANDOFF_NOT_ACTIVE') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('End handoff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error returning conversation to the bot'
+    });
+  }
+});
+
+// Claim an escalated conversation from the queue
+router.post('/conversations/:id/claim', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const assignment = await claimConversation(conversation, req.user);
+
+    res.json({
+      success: true,
+      message: assignment ? 'Conversation claimed' : 'Conversation already assigned to you',
+      data: { conversation, assignment }
+    });
+  } catch (error) {
+    if (error.code === 'NOT_IN_QUEUE' || error.code === 'ALREADY_ASSIGNED') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('Claim conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming conversation'
+    });
+  }
+});
+
+// Assign an escalated conversation to another admin (userId null unassigns it)
+router.post('/conversations/:id/assign', async (req, res) => {
+  try {
+    const { userId = null, reason } = req.body;
+
+    const conversation = await Conversation.findByPk(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const assignment = await assignConversation(conversation, {
+      toUserId: userId,
+      admin: req.user,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: userId ? 'Conversation assigned' : 'Conversation unassigned',
+      data: { conversation, assignment }
+    });
+  } catch (error) {
+    if (error.code === 'ASSIGNEE_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'NOT_IN_QUEUE') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('Assign conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning conversation'
+    });
+  }
+});
+
+// Assignment history of a conversation
+router.get('/conversations/:id/assignments', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id, {
+      attributes: ['id', 'queue', 'assignedToUserId', 'assignedAt']
+    });
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const assignments = await ConversationAssignment.findAll({
+      where: { conversationId: conversation.id },
+      include: [
+        { model: User, as: 'fromUser', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'toUser', attributes: ['id', 'name', 'email'] },
+        { model: User, as: 'byUser', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { conversation, assignments }
+    });
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching assignments'
+    });
+  }
+});
+
+// Summarize a conversation now (force=true rebuilds it from the first message)
+router.post('/conversations/:id/summary', async (req, res) => {
+  try {
+    const conversation = await Conversation.findByPk(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const result = await summarizeConversation(conversation, {
+      force: req.body.force === true || req.body.force === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: result.updated ? 'Conversation summarized' : 'Summary already up to date',
+      data: {
+        id: conversation.id,
+        summary: conversation.summary,
+        summaryUpToMessageId: conversation.summaryUpToMessageId,
+        summarizedAt: conversation.summarizedAt,
+        updated: result.updated
+      }
+    });
+  } catch (error) {
+    console.error('Summarize conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error summarizing conversation'
+    });
+  }
+});
+
 // Get analytics dashboard
 router.get('/analytics', async (req, res) => {
   try {
@@ -310,6 +749,9 @@ router.get('/analytics', async (req, res) => {
       type: sequelize.QueryTypes.SELECT
     });
 
+    // Agent SLA compliance of the conversations escalated in the period
+    const sla = await getSlaStats({ startDate, endDate });
+
     res.json({
       success: true,
       data: {
@@ -343,7 +785,8 @@ router.get('/analytics', async (req, res) => {
             ? parseFloat(avgResponseTime[0].avg_response_time).toFixed(2) 
             : null
         },
-        trend: conversationsPerDay
+        trend: conversationsPerDay,
+        sla
       }
     });
   } catch (error) {
@@ -390,6 +833,18 @@ router.post('/conversations/:id/message', async (req, res) => {
       await conversation.update({ status: 'active' });
     }
 
+    // The agent has seen the user's messages
+    await Message.update(
+      { isRead: true },
+      { where: { conversationId: conversation.id, sender: 'user', isRead: false } }
+    );
+
+    // Stops the first response SLA timer (and claims it if nobody had)
+    await recordFirstResponse(conversation, req.user);
+
+    requestSummaryIfDue(conversation)
+      .catch(e => console.error('Request summary error:', e.message));
+
     res.json({
       success: true,
       message: 'Message sent successfully',
@@ -525,6 +980,740 @@ router.get('/feedback-stats', async (req, res) => {
   }
 });
 
+// List ingestion jobs (chunking + embeddings of Recursos)
+router.get('/ingestion-jobs', async (req, res) => {
+  try {
+    const { status, recursoId, limit = 50, offset = 0 } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (recursoId) where.recursoId = recursoId;
+
+    const { count, rows } = await IngestionJob.findAndCountAll({
+      where,
+      attributes: { exclude: ['sourceText'] },
+      include: [{
+        model: Recurso,
+        as: 'recurso',
+        attributes: ['id', 'titulo', 'tipo', 'embeddingStatus']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs: rows,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get ingestion jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ingestion jobs'
+    });
+  }
+});
+
+// Retry a failed or cancelled ingestion job (resumes from its last completed chunk)
+router.post('/ingestion-jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or not retryable'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: { id: job.id, status: job.status, lastChunkIndex: job.lastChunkIndex }
+    });
+  } catch (error) {
+    console.error('Retry ingestion job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying ingestion job'
+    });
+  }
+});
+
+// Cancel a queued or running ingestion job
+router.post('/ingestion-jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found or already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: { id: job.id, status: job.status }
+    });
+  } catch (error) {
+    console.error('Cancel ingestion job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling ingestion job'
+    });
+  }
+});
+
+// Active embedding model, chunks per model and re-embed jobs
+router.get('/embeddings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getEmbeddingStatus()
+    });
+  } catch (error) {
+    console.error('Get embeddings status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching embeddings status'
+    });
+  }
+});
+
+// Re-embed every chunk with another model (built alongside the current vectors)
+router.post('/embeddings/reembed', async (req, res) => {
+  try {
+    const { provider, model, baseUrl, dimensions } = req.body;
+
+    const job = await startReembed({
+      provider,
+      model,
+      baseUrl,
+      dimensions: dimensions ? parseInt(dimensions) : undefined
+    }, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Re-embed started. Switch over once it is ready.',
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'REEMBED_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Start reembed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting re-embed'
+    });
+  }
+});
+
+// Atomically switch search and ingestion to the re-embedded vectors
+router.post('/embeddings/reembed/:id/switch', async (req, res) => {
+  try {
+    const job = await switchReembed(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Re-embed job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Switched to ${job.model}`,
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'REEMBED_NOT_READY') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'REEMBED_PENDING') {
+      return res.status(409).json({ success: false, message: error.message, data: { pendingChunks: error.pending } });
+    }
+    console.error('Switch reembed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error switching embeddings'
+    });
+  }
+});
+
+// Cancel a re-embed that has not been switched yet (drops its new vectors)
+router.post('/embeddings/reembed/:id/cancel', async (req, res) => {
+  try {
+    const job = await cancelReembed(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Re-embed job not found or already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Re-embed cancelled',
+      data: { id: job.id, status: job.status }
+    });
+  } catch (error) {
+    console.error('Cancel reembed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling re-embed'
+    });
+  }
+});
+
+// List retrieval evaluation sets
+router.get('/eval-sets', async (req, res) => {
+  try {
+    const sets = await EvalSet.findAll({
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: sets.map(set => ({
+        id: set.id,
+        name: set.name,
+        description: set.description,
+        questionCount: set.questions.length,
+        createdAt: set.createdAt,
+        updatedAt: set.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get eval sets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eval sets'
+    });
+  }
+});
+
+// Create an evaluation set: questions with their expected Recursos (and optionally chunks)
+router.post('/eval-sets', async (req, res) => {
+  try {
+    const { name, description, questions } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const evalSet = await EvalSet.create({
+      name,
+      description,
+      questions: normalizeQuestions(questions),
+      createdByUserId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Eval set created',
+      data: evalSet
+    });
+  } catch (error) {
+    if (error.code === 'EVAL_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ success: false, message: 'An eval set with that name already exists' });
+    }
+    console.error('Create eval set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating eval set'
+    });
+  }
+});
+
+// Get an evaluation set with its questions
+router.get('/eval-sets/:id', async (req, res) => {
+  try {
+    const evalSet = await EvalSet.findByPk(req.params.id);
+    if (!evalSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eval set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: evalSet
+    });
+  } catch (error) {
+    console.error('Get eval set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eval set'
+    });
+  }
+});
+
+// Update an evaluation set (questions are replaced as a whole)
+router.put('/eval-sets/:id', async (req, res) => {
+  try {
+    const evalSet = await EvalSet.findByPk(req.params.id);
+    if (!evalSet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eval set not found'
+      });
+    }
+
+    const { name, description, questions } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (questions !== undefined) updates.questions = normalizeQuestions(questions);
+
+    await evalSet.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Eval set updated',
+      data: evalSet
+    });
+  } catch (error) {
+    if (error.code === 'EVAL_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ success: false, message: 'An eval set with that name already exists' });
+    }
+    console.error('Update eval set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating eval set'
+    });
+  }
+});
+
+// Delete an evaluation set and its runs
+router.delete('/eval-sets/:id', async (req, res) => {
+  try {
+    const deleted = await EvalSet.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eval set not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Eval set deleted'
+    });
+  } catch (error) {
+    console.error('Delete eval set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting eval set'
+    });
+  }
+});
+
+// Run an evaluation set against the current search pipeline (recall@k, MRR, misses)
+router.post('/eval-sets/:id/run', async (req, res) => {
+  try {
+    const { k = EVAL_DEFAULTS.k, mode = EVAL_DEFAULTS.mode, label } = req.body;
+
+    const run = await runEvalSet(req.params.id, {
+      k: Math.min(Math.max(parseInt(k) || EVAL_DEFAULTS.k, 1), 50),
+      mode,
+      label,
+      userId: req.user.id
+    });
+
+    res.status(run.status === 'failed' ? 500 : 201).json({
+      success: run.status === 'completed',
+      message: run.status === 'completed' ? 'Eval run completed' : `Eval run failed: ${run.error}`,
+      data: run
+    });
+  } catch (error) {
+    if (error.code === 'EVAL_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'EVAL_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Run eval set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running eval set'
+    });
+  }
+});
+
+// List evaluation runs (metrics only)
+router.get('/eval-runs', async (req, res) => {
+  try {
+    const { evalSetId, limit = 50, offset = 0 } = req.query;
+
+    const where = {};
+    if (evalSetId) where.evalSetId = evalSetId;
+
+    const { count, rows } = await EvalRun.findAndCountAll({
+      where,
+      attributes: { exclude: ['results'] },
+      include: [{
+        model: EvalSet,
+        as: 'evalSet',
+        attributes: ['id', 'name']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runs: rows,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get eval runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eval runs'
+    });
+  }
+});
+
+// Compare two runs, e.g. before/after a reindex
+router.get('/eval-runs/compare', async (req, res) => {
+  try {
+    const { base, target } = req.query;
+    if (!base || !target) {
+      return res.status(400).json({
+        success: false,
+        message: 'base and target run ids are required'
+      });
+    }
+
+    const [baseRun, targetRun] = await Promise.all([
+      EvalRun.findByPk(base),
+      EvalRun.findByPk(target)
+    ]);
+    if (!baseRun || !targetRun) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eval run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareRuns(baseRun, targetRun)
+    });
+  } catch (error) {
+    console.error('Compare eval runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing eval runs'
+    });
+  }
+});
+
+// Get an evaluation run with per-question results
+router.get('/eval-runs/:id', async (req, res) => {
+  try {
+    const run = await EvalRun.findByPk(req.params.id, {
+      include: [{
+        model: EvalSet,
+        as: 'evalSet',
+        attributes: ['id', 'name']
+      }]
+    });
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eval run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Get eval run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching eval run'
+    });
+  }
+});
+
+// Search report: most-searched topics, knowledge gaps and never-retrieved resources
+router.get('/search-analytics', async (req, res) => {
+  try {
+    const { categoria } = req.query;
+    const number = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+
+    const report = await getSearchReport({
+      days: Math.min(Math.max(parseInt(req.query.days) || REPORT_DEFAULTS.days, 1), 365),
+      categoria: categoria || null,
+      gapThreshold: number(req.query.threshold, REPORT_DEFAULTS.gapThreshold),
+      clusterThreshold: number(req.query.clusterThreshold, REPORT_DEFAULTS.clusterThreshold),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || REPORT_DEFAULTS.limit, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get search analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching search analytics'
+    });
+  }
+});
+
+// List logged searches (gaps=true: only those below the similarity threshold or without results)
+router.get('/search-logs', async (req, res) => {
+  try {
+    const { categoria, mode, q, gaps, apiKeyId, limit = 50, offset = 0 } = req.query;
+
+    const where = {};
+    if (categoria) where.categoria = categoria;
+    if (apiKeyId) where.apiKeyId = apiKeyId;
+    if (mode) where.mode = mode;
+    if (q) where.query = { [Op.iLike]: `%${q}%` };
+    if (gaps === 'true') {
+      const threshold = parseFloat(req.query.threshold) || REPORT_DEFAULTS.gapThreshold;
+      where[Op.or] = [
+        { resultCount: 0 },
+        { topSimilarity: { [Op.lt]: threshold } }
+      ];
+    }
+
+    const { count, rows } = await SearchLog.findAndCountAll({
+      where,
+      attributes: { exclude: ['embedding', 'normalizedQuery'] },
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        searches: rows,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get search logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching search logs'
+    });
+  }
+});
+
+// Bot messages that cited a resource (reverse lookup of Message.sources)
+router.get('/recursos/:id/citations', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const recurso = await Recurso.findByPk(req.params.id, {
+      attributes: ['id', 'titulo', 'tipo', 'categoria', 'url']
+    });
+    if (!recurso) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurso not found'
+      });
+    }
+
+    const { count, rows } = await Message.findAndCountAll({
+      where: {
+        sender: 'bot',
+        sources: { [Op.contains]: [{ recursoId: recurso.id }] }
+      },
+      attributes: ['id', 'conversationId', 'content', 'sources', 'createdAt'],
+      include: [{
+        model: Conversation,
+        as: 'conversation',
+        attributes: ['id', 'title', 'summary', 'category', 'status', 'rating'],
+        include: [{
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email']
+        }]
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurso,
+        // Solo las citas de este recurso (chunk, página o minuto)
+        messages: rows.map(message => ({
+          ...message.toJSON(),
+          sources: message.sources.filter(source => source.recursoId === recurso.id)
+        })),
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get recurso citations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching citations'
+    });
+  }
+});
+
+// List service API keys (never returns the key or its hash)
+router.get('/api-keys', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(serializeApiKey),
+        scopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys'
+    });
+  }
+});
+
+// Create a service API key; the plain key is only returned here
+router.post('/api-keys', async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now: it will not be shown again',
+      data: {
+        ...serializeApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    if (error.code === 'API_KEY_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key'
+    });
+  }
+});
+
+// Update name, scopes, rate limit or expiry of an API key
+router.patch('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+    await apiKey.update(normalizeKeyFields({ name, scopes, rateLimitPerMinute, expiresAt }));
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      data: serializeApiKey(apiKey)
+    });
+  } catch (error) {
+    if (error.code === 'API_KEY_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key'
+    });
+  }
+});
+
+// Revoke an API key (kept for its usage history)
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: serializeApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key'
+    });
+  }
+});
+
 // Export data
 router.get('/export/:type', async (req, res) => {
   try {
@@ -1,19 +1,228 @@
 const router = require('express').Router();
-const axios = require('axios');
 const { body, validationResult } = require('express-validator');
-const { Conversation, Message, User } = require('../models');
+const { Conversation, Message, User, sequelize } = require('../models');
 const { authMiddleware } = require('../middleware/auth');
+const { generateReply, streamReply } = require('../services/chatProviders');
+const { resolveSources } = require('../services/messageSources');
+const { buildHistory } = require('../services/conversationHistory');
+const { requestSummaryIfDue, requestSummaryOnStatus } = require('../services/conversationSummarizer');
+const { startHandoff, endHandoff } = require('../services/handoff');
+const { recordResolution } = require('../services/agentAssignment');
+const { prepareRegeneration, activateRevision, editUserMessage, listRevisions } = require('../services/messageRevisions');
 const { Op } = require('sequelize');
 
-// Send message to n8n and save to database
-router.post('/message', authMiddleware, [
+// Comentario SSE periódico para que proxies no corten la conexión
+const STREAM_HEARTBEAT_MS = 15000;
+
+const FALLBACK_REPLY = 'Lo siento, no pude procesar tu mensaje.';
+const ERROR_REPLY = 'Disculpa, estoy teniendo problemas técnicos. Por favor, intenta de nuevo en unos momentos.';
+
+const messageValidators = [
   body('message').optional().trim(),
   body('conversationId').optional().isUUID(),
   body('category').optional().isIn(['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general']),
   body('image').optional().isObject(),
   body('image.data').optional().isString(),
   body('image.mimeType').optional().isString(),
-], async (req, res) => {
+];
+
+/**
+ * Get the user's conversation or create a new one for the first message.
+ * Returns null when the requested conversation does not belong to the user.
+ */
+async function findOrCreateConversation(userId, { message, conversationId, category }) {
+  if (conversationId) {
+    const conversation = await Conversation.findOne({
+      where: {
+        id: conversationId,
+        userId
+      }
+    });
+    return conversation ? { conversation, isNewConversation: false } : null;
+  }
+
+  const sessionId = `${userId}_${Date.now()}`;
+  const title = message ? message.substring(0, 50) + (message.length > 50 ? '...' : '') : 'Imagen adjunta';
+  const conversation = await Conversation.create({
+    userId,
+    sessionId,
+    title,
+    status: 'active',
+    category: category || 'general'
+  });
+  return { conversation, isNewConversation: true };
+}
+
+/**
+ * Save the user message WITH image data.
+ */
+async function saveUserMessage(conversation, { message, image }) {
+  return Message.create({
+    conversationId: conversation.id,
+    sender: 'user',
+    content: message || '',
+    imageData: image ? image.data : null,
+    imageMimeType: image ? image.mimeType : null
+  });
+}
+
+/**
+ * Human handoff: the bot is paused, the message only goes to the admin inbox.
+ */
+async function saveHandoffMessage(conversation, { message, image }) {
+  const userMessage = await saveUserMessage(conversation, { message, image });
+
+  await sequelize.query(
+    'UPDATE "Conversations" SET "updatedAt" = :timestamp WHERE id = :id',
+    { replacements: { timestamp: new Date(), id: conversation.id } }
+  );
+
+  return userMessage;
+}
+
+/**
+ * Build the payload sent to the chat provider for a saved user message.
+ * Also used to re-ask the provider when regenerating or editing.
+ */
+async function buildPayload(userId, conversation, userMessage, isNewConversation) {
+  // Get user info for the provider
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'name', 'email', 'company']
+  });
+
+  // Count messages in this conversation
+  const messageCount = await Message.count({
+    where: { conversationId: conversation.id }
+  });
+
+  // Previous turns (token-budgeted) so the provider does not need its own memory
+  const { history, summary } = await buildHistory(conversation, {
+    excludeMessageId: userMessage.id,
+    before: userMessage.createdAt
+  });
+
+  const image = userMessage.imageData && userMessage.imageMimeType
+    ? { data: userMessage.imageData, mimeType: userMessage.imageMimeType }
+    : null;
+
+  const payload = {
+    message: userMessage.content || '',
+    conversationId: conversation.id,
+    userId,
+    userName: user ? user.name : 'Usuario',
+    userEmail: user ? user.email : null,
+    userCompany: user ? user.company : null,
+    sessionId: conversation.sessionId,
+    category: conversation.category || 'general',
+    messageCount,
+    isNewConversation: isNewConversation || messageCount === 1,
+    hasImage: !!image,
+    history,
+    historySummary: summary
+  };
+
+  // Add image if present
+  if (image) {
+    payload.image = image;
+  }
+
+  return payload;
+}
+
+/**
+ * Save the user message and build the payload sent to the chat provider.
+ */
+async function prepareExchange(userId, conversation, isNewConversation, { message, image }) {
+  const userMessage = await saveUserMessage(conversation, { message, image });
+  const payload = await buildPayload(userId, conversation, userMessage, isNewConversation);
+  return { userMessage, payload };
+}
+
+/**
+ * Save the bot answer and apply the title/category returned by the provider.
+ * Used by both the JSON and the streaming endpoints.
+ * `reply.sources` (knowledge base citations) is stored on the message.
+ * `answer` links it to the user message it replies to ({ replyToMessageId, revision }).
+ */
+async function saveBotReply(conversation, reply, extraMetadata = {}, answer = {}) {
+  const botMessage = await Message.create({
+    conversationId: conversation.id,
+    sender: 'bot',
+    replyToMessageId: answer.replyToMessageId || null,
+    revision: answer.revision || 1,
+    content: reply.response || reply.message || FALLBACK_REPLY,
+    sources: await resolveSources(reply.sources),
+    metadata: {
+      model: reply.model,
+      confidence: reply.confidence,
+      provider: reply.provider,
+      ...extraMetadata
+    }
+  });
+
+  // Force update conversation timestamp for correct ordering
+  const newTimestamp = new Date();
+  console.log('Updating conversation', conversation.id, 'timestamp to', newTimestamp);
+  const [results, metadata] = await sequelize.query(
+    'UPDATE "Conversations" SET "updatedAt" = :timestamp WHERE id = :id',
+    {
+      replacements: { timestamp: newTimestamp, id: conversation.id }
+    }
+  );
+  console.log('SQL Update result:', metadata?.rowCount || results);
+
+  // Update conversation title if the provider returned one
+  if (reply.title) {
+    await conversation.update({ title: reply.title });
+  }
+
+  // Update conversation category if detected (only if still general)
+  if (reply.category && conversation.category === 'general') {
+    await conversation.update({ 
+      category: reply.category 
+    });
+  }
+
+  // Background summary every SUMMARY_EVERY_MESSAGES new messages
+  requestSummaryIfDue(conversation)
+    .catch(e => console.error('Request summary error:', e.message));
+
+  return botMessage;
+}
+
+/**
+ * Save the canned error answer shown when the provider fails.
+ */
+async function saveBotError(conversation, error, answer = {}) {
+  return Message.create({
+    conversationId: conversation.id,
+    sender: 'bot',
+    replyToMessageId: answer.replyToMessageId || null,
+    revision: answer.revision || 1,
+    content: ERROR_REPLY,
+    metadata: {
+      error: true,
+      errorMessage: error.message
+    }
+  });
+}
+
+function conversationSummary(conversation) {
+  return {
+    id: conversation.id,
+    sessionId: conversation.sessionId,
+    category: conversation.category,
+    title: conversation.title,
+    mode: conversation.mode
+  };
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send message to the chat provider (n8n by default) and save to database
+router.post('/message', authMiddleware, messageValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -37,162 +246,51 @@ console.log('Full body:', JSON.stringify(req.body, null, 2));
         message: 'Message or image is required'
       });
     }
-    
-    let conversation;
-    let isNewConversation = false;
 
-    // Get user info for n8n
-    const user = await User.findByPk(req.userId, {
-      attributes: ['id', 'name', 'email', 'company']
-    });
+    const found = await findOrCreateConversation(req.userId, { message, conversationId, category });
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    const { conversation, isNewConversation } = found;
 
-    // Get or create conversation
-    if (conversationId) {
-      conversation = await Conversation.findOne({
-        where: {
-          id: conversationId,
-          userId: req.userId
+    if (conversation.mode === 'human') {
+      const userMessage = await saveHandoffMessage(conversation, { message, image });
+      return res.json({
+        success: true,
+        data: {
+          conversation: conversationSummary(conversation),
+          userMessage,
+          botMessage: null,
+          handoff: true
         }
       });
-      
-      if (!conversation) {
-        return res.status(404).json({
-          success: false,
-          message: 'Conversation not found'
-        });
-      }
-    } else {
-      // Create new conversation
-      isNewConversation = true;
-      const sessionId = `${req.userId}_${Date.now()}`;
-      const title = message ? message.substring(0, 50) + (message.length > 50 ? '...' : '') : 'Imagen adjunta';
-      conversation = await Conversation.create({
-        userId: req.userId,
-        sessionId,
-        title,
-        status: 'active',
-        category: category || 'general'
-      });
     }
 
-    // Save user message WITH image data
-    const userMessage = await Message.create({
-      conversationId: conversation.id,
-      sender: 'user',
-      content: message || '',
-      imageData: image ? image.data : null,
-      imageMimeType: image ? image.mimeType : null
-    });
-
-    // Count messages in this conversation
-    const messageCount = await Message.count({
-      where: { conversationId: conversation.id }
-    });
+    const { userMessage, payload } = await prepareExchange(
+      req.userId, conversation, isNewConversation, { message, image }
+    );
 
-    // Build payload for n8n
-    const n8nPayload = {
-      message: message || '',
-      conversationId: conversation.id,
-      userId: req.userId,
-      userName: user ? user.name : 'Usuario',
-      userEmail: user ? user.email : null,
-      userCompany: user ? user.company : null,
-      sessionId: conversation.sessionId,
-      category: conversation.category || 'general',
-      messageCount,
-      isNewConversation: isNewConversation || messageCount === 1,
-      hasImage: !!image
-    };
-
-    // Add image if present
-    if (image && image.data && image.mimeType) {
-      n8nPayload.image = {
-        data: image.data,
-        mimeType: image.mimeType
-      };
-    }
-
-    // Send to n8n webhook
     try {
-      const n8nResponse = await axios.post(
-        process.env.N8N_WEBHOOK_URL || 'http://localhost:5678/webhook/chat',
-        n8nPayload,
-        {
-          timeout: 60000,
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          maxContentLength: 10 * 1024 * 1024,
-          maxBodyLength: 10 * 1024 * 1024
-        }
-      );
-
-      // Save bot response
-      const botMessage = await Message.create({
-        conversationId: conversation.id,
-        sender: 'bot',
-        content: n8nResponse.data.response || n8nResponse.data.message || 'Lo siento, no pude procesar tu mensaje.',
-        metadata: {
-          model: n8nResponse.data.model,
-          confidence: n8nResponse.data.confidence
-        }
-      });
-
-      // Force update conversation timestamp for correct ordering
-      const newTimestamp = new Date();
-      console.log('Updating conversation', conversation.id, 'timestamp to', newTimestamp);
-      const { sequelize } = require('../models');
-      const [results, metadata] = await sequelize.query(
-        'UPDATE "Conversations" SET "updatedAt" = :timestamp WHERE id = :id',
-        {
-          replacements: { timestamp: newTimestamp, id: conversation.id }
-        }
-      );
-      console.log('SQL Update result:', metadata?.rowCount || results);
-
-      // Update conversation title if n8n returned one
-      if (n8nResponse.data.title) {
-        await Conversation.update(
-          { title: n8nResponse.data.title },
-          { where: { id: conversation.id } }
-        );
-        conversation.title = n8nResponse.data.title;
-      }
+      const reply = await generateReply(conversation.category, payload);
 
-      // Update conversation category if detected (only if still general)
-      if (n8nResponse.data.category && conversation.category === 'general') {
-        await conversation.update({ 
-          category: n8nResponse.data.category 
-        });
-      }
+      const botMessage = await saveBotReply(conversation, reply, {}, { replyToMessageId: userMessage.id });
 
       res.json({
         success: true,
         data: {
-          conversation: {
-            id: conversation.id,
-            sessionId: conversation.sessionId,
-            category: conversation.category,
-            title: conversation.title
-          },
+          conversation: conversationSummary(conversation),
           userMessage,
           botMessage
         }
       });
 
-    } catch (n8nError) {
-      console.error('n8n webhook error:', n8nError.message);
+    } catch (providerError) {
+      console.error('Chat provider error:', providerError.message);
       
-      // Save error message
-      const errorMessage = await Message.create({
-        conversationId: conversation.id,
-        sender: 'bot',
-        content: 'Disculpa, estoy teniendo problemas técnicos. Por favor, intenta de nuevo en unos momentos.',
-        metadata: {
-          error: true,
-          errorMessage: n8nError.message
-        }
-      });
+      const errorMessage = await saveBotError(conversation, providerError, { replyToMessageId: userMessage.id });
 
       res.status(503).json({
         success: false,
@@ -218,6 +316,353 @@ console.log('Full body:', JSON.stringify(req.body, null, 2));
   }
 });
 
+/**
+ * Same as POST /message but relays the answer as Server-Sent Events.
+ *
+ * Events:
+ * - start: { conversation, userMessage }
+ * - chunk: { content } (partial text, in order)
+ * - done:  { conversation, botMessage } (botMessage null and handoff: true while an agent handles the chat)
+ * - error: { message, botMessage }
+ */
+router.post('/message/stream', authMiddleware, messageValidators, async (req, res) => {
+  let conversation;
+  let streamedContent = '';
+  let heartbeat = null;
+  let settled = false;
+  const controller = new AbortController();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { message, conversationId, image, category } = req.body;
+
+    if (!message && !image) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message or image is required'
+      });
+    }
+
+    const found = await findOrCreateConversation(req.userId, { message, conversationId, category });
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    conversation = found.conversation;
+
+    const handoff = conversation.mode === 'human';
+    const { userMessage, payload } = handoff
+      ? { userMessage: await saveHandoffMessage(conversation, { message, image }) }
+      : await prepareExchange(req.userId, conversation, found.isNewConversation, { message, image });
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'start', {
+      conversation: conversationSummary(conversation),
+      userMessage
+    });
+
+    // Human handoff: no bot answer, an agent replies from the admin inbox
+    if (handoff) {
+      settled = true;
+      sendEvent(res, 'done', {
+        conversation: conversationSummary(conversation),
+        botMessage: null,
+        handoff: true
+      });
+      return res.end();
+    }
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    // Si el cliente se desconecta, cortar el upstream y guardar lo recibido
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (settled) return;
+      settled = true;
+      controller.abort();
+      console.log(`[Stream ${conversation.id}] Client disconnected`);
+
+      if (streamedContent) {
+        saveBotReply(conversation, { response: streamedContent }, { partial: true, aborted: 'client' }, { replyToMessageId: userMessage.id })
+          .catch(e => console.error('Save partial reply error:', e.message));
+      }
+    });
+
+    let reply;
+    try {
+      reply = await streamReply(conversation.category, payload, {
+        signal: controller.signal,
+        onChunk: (content) => {
+          if (settled) return;
+          streamedContent += content;
+          sendEvent(res, 'chunk', { content });
+        }
+      });
+    } catch (providerError) {
+      if (settled) return;
+      settled = true;
+      clearInterval(heartbeat);
+      console.error(`[Stream ${conversation.id}] Chat provider error:`, providerError.message);
+
+      // Conservar lo que ya vio el usuario si el fallo fue a mitad de stream
+      const botMessage = streamedContent
+        ? await saveBotReply(conversation, { response: streamedContent }, {
+          partial: true,
+          error: true,
+          errorMessage: providerError.message
+        }, { replyToMessageId: userMessage.id })
+        : await saveBotError(conversation, providerError, { replyToMessageId: userMessage.id });
+
+      sendEvent(res, 'error', {
+        message: 'Chat service temporarily unavailable',
+        botMessage
+      });
+      return res.end();
+    }
+
+    if (settled) return;
+    settled = true;
+    clearInterval(heartbeat);
+
+    const botMessage = await saveBotReply(conversation, reply, { streamed: true }, { replyToMessageId: userMessage.id });
+    if (!streamedContent) {
+      // Respuesta no streaming: enviarla como un único chunk
+      sendEvent(res, 'chunk', { content: botMessage.content });
+    }
+    sendEvent(res, 'done', {
+      conversation: conversationSummary(conversation),
+      botMessage
+    });
+    res.end();
+
+  } catch (error) {
+    console.error('Stream message error:', error);
+    settled = true;
+    clearInterval(heartbeat);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error processing message'
+      });
+    }
+    sendEvent(res, 'error', { message: 'Error processing message' });
+    res.end();
+  }
+});
+
+/**
+ * Find a message in one of the user's conversations (with its conversation).
+ */
+async function findOwnMessage(userId, messageId) {
+  return Message.findOne({
+    where: { id: messageId },
+    include: [{
+      model: Conversation,
+      as: 'conversation',
+      where: { userId }
+    }]
+  });
+}
+
+// Maps messageRevisions error codes to HTTP statuses
+const REVISION_ERROR_STATUS = {
+  NOT_A_BOT_MESSAGE: 400,
+  NOT_A_USER_MESSAGE: 400,
+  NO_USER_MESSAGE: 409,
+  NOT_LATEST_MESSAGE: 409
+};
+
+// Ask the provider for a new answer to the same user message; the previous answers
+// are kept as alternative revisions (GET /message/:id/revisions)
+router.post('/message/:id/regenerate', authMiddleware, async (req, res) => {
+  try {
+    const botMessage = await findOwnMessage(req.userId, req.params.id);
+    if (!botMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const conversation = botMessage.conversation;
+    if (conversation.mode === 'human') {
+      return res.status(409).json({
+        success: false,
+        message: 'The assistant is paused while an agent handles this conversation'
+      });
+    }
+
+    const { userMessage, revision } = await prepareRegeneration(botMessage);
+    const payload = await buildPayload(req.userId, conversation, userMessage, false);
+    payload.regenerate = { messageId: botMessage.id, revision };
+
+    let reply;
+    try {
+      reply = await generateReply(conversation.category, payload);
+    } catch (providerError) {
+      // The current answer stays as it was
+      console.error('Chat provider error:', providerError.message);
+      return res.status(503).json({
+        success: false,
+        message: 'Chat service temporarily unavailable'
+      });
+    }
+
+    const newMessage = await saveBotReply(conversation, reply, { regenerated: true }, {
+      replyToMessageId: userMessage.id,
+      revision
+    });
+    await activateRevision(newMessage);
+
+    res.json({
+      success: true,
+      data: {
+        conversation: conversationSummary(conversation),
+        userMessage,
+        botMessage: newMessage,
+        revisions: revision
+      }
+    });
+
+  } catch (error) {
+    if (REVISION_ERROR_STATUS[error.code]) {
+      return res.status(REVISION_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
+    console.error('Regenerate message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating message'
+    });
+  }
+});
+
+// Edit the user's last message: the answers that followed it are deleted (recoverable
+// in the revision history) and the provider answers the new text
+router.patch('/message/:id', authMiddleware, [
+  body('message').isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userMessage = await findOwnMessage(req.userId, req.params.id);
+    if (!userMessage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (!req.body.message && !userMessage.imageData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const conversation = userMessage.conversation;
+    if (conversation.mode === 'human') {
+      return res.status(409).json({
+        success: false,
+        message: 'Messages cannot be edited while an agent handles this conversation'
+      });
+    }
+
+    const { revision, invalidated } = await editUserMessage(userMessage, req.body.message);
+    const payload = await buildPayload(req.userId, conversation, userMessage, false);
+    const answer = { replyToMessageId: userMessage.id, revision };
+
+    try {
+      const reply = await generateReply(conversation.category, payload);
+      const botMessage = await saveBotReply(conversation, reply, {}, answer);
+
+      res.json({
+        success: true,
+        data: {
+          conversation: conversationSummary(conversation),
+          userMessage,
+          botMessage,
+          invalidatedMessages: invalidated
+        }
+      });
+
+    } catch (providerError) {
+      console.error('Chat provider error:', providerError.message);
+
+      const errorMessage = await saveBotError(conversation, providerError, answer);
+
+      res.status(503).json({
+        success: false,
+        message: 'Chat service temporarily unavailable',
+        data: {
+          conversation: conversationSummary(conversation),
+          userMessage,
+          botMessage: errorMessage,
+          invalidatedMessages: invalidated
+        }
+      });
+    }
+
+  } catch (error) {
+    if (REVISION_ERROR_STATUS[error.code]) {
+      return res.status(REVISION_ERROR_STATUS[error.code]).json({ success: false, message: error.message });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error editing message'
+    });
+  }
+});
+
+// Revision history of an exchange: the user message (with its edits) and every answer
+// it got, active, alternative or invalidated. Accepts the user message or any answer.
+router.get('/message/:id/revisions', authMiddleware, async (req, res) => {
+  try {
+    const message = await findOwnMessage(req.userId, req.params.id);
+    const history = message && await listRevisions(message);
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching message revisions'
+    });
+  }
+});
+
 // Get user's conversations
 router.get('/conversations', authMiddleware, async (req, res) => {
   try {
@@ -276,8 +721,19 @@ router.get('/conversation/:id', authMiddleware, async (req, res) => {
       include: [{
         model: Message,
         as: 'messages',
+        // Only the active revision of each answer (alternatives: GET /message/:id/revisions)
+        where: { isActive: true },
+        required: false,
         order: [['createdAt', 'ASC']],
-        attributes: ['id', 'sender', 'content', 'imageData', 'imageMimeType', 'createdAt', 'isRead']
+        attributes: [
+          'id', 'sender', 'content', 'imageData', 'imageMimeType', 'sources', 'createdAt', 'isRead',
+          'replyToMessageId', 'revision', 'editedAt',
+          [sequelize.literal(`CASE WHEN "messages".sender = 'bot' THEN GREATEST((
+            SELECT COUNT(*)::int FROM "Messages" r
+            WHERE r."replyToMessageId" = "messages"."replyToMessageId"
+              AND r.sender = 'bot' AND r."deletedAt" IS NULL
+          ), 1) END`), 'revisionCount']
+        ]
       }]
     });
 
@@ -294,7 +750,7 @@ router.get('/conversation/:id', authMiddleware, async (req, res) => {
       { 
         where: { 
           conversationId: conversation.id,
-          sender: 'bot',
+          sender: ['bot', 'admin'],
           isRead: false
         } 
       }
@@ -429,6 +885,14 @@ router.patch('/conversation/:id/status', authMiddleware, [
       });
     }
 
+    // An agent has it: the user can close it, but only the agent hands it back to the bot
+    if (conversation.mode === 'human' && ['active', 'pending'].includes(req.body.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Conversation is being handled by a support agent'
+      });
+    }
+
     const updates = { status: req.body.status };
     
     if (req.body.status === 'resolved') {
@@ -442,6 +906,21 @@ router.patch('/conversation/:id/status', authMiddleware, [
 
     await conversation.update(updates);
 
+    // Escalating hands the conversation to an agent: the bot stops answering
+    if (req.body.status === 'escalated') {
+      await startHandoff(conversation, { reason: 'status' });
+    } else if (conversation.mode === 'human') {
+      // Resolving it ends the handoff (and closes the SLA timers)
+      await endHandoff(conversation, { reason: 'status' });
+    } else if (req.body.status === 'resolved') {
+      // Closes the agent SLA timers if it was escalated
+      await recordResolution(conversation);
+    }
+
+    // Resolved/escalated conversations get a fresh summary for the agents
+    requestSummaryOnStatus(conversation)
+      .catch(e => console.error('Request summary error:', e.message));
+
     res.json({
       success: true,
       message: 'Conversation status updated',
@@ -2,6 +2,7 @@ const router = require('express').Router();
 const { body, query, validationResult } = require('express-validator');
 const { Feedback, Conversation } = require('../models');
 const { authMiddleware } = require('../middleware/auth');
+const { startHandoff } = require('../services/handoff');
 const { Op } = require('sequelize');
 
 // Guardar feedback (puede ser parcial - se va guardando a medida que el usuario responde)
@@ -101,15 +102,15 @@ router.post('/', authMiddleware, [
     }
 
     // Si se escaló, actualizar la categoría de la conversación a "delegado"
+    // y pasarla a un agente (el bot deja de responder)
     if (escalatedCategory && conversationId) {
-      await Conversation.update(
-        { 
-          category: 'delegado',
-          status: 'escalated',
-          escalatedAt: new Date()
-        },
-        { where: { id: conversationId } }
-      );
+      const conversation = await Conversation.findByPk(conversationId);
+      await conversation.update({
+        category: 'delegado',
+        status: 'escalated',
+        escalatedAt: new Date()
+      });
+      await startHandoff(conversation, { reason: 'feedback', details: { escalatedCategory } });
       console.log('Conversation escalated:', conversationId);
     }
 
@@ -1,20 +1,109 @@
 const router = require('express').Router();
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
-const { Recurso, Chunk, sequelize } = require('../models');
+const { Recurso, Chunk, IngestionJob, RecursoVersion, sequelize } = require('../models');
 const { 
   generateEmbedding, 
-  chunkTextGenerator,
-  countChunks
+  countChunks,
+  searchResources,
+  PAGE_SEPARATOR,
+  SEARCH_MODES
 } = require('../services/embeddingService');
+const { extractPdfPages } = require('../services/pdfService');
+const { parseTranscript } = require('../services/transcriptService');
+const { fetchArticle, syncArticle } = require('../services/articleSync');
+const { enqueueIngestion, estimateProcessingSeconds, wake: wakeWorker } = require('../services/ingestionQueue');
+const {
+  exportRecords,
+  exportZip,
+  bundleHeader,
+  recordLine,
+  createImportJob,
+  getImportJob
+} = require('../services/knowledgeBundle');
+const {
+  buildFullText,
+  hashFields,
+  contentPreview,
+  createVersion,
+  versionFile,
+  getOrCreateLatestVersion
+} = require('../services/recursoVersions');
+const { diffTexts } = require('../services/textDiff');
+const { recordSearch } = require('../services/searchAnalytics');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { apiKeyMiddleware } = require('../middleware/apiKey');
 
-// Configuración de procesamiento MUY LENTO para no saturar servidor
-const DELAY_BETWEEN_CHUNKS_MS = 2000; // 2 segundos entre cada chunk
+const MAX_PDF_BYTES = 50 * 1024 * 1024;
+const MAX_TRANSCRIPT_BYTES = 5 * 1024 * 1024;
+const MAX_BUNDLE_BYTES = 200 * 1024 * 1024;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_CHUNKS_PER_RESOURCE = 10;
 
-// Buscar recursos (público para el chat)
-router.post('/buscar', async (req, res) => {
+/**
+ * Middleware que recibe el campo "file" (multipart) en memoria y responde 400 si no es válido.
+ * Se extrae el texto y el fichero se guarda en la versión.
+ * @param {number} maxBytes
+ * @param {Object} messages - { tooLarge, missing }
+ */
+function fileUpload(maxBytes, messages) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  });
+
+  return (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.code === 'LIMIT_FILE_SIZE' ? messages.tooLarge : err.message
+        });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: messages.missing });
+      }
+      next();
+    });
+  };
+}
+
+const uploadPdf = fileUpload(MAX_PDF_BYTES, {
+  tooLarge: 'El PDF supera el tamaño máximo (50 MB)',
+  missing: 'PDF file is required'
+});
+
+const uploadTranscript = fileUpload(MAX_TRANSCRIPT_BYTES, {
+  tooLarge: 'La transcripción supera el tamaño máximo (5 MB)',
+  missing: 'SRT or VTT file is required'
+});
+
+const uploadBundle = fileUpload(MAX_BUNDLE_BYTES, {
+  tooLarge: 'El bundle supera el tamaño máximo (200 MB)',
+  missing: 'JSONL or ZIP file is required'
+});
+
+// Buscar recursos (n8n y otras integraciones, con clave de servicio)
+router.post('/buscar', apiKeyMiddleware('recursos:search'), [
+  body('tipo').optional().isIn(['video', 'pdf', 'articulo']),
+  body('recursoIds').optional().isArray(),
+  body('recursoIds.*').isUUID()
+], async (req, res) => {
   try {
-    const { query, limit = 5, categoria } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const {
+      query,
+      limit = 5,
+      categoria,
+      tipo,
+      recursoIds,
+      chunksPerResource = 1,
+      mode = 'vector'
+    } = req.body;
 
     if (!query) {
       return res.status(400).json({
@@ -23,62 +112,41 @@ router.post('/buscar', async (req, res) => {
       });
     }
 
-    // Generar embedding de la consulta
-    const queryEmbedding = await generateEmbedding(query);
-
-    // Buscar en chunks
-    const embeddingStr = `[${queryEmbedding.join(',')}]`;
-    
-    let results = await sequelize.query(`
-      SELECT 
-        c.id as chunk_id,
-        c."recursoId",
-        c."chunkIndex",
-        c.contenido as chunk_contenido,
-        r.tipo,
-        r.titulo,
-        r.descripcion,
-        r.url,
-        r.categoria,
-        1 - (c.embedding <=> :embedding::vector) as similarity
-      FROM "Chunks" c
-      INNER JOIN "Recursos" r ON r.id = c."recursoId"
-      WHERE c.embedding IS NOT NULL 
-        AND c."embeddingStatus" = 'completed'
-        AND r.activo = true
-      ORDER BY c.embedding <=> :embedding::vector
-      LIMIT :limit
-    `, {
-      replacements: { embedding: embeddingStr, limit: limit * 2 },
-      type: sequelize.QueryTypes.SELECT
-    });
-
-    // Filtrar por categoría si se especifica
-    if (categoria && categoria !== 'general') {
-      results = results.filter(r => r.categoria === categoria || r.categoria === 'general');
-    }
-
-    // Agrupar por recurso
-    const resourceMap = new Map();
-    for (const chunk of results) {
-      const resourceId = chunk.recursoId;
-      if (!resourceMap.has(resourceId)) {
-        resourceMap.set(resourceId, {
-          id: resourceId,
-          tipo: chunk.tipo,
-          titulo: chunk.titulo,
-          descripcion: chunk.descripcion,
-          url: chunk.url,
-          categoria: chunk.categoria,
-          similarity: chunk.similarity,
-          contenido: chunk.chunk_contenido
-        });
-      }
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}`
+      });
     }
 
+    const startedAt = Date.now();
+
+    // Generar embedding de la consulta (el modo keyword no lo necesita)
+    const queryEmbedding = mode === 'keyword' ? null : await generateEmbedding(query);
+
+    // Filtros y agrupación por recurso se resuelven en la consulta SQL
+    const results = await searchResources(queryEmbedding, {
+      limit: Math.min(Math.max(parseInt(limit) || 5, 1), MAX_SEARCH_LIMIT),
+      chunksPerResource: Math.min(Math.max(parseInt(chunksPerResource) || 1, 1), MAX_CHUNKS_PER_RESOURCE),
+      mode,
+      queryText: query,
+      filters: { categoria, tipo, recursoIds }
+    });
+
+    // Registro para el informe de búsquedas (sin bloquear la respuesta)
+    recordSearch({
+      query,
+      filters: { categoria, tipo },
+      mode,
+      queryEmbedding,
+      results,
+      durationMs: Date.now() - startedAt,
+      apiKeyId: req.apiKey.id
+    }).catch(error => console.error('Record search error:', error.message));
+
     res.json({
       success: true,
-      data: Array.from(resourceMap.values()).slice(0, limit)
+      data: results
     });
 
   } catch (error) {
@@ -129,6 +197,80 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// --- Import/export de la base de conocimiento (Solo admin) ---
+
+// Exportar recursos con su contenido completo (?format=jsonl|zip&includeEmbeddings=true&categoria=)
+router.get('/export', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { format = 'jsonl', categoria } = req.query;
+    const includeEmbeddings = req.query.includeEmbeddings === 'true';
+
+    if (!['jsonl', 'zip'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Invalid format. Use jsonl or zip' });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'zip') {
+      const zip = await exportZip({ includeEmbeddings, categoria });
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="recursos_${stamp}.zip"`);
+      return res.send(zip);
+    }
+
+    // JSONL: una línea por recurso, se escribe según se lee
+    const count = await Recurso.count({ where: categoria ? { categoria } : {} });
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="recursos_${stamp}.jsonl"`);
+    res.write(JSON.stringify(await bundleHeader({ includeEmbeddings, count })) + '\n');
+    for await (const record of exportRecords({ includeEmbeddings, categoria })) {
+      res.write(recordLine(record) + '\n');
+    }
+    res.end();
+
+  } catch (error) {
+    console.error('Export recursos error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ success: false, message: 'Error exporting resources' });
+  }
+});
+
+// Importar un bundle JSONL/ZIP en segundo plano (multipart: file, reuseEmbeddings).
+// El progreso se consulta en GET /api/recursos/:jobId/status
+router.post('/import', authMiddleware, adminMiddleware, uploadBundle, async (req, res) => {
+  try {
+    let job;
+    try {
+      job = await createImportJob(
+        { data: req.file.buffer, name: req.file.originalname },
+        { reuseEmbeddings: req.body.reuseEmbeddings !== 'false', userId: req.userId }
+      );
+    } catch (bundleError) {
+      if (bundleError.code !== 'BUNDLE_INVALID') throw bundleError;
+      return res.status(400).json({ success: false, message: bundleError.message });
+    }
+
+    wakeWorker();
+
+    res.status(202).json({
+      success: true,
+      message: 'Importación en cola',
+      data: {
+        jobId: job.id,
+        format: job.format,
+        totalRecords: job.totalRecords,
+        statusUrl: `/api/recursos/${job.id}/status`
+      }
+    });
+
+  } catch (error) {
+    console.error('Import recursos error:', error);
+    res.status(500).json({ success: false, message: 'Error importing resources' });
+  }
+});
+
 // Obtener un recurso con sus chunks
 router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -136,7 +278,7 @@ router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       include: [{
         model: Chunk,
         as: 'chunks',
-        attributes: ['id', 'chunkIndex', 'tokens', 'embeddingStatus'],
+        attributes: ['id', 'chunkIndex', 'tokens', 'truncated', 'pageStart', 'pageEnd', 'embeddingStatus'],
         order: [['chunkIndex', 'ASC']]
       }]
     });
@@ -168,26 +310,29 @@ router.post('/', authMiddleware, adminMiddleware, [
     const { tipo, titulo, descripcion, url, contenido, categoria } = req.body;
 
     // Calcular número de chunks (sin crear el array completo)
-    const fullText = [titulo, descripcion, contenido].filter(Boolean).join('\n\n');
-    const numChunks = countChunks(fullText);
-    const estimatedTimeSeconds = numChunks * (DELAY_BETWEEN_CHUNKS_MS / 1000 + 0.5);
+    const fullText = buildFullText({ titulo, descripcion, contenido });
+    const numChunks = countChunks(fullText, tipo);
+    const estimatedTimeSeconds = estimateProcessingSeconds(numChunks);
 
-    // Crear recurso SIN el contenido completo (se guarda en chunks)
+    // Crear recurso SIN el contenido completo (se guarda en RecursoVersion)
     // Solo guardar primeros 500 chars como preview
-    const contentPreview = contenido ? contenido.substring(0, 500) + (contenido.length > 500 ? '...' : '') : null;
-    
     const recurso = await Recurso.create({
       tipo,
       titulo,
       descripcion,
       url,
-      contenido: contentPreview,
+      contenido: contentPreview(contenido),
       categoria: categoria || 'general',
       embeddingStatus: 'pending'
     });
 
-    // Generar chunks y embeddings en background
-    processRecursoChunksWithContent(recurso.id, fullText);
+    const version = await createVersion(recurso.id, { titulo, descripcion, contenido }, {
+      origen: 'create',
+      userId: req.userId
+    });
+
+    // Generar chunks y embeddings en background (cola persistente)
+    const job = await enqueueIngestion(recurso.id, fullText);
 
     // Limpiar referencia al contenido grande
     req.body.contenido = null;
@@ -200,8 +345,10 @@ router.post('/', authMiddleware, adminMiddleware, [
         titulo: recurso.titulo,
         categoria: recurso.categoria,
         embeddingStatus: recurso.embeddingStatus,
+        version: version.version,
+        jobId: job.id,
         estimatedChunks: numChunks,
-        estimatedTimeSeconds: Math.ceil(estimatedTimeSeconds)
+        estimatedTimeSeconds
       },
       message: 'Recurso creado. Los embeddings se están generando.'
     });
@@ -212,10 +359,419 @@ router.post('/', authMiddleware, adminMiddleware, [
   }
 });
 
+// Crear recurso PDF subiendo el fichero (multipart: file, titulo, descripcion, url, categoria)
+router.post('/pdf', authMiddleware, adminMiddleware, uploadPdf, [
+  body('titulo').notEmpty().trim(),
+  body('categoria').optional().isIn(['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { titulo, descripcion, url, categoria } = req.body;
+
+    // Extraer texto página a página; los PDFs cifrados o sin texto quedan en error
+    let extracted = null;
+    let extractionError = null;
+    try {
+      extracted = await extractPdfPages(req.file.buffer);
+    } catch (pdfError) {
+      if (!pdfError.code) throw pdfError;
+      extractionError = pdfError;
+    }
+
+    const contenido = extracted ? extracted.pages.join(PAGE_SEPARATOR) : null;
+
+    const recurso = await Recurso.create({
+      tipo: 'pdf',
+      titulo,
+      descripcion,
+      url,
+      contenido: contentPreview(contenido),
+      categoria: categoria || 'general',
+      embeddingStatus: extractionError ? 'error' : 'pending',
+      processingError: extractionError ? extractionError.message : null
+    });
+
+    const version = await createVersion(recurso.id, { titulo, descripcion, contenido }, {
+      origen: 'create',
+      userId: req.userId,
+      file: { data: req.file.buffer, name: req.file.originalname, mimeType: req.file.mimetype }
+    });
+
+    if (extractionError) {
+      return res.status(422).json({
+        success: false,
+        message: extractionError.message,
+        data: {
+          id: recurso.id,
+          tipo: recurso.tipo,
+          titulo: recurso.titulo,
+          embeddingStatus: recurso.embeddingStatus,
+          processingError: recurso.processingError,
+          errorCode: extractionError.code,
+          version: version.version
+        }
+      });
+    }
+
+    const fullText = buildFullText({ titulo, descripcion, contenido });
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: recurso.id,
+        tipo: recurso.tipo,
+        titulo: recurso.titulo,
+        categoria: recurso.categoria,
+        embeddingStatus: recurso.embeddingStatus,
+        numPages: extracted.numPages,
+        version: version.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      },
+      message: 'PDF procesado. Los embeddings se están generando.'
+    });
+
+  } catch (error) {
+    console.error('Upload PDF error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading PDF' });
+  }
+});
+
+// Sustituir el PDF de un recurso (nueva versión + re-trocear)
+router.put('/:id/pdf', authMiddleware, adminMiddleware, uploadPdf, async (req, res) => {
+  try {
+    const recurso = await Recurso.findByPk(req.params.id);
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+
+    let extracted;
+    try {
+      extracted = await extractPdfPages(req.file.buffer);
+    } catch (pdfError) {
+      if (!pdfError.code) throw pdfError;
+      // El recurso conserva su contenido y chunks anteriores
+      return res.status(422).json({
+        success: false,
+        message: pdfError.message,
+        data: { id: recurso.id, errorCode: pdfError.code }
+      });
+    }
+
+    const fields = {
+      titulo: req.body.titulo || recurso.titulo,
+      descripcion: req.body.descripcion !== undefined ? req.body.descripcion : recurso.descripcion,
+      contenido: extracted.pages.join(PAGE_SEPARATOR)
+    };
+
+    const version = await createVersion(recurso.id, fields, {
+      origen: 'update',
+      userId: req.userId,
+      file: { data: req.file.buffer, name: req.file.originalname, mimeType: req.file.mimetype }
+    });
+
+    await recurso.update({
+      tipo: 'pdf',
+      titulo: fields.titulo,
+      descripcion: fields.descripcion,
+      contenido: contentPreview(fields.contenido),
+      embeddingStatus: 'pending'
+    });
+
+    const fullText = buildFullText(fields);
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.json({
+      success: true,
+      data: {
+        id: recurso.id,
+        tipo: recurso.tipo,
+        titulo: recurso.titulo,
+        embeddingStatus: recurso.embeddingStatus,
+        numPages: extracted.numPages,
+        version: version.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      },
+      message: 'PDF actualizado. Los embeddings se están regenerando.'
+    });
+
+  } catch (error) {
+    console.error('Replace PDF error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading PDF' });
+  }
+});
+
+// Crear recurso de vídeo con su transcripción (multipart: file .srt/.vtt, titulo, descripcion, url, categoria)
+router.post('/transcript', authMiddleware, adminMiddleware, uploadTranscript, [
+  body('titulo').notEmpty().trim(),
+  body('categoria').optional().isIn(['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { titulo, descripcion, url, categoria } = req.body;
+
+    let transcript;
+    try {
+      transcript = parseTranscript(req.file.buffer);
+    } catch (transcriptError) {
+      if (!transcriptError.code) throw transcriptError;
+      return res.status(422).json({
+        success: false,
+        message: transcriptError.message,
+        data: { errorCode: transcriptError.code }
+      });
+    }
+
+    const recurso = await Recurso.create({
+      tipo: 'video',
+      titulo,
+      descripcion,
+      url,
+      contenido: contentPreview(transcript.contenido),
+      categoria: categoria || 'general',
+      embeddingStatus: 'pending'
+    });
+
+    const fields = { titulo, descripcion, contenido: transcript.contenido };
+    const version = await createVersion(recurso.id, fields, {
+      origen: 'create',
+      userId: req.userId,
+      file: { data: req.file.buffer, name: req.file.originalname, mimeType: req.file.mimetype }
+    });
+
+    const fullText = buildFullText(fields);
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: recurso.id,
+        tipo: recurso.tipo,
+        titulo: recurso.titulo,
+        categoria: recurso.categoria,
+        embeddingStatus: recurso.embeddingStatus,
+        cues: transcript.cues,
+        durationSeconds: transcript.durationSeconds,
+        version: version.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      },
+      message: 'Transcripción procesada. Los embeddings se están generando.'
+    });
+
+  } catch (error) {
+    console.error('Upload transcript error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading transcript' });
+  }
+});
+
+// Subir o sustituir la transcripción de un vídeo (nueva versión + re-trocear por cues)
+router.put('/:id/transcript', authMiddleware, adminMiddleware, uploadTranscript, async (req, res) => {
+  try {
+    const recurso = await Recurso.findByPk(req.params.id);
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+    if (recurso.tipo !== 'video') {
+      return res.status(400).json({ success: false, message: 'Transcripts can only be attached to video resources' });
+    }
+
+    let transcript;
+    try {
+      transcript = parseTranscript(req.file.buffer);
+    } catch (transcriptError) {
+      if (!transcriptError.code) throw transcriptError;
+      // El recurso conserva su contenido y chunks anteriores
+      return res.status(422).json({
+        success: false,
+        message: transcriptError.message,
+        data: { id: recurso.id, errorCode: transcriptError.code }
+      });
+    }
+
+    const latest = await getOrCreateLatestVersion(recurso);
+    const fields = {
+      titulo: req.body.titulo || latest.titulo,
+      descripcion: req.body.descripcion !== undefined ? req.body.descripcion : latest.descripcion,
+      contenido: transcript.contenido
+    };
+
+    const version = await createVersion(recurso.id, fields, {
+      origen: 'update',
+      userId: req.userId,
+      file: { data: req.file.buffer, name: req.file.originalname, mimeType: req.file.mimetype }
+    });
+
+    await recurso.update({
+      titulo: fields.titulo,
+      descripcion: fields.descripcion,
+      contenido: contentPreview(fields.contenido),
+      embeddingStatus: 'pending'
+    });
+
+    const fullText = buildFullText(fields);
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.json({
+      success: true,
+      data: {
+        id: recurso.id,
+        tipo: recurso.tipo,
+        titulo: recurso.titulo,
+        embeddingStatus: recurso.embeddingStatus,
+        cues: transcript.cues,
+        durationSeconds: transcript.durationSeconds,
+        version: version.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      },
+      message: 'Transcripción actualizada. Los embeddings se están regenerando.'
+    });
+
+  } catch (error) {
+    console.error('Replace transcript error:', error);
+    res.status(500).json({ success: false, message: 'Error uploading transcript' });
+  }
+});
+
+// Crear artículo descargando una url (extrae el texto principal; autoSync lo re-sincroniza periódicamente)
+router.post('/from-url', authMiddleware, adminMiddleware, [
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  body('titulo').optional().trim(),
+  body('autoSync').optional().isBoolean(),
+  body('categoria').optional().isIn(['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { url, descripcion, categoria, autoSync = true } = req.body;
+
+    let article;
+    try {
+      article = await fetchArticle(url);
+    } catch (fetchError) {
+      if (!fetchError.code) throw fetchError;
+      return res.status(422).json({
+        success: false,
+        message: fetchError.message,
+        data: { errorCode: fetchError.code, status: fetchError.status }
+      });
+    }
+
+    const titulo = req.body.titulo || article.title || url;
+    const fields = { titulo, descripcion, contenido: article.markdown };
+
+    const recurso = await Recurso.create({
+      tipo: 'articulo',
+      titulo,
+      descripcion,
+      url,
+      contenido: contentPreview(fields.contenido),
+      categoria: categoria || 'general',
+      autoSync: autoSync === true || autoSync === 'true',
+      lastFetchedAt: new Date(),
+      lastFetchStatus: article.status
+    });
+
+    const version = await createVersion(recurso.id, fields, {
+      origen: 'create',
+      userId: req.userId
+    });
+
+    const fullText = buildFullText(fields);
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: recurso.id,
+        tipo: recurso.tipo,
+        titulo: recurso.titulo,
+        url: recurso.url,
+        categoria: recurso.categoria,
+        autoSync: recurso.autoSync,
+        lastFetchStatus: recurso.lastFetchStatus,
+        embeddingStatus: recurso.embeddingStatus,
+        version: version.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      },
+      message: 'Artículo descargado. Los embeddings se están generando.'
+    });
+
+  } catch (error) {
+    console.error('Ingest URL error:', error);
+    res.status(500).json({ success: false, message: 'Error ingesting URL' });
+  }
+});
+
+// Re-sincronizar ahora un artículo con url (solo re-trocea si cambió el contenido)
+router.post('/:id/sync', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const recurso = await Recurso.findByPk(req.params.id);
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+    if (recurso.tipo !== 'articulo' || !recurso.url) {
+      return res.status(400).json({ success: false, message: 'Only articles with a url can be synced' });
+    }
+
+    const result = await syncArticle(recurso, { userId: req.userId });
+
+    if (result.error) {
+      return res.status(422).json({
+        success: false,
+        message: result.error,
+        data: { id: recurso.id, ...result }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.changed
+        ? 'La página cambió. Los embeddings se están regenerando.'
+        : 'Sin cambios desde la última descarga.',
+      data: {
+        id: recurso.id,
+        lastFetchedAt: recurso.lastFetchedAt,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Sync article error:', error);
+    res.status(500).json({ success: false, message: 'Error syncing article' });
+  }
+});
+
 // Actualizar recurso
 router.put('/:id', authMiddleware, adminMiddleware, [
   body('tipo').optional().isIn(['video', 'pdf', 'articulo']),
   body('titulo').optional().notEmpty().trim(),
+  body('autoSync').optional().isBoolean(),
   body('categoria').optional().isIn(['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'])
 ], async (req, res) => {
   try {
@@ -229,7 +785,7 @@ router.put('/:id', authMiddleware, adminMiddleware, [
       return res.status(404).json({ success: false, message: 'Resource not found' });
     }
 
-    const { tipo, titulo, descripcion, url, contenido, categoria, activo } = req.body;
+    const { tipo, titulo, descripcion, url, contenido, categoria, activo, autoSync } = req.body;
     
     const updates = {};
     if (tipo !== undefined) updates.tipo = tipo;
@@ -238,9 +794,18 @@ router.put('/:id', authMiddleware, adminMiddleware, [
     if (url !== undefined) updates.url = url;
     if (categoria !== undefined) updates.categoria = categoria;
     if (activo !== undefined) updates.activo = activo;
+    if (autoSync !== undefined) updates.autoSync = autoSync;
     
+    // Comparar con la última versión completa (Recurso.contenido es solo un preview)
+    const latest = await getOrCreateLatestVersion(recurso);
+    const nextFields = {
+      titulo: updates.titulo || latest.titulo,
+      descripcion: descripcion !== undefined ? descripcion : latest.descripcion,
+      contenido: contenido !== undefined ? contenido : latest.contenido
+    };
+
     // Si cambia el contenido, regenerar chunks y embeddings
-    const contenidoCambio = contenido !== undefined && contenido !== recurso.contenido;
+    const contenidoCambio = contenido !== undefined && contenido !== latest.contenido;
     
     let estimatedChunks = 0;
     let estimatedTimeSeconds = 0;
@@ -248,25 +813,31 @@ router.put('/:id', authMiddleware, adminMiddleware, [
 
     if (contenidoCambio) {
       // Solo guardar preview del contenido
-      updates.contenido = contenido ? contenido.substring(0, 500) + (contenido.length > 500 ? '...' : '') : null;
+      updates.contenido = contentPreview(contenido);
       updates.embeddingStatus = 'pending';
       
       // Preparar texto completo para procesamiento
-      fullTextForProcessing = [
-        updates.titulo || recurso.titulo, 
-        updates.descripcion || recurso.descripcion, 
-        contenido
-      ].filter(Boolean).join('\n\n');
+      fullTextForProcessing = buildFullText(nextFields);
       
-      estimatedChunks = countChunks(fullTextForProcessing);
-      estimatedTimeSeconds = Math.ceil(estimatedChunks * (DELAY_BETWEEN_CHUNKS_MS / 1000 + 0.5));
+      estimatedChunks = countChunks(fullTextForProcessing, updates.tipo || recurso.tipo);
+      estimatedTimeSeconds = estimateProcessingSeconds(estimatedChunks);
     }
 
     await recurso.update(updates);
 
+    // Nueva versión si cambió cualquier parte del texto del recurso
+    const version = hashFields(nextFields) !== latest.contentHash
+      ? await createVersion(recurso.id, nextFields, {
+        origen: 'update',
+        userId: req.userId,
+        file: contenidoCambio ? null : versionFile(latest)
+      })
+      : latest;
+
     // Regenerar chunks si cambió contenido
+    let job = null;
     if (contenidoCambio && fullTextForProcessing) {
-      processRecursoChunksWithContent(recurso.id, fullTextForProcessing);
+      job = await enqueueIngestion(recurso.id, fullTextForProcessing);
     }
 
     // Limpiar referencia
@@ -280,6 +851,8 @@ router.put('/:id', authMiddleware, adminMiddleware, [
         titulo: recurso.titulo,
         categoria: recurso.categoria,
         embeddingStatus: recurso.embeddingStatus,
+        version: version.version,
+        jobId: job ? job.id : null,
         estimatedChunks,
         estimatedTimeSeconds
       },
@@ -317,11 +890,41 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
 router.get('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const recurso = await Recurso.findByPk(req.params.id, {
-      attributes: ['id', 'titulo', 'embeddingStatus']
+      attributes: ['id', 'titulo', 'embeddingStatus', 'processingError', 'autoSync', 'lastFetchedAt', 'lastFetchStatus', 'lastFetchError']
     });
     
     if (!recurso) {
-      return res.status(404).json({ success: false, message: 'Resource not found' });
+      // Mismo endpoint para el progreso de una importación (POST /import devuelve su jobId)
+      const importJob = await getImportJob(req.params.id);
+      if (!importJob) {
+        return res.status(404).json({ success: false, message: 'Resource not found' });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          import: {
+            id: importJob.id,
+            status: importJob.status,
+            fileName: importJob.fileName,
+            format: importJob.format,
+            progress: {
+              total: importJob.totalRecords,
+              processed: importJob.processedRecords,
+              percent: importJob.totalRecords ? Math.round(importJob.processedRecords / importJob.totalRecords * 100) : 0
+            },
+            created: importJob.created,
+            updated: importJob.updated,
+            skipped: importJob.skipped,
+            failed: importJob.failed,
+            embeddingsReused: importJob.embeddingsReused,
+            errors: importJob.errors,
+            error: importJob.error,
+            startedAt: importJob.startedAt,
+            finishedAt: importJob.finishedAt
+          }
+        }
+      });
     }
 
     const chunkStats = await Chunk.findAll({
@@ -347,9 +950,21 @@ router.get('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
       stats.total += count;
     });
 
+    // Chunks recortados antes de embeber (más tokens de los que admite el modelo)
+    stats.truncated = await Chunk.count({ where: { recursoId: req.params.id, truncated: true } });
+
+    // Último job de ingesta del recurso
+    const job = await IngestionJob.findOne({
+      where: { recursoId: req.params.id },
+      order: [['createdAt', 'DESC']],
+      attributes: { exclude: ['sourceText'] }
+    });
+
     // Calcular tiempo restante estimado
-    const remaining = stats.pending + stats.processing;
-    const estimatedSecondsRemaining = remaining * (DELAY_BETWEEN_CHUNKS_MS / 1000 + 0.5);
+    const remaining = job && job.totalChunks && ['queued', 'running'].includes(job.status)
+      ? job.totalChunks - (job.lastChunkIndex + 1)
+      : stats.pending + stats.processing;
+    const estimatedSecondsRemaining = estimateProcessingSeconds(Math.max(remaining, 0));
 
     res.json({
       success: true,
@@ -357,11 +972,33 @@ router.get('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
         recurso: {
           id: recurso.id,
           titulo: recurso.titulo,
-          status: recurso.embeddingStatus
+          status: recurso.embeddingStatus,
+          processingError: recurso.processingError,
+          autoSync: recurso.autoSync,
+          lastFetchedAt: recurso.lastFetchedAt,
+          lastFetchStatus: recurso.lastFetchStatus,
+          lastFetchError: recurso.lastFetchError
         },
         chunks: stats,
-        progress: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0,
-        estimatedSecondsRemaining: Math.ceil(estimatedSecondsRemaining)
+        job: job ? {
+          id: job.id,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          lastChunkIndex: job.lastChunkIndex,
+          totalChunks: job.totalChunks,
+          runAt: job.runAt,
+          heartbeatAt: job.heartbeatAt,
+          error: job.error,
+          cache: {
+            hits: job.cacheHits,
+            misses: job.cacheMisses
+          }
+        } : null,
+        progress: job && job.totalChunks
+          ? Math.round(((job.lastChunkIndex + 1) / job.totalChunks) * 100)
+          : (stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0),
+        estimatedSecondsRemaining
       }
     });
 
@@ -379,22 +1016,27 @@ router.post('/:id/reprocess', authMiddleware, adminMiddleware, async (req, res)
       return res.status(404).json({ success: false, message: 'Resource not found' });
     }
 
-    await recurso.update({ embeddingStatus: 'pending' });
-    
+    // Reprocesar desde el contenido completo de la última versión
+    const version = await getOrCreateLatestVersion(recurso);
+
     // Eliminar chunks existentes y reprocesar
     await Chunk.destroy({ where: { recursoId: req.params.id } });
     
-    const fullText = [recurso.titulo, recurso.descripcion, recurso.contenido].filter(Boolean).join('\n\n');
-    const numChunks = countChunks(fullText);
+    const fullText = buildFullText(version);
+    const numChunks = countChunks(fullText, recurso.tipo);
     
-    processRecursoChunks(recurso.id);
+    const job = await enqueueIngestion(recurso.id, fullText);
 
     res.json({ 
       success: true, 
-      message: 'Reprocesamiento iniciado',
+      message: version.origen === 'legacy'
+        ? 'Reprocesamiento iniciado. Este recurso es anterior al versionado: solo se conserva su preview.'
+        : 'Reprocesamiento iniciado',
       data: {
+        version: version.version,
+        jobId: job.id,
         estimatedChunks: numChunks,
-        estimatedTimeSeconds: Math.ceil(numChunks * (DELAY_BETWEEN_CHUNKS_MS / 1000 + 0.5))
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
       }
     });
 
@@ -404,118 +1046,175 @@ router.post('/:id/reprocess', authMiddleware, adminMiddleware, async (req, res)
   }
 });
 
-/**
- * Procesa chunks con el contenido pasado directamente usando GENERADOR (no carga todo en memoria)
- * @param {string} recursoId 
- * @param {string} fullText - Texto completo a procesar
- */
-async function processRecursoChunksWithContent(recursoId, fullText) {
-  try {
-    await Recurso.update(
-      { embeddingStatus: 'processing' },
-      { where: { id: recursoId } }
-    );
+// --- Versiones (Solo admin) ---
 
-    if (!fullText || !fullText.trim()) {
-      await Recurso.update({ embeddingStatus: 'error' }, { where: { id: recursoId } });
-      console.error(`[Recurso ${recursoId}] No tiene contenido para procesar`);
-      return;
+// Listar versiones de un recurso
+router.get('/:id/versions', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const recurso = await Recurso.findByPk(req.params.id, { attributes: ['id'] });
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
     }
 
-    // Eliminar chunks anteriores
-    await Chunk.destroy({ where: { recursoId } });
+    const versions = await RecursoVersion.findAll({
+      where: { recursoId: req.params.id },
+      attributes: [
+        'id', 'version', 'titulo', 'contentHash', 'origen', 'rolledBackFrom', 'createdByUserId', 'createdAt',
+        'fileName', 'fileMimeType',
+        [sequelize.fn('COALESCE', sequelize.fn('LENGTH', sequelize.col('contenido')), 0), 'contentLength']
+      ],
+      order: [['version', 'DESC']]
+    });
+
+    res.json({ success: true, data: versions });
 
-    // Contar total para logs (usa generador, no crea array)
-    const totalChunks = countChunks(fullText);
-    console.log(`[Recurso ${recursoId}] Iniciando: ${totalChunks} chunks`);
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({ success: false, message: 'Error listing versions' });
+  }
+});
 
-    if (totalChunks === 0) {
-      await Recurso.update({ embeddingStatus: 'error' }, { where: { id: recursoId } });
-      return;
+// Comparar dos versiones (por defecto: la última con la anterior)
+router.get('/:id/versions/diff', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const latestNumber = await RecursoVersion.max('version', { where: { recursoId: req.params.id } });
+    if (!latestNumber) {
+      return res.status(404).json({ success: false, message: 'Resource has no versions' });
     }
 
-    let completedCount = 0;
-    let errorCount = 0;
-    let currentIndex = 0;
+    const to = parseInt(req.query.to) || latestNumber;
+    const from = parseInt(req.query.from) || to - 1;
 
-    // Procesar usando GENERADOR - solo un chunk en memoria a la vez
-    for (const chunkData of chunkTextGenerator(fullText)) {
-      currentIndex++;
-      
-      try {
-        // Crear chunk en BD
-        const chunk = await Chunk.create({
-          recursoId,
-          chunkIndex: chunkData.index,
-          contenido: chunkData.content,
-          tokens: chunkData.tokens,
-          embeddingStatus: 'processing'
-        });
+    const [fromVersion, toVersion] = await Promise.all([
+      RecursoVersion.findOne({ where: { recursoId: req.params.id, version: from } }),
+      RecursoVersion.findOne({ where: { recursoId: req.params.id, version: to } })
+    ]);
 
-        // Generar embedding
-        const embedding = await generateEmbedding(chunkData.content);
-        const embeddingStr = `[${embedding.join(',')}]`;
-
-        // Guardar embedding
-        await sequelize.query(`
-          UPDATE "Chunks" 
-          SET embedding = :embedding::vector, "embeddingStatus" = 'completed', "updatedAt" = NOW()
-          WHERE id = :id
-        `, {
-          replacements: { embedding: embeddingStr, id: chunk.id }
-        });
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
 
-        completedCount++;
-        
-        if (currentIndex % 10 === 0 || currentIndex === totalChunks) {
-          console.log(`[Recurso ${recursoId}] ${currentIndex}/${totalChunks} (${completedCount} OK, ${errorCount} err)`);
-        }
+    const fields = {};
+    for (const field of ['titulo', 'descripcion']) {
+      if (fromVersion[field] !== toVersion[field]) {
+        fields[field] = { from: fromVersion[field], to: toVersion[field] };
+      }
+    }
 
-      } catch (chunkError) {
-        console.error(`[Recurso ${recursoId}] Error chunk ${currentIndex}:`, chunkError.message);
-        
-        // Intentar guardar el chunk con error
-        try {
-          await Chunk.create({
-            recursoId,
-            chunkIndex: chunkData.index,
-            contenido: chunkData.content.substring(0, 1000),
-            tokens: chunkData.tokens,
-            embeddingStatus: 'error'
-          });
-        } catch (e) {}
-        
-        errorCount++;
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        identical: fromVersion.contentHash === toVersion.contentHash,
+        fields,
+        contenido: diffTexts(fromVersion.contenido, toVersion.contenido)
       }
+    });
 
-      // PAUSA entre chunks para liberar memoria
-      await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_CHUNKS_MS));
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({ success: false, message: 'Error comparing versions' });
+  }
+});
+
+// Obtener una versión con su contenido completo
+router.get('/:id/versions/:version', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const version = await RecursoVersion.findOne({
+      where: { recursoId: req.params.id, version: parseInt(req.params.version) || 0 },
+      attributes: { exclude: ['fileData'] }
+    });
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
     }
 
-    // Actualizar estado final
-    const finalStatus = errorCount === 0 ? 'completed' : (completedCount > 0 ? 'completed' : 'error');
-    await Recurso.update({ embeddingStatus: finalStatus }, { where: { id: recursoId } });
+    res.json({ success: true, data: version });
+
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({ success: false, message: 'Error getting version' });
+  }
+});
+
+// Descargar el fichero original de una versión (PDF)
+router.get('/:id/versions/:version/file', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const version = await RecursoVersion.findOne({
+      where: { recursoId: req.params.id, version: parseInt(req.params.version) || 0 },
+      attributes: ['fileData', 'fileName', 'fileMimeType']
+    });
 
-    console.log(`[Recurso ${recursoId}] DONE: ${completedCount} OK, ${errorCount} errors`);
+    if (!version || !version.fileData) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.setHeader('Content-Type', version.fileMimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(version.fileName || 'recurso.pdf')}"`);
+    res.send(version.fileData);
 
   } catch (error) {
-    console.error(`[Recurso ${recursoId}] Fatal:`, error.message);
-    await Recurso.update({ embeddingStatus: 'error' }, { where: { id: recursoId } }).catch(() => {});
+    console.error('Get version file error:', error);
+    res.status(500).json({ success: false, message: 'Error getting file' });
   }
-}
+});
 
-/**
- * Procesa un recurso existente (para reprocess)
- */
-async function processRecursoChunks(recursoId) {
-  const recurso = await Recurso.findByPk(recursoId, {
-    attributes: ['id', 'titulo', 'descripcion', 'contenido']
-  });
-  
-  if (!recurso) return;
-  
-  const fullText = [recurso.titulo, recurso.descripcion, recurso.contenido].filter(Boolean).join('\n\n');
-  await processRecursoChunksWithContent(recursoId, fullText);
-}
+// Volver a una versión anterior (crea una nueva versión con ese contenido y la re-trocea)
+router.post('/:id/versions/:version/rollback', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const recurso = await Recurso.findByPk(req.params.id);
+    if (!recurso) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+
+    const target = await RecursoVersion.findOne({
+      where: { recursoId: recurso.id, version: parseInt(req.params.version) || 0 }
+    });
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    const fields = {
+      titulo: target.titulo,
+      descripcion: target.descripcion,
+      contenido: target.contenido
+    };
+
+    const version = await createVersion(recurso.id, fields, {
+      origen: 'rollback',
+      rolledBackFrom: target.version,
+      userId: req.userId,
+      file: versionFile(target)
+    });
+
+    await recurso.update({
+      titulo: fields.titulo,
+      descripcion: fields.descripcion,
+      contenido: contentPreview(fields.contenido),
+      embeddingStatus: 'pending'
+    });
+
+    const fullText = buildFullText(fields);
+    const numChunks = countChunks(fullText, recurso.tipo);
+    const job = await enqueueIngestion(recurso.id, fullText);
+
+    res.json({
+      success: true,
+      message: `Recurso restaurado a la versión ${target.version}. Los embeddings se están regenerando.`,
+      data: {
+        version: version.version,
+        rolledBackFrom: target.version,
+        jobId: job.id,
+        estimatedChunks: numChunks,
+        estimatedTimeSeconds: estimateProcessingSeconds(numChunks)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollback version error:', error);
+    res.status(500).json({ success: false, message: 'Error rolling back version' });
+  }
+});
 
 module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Retrieval evaluation CLI
+ *
+ * Runs an eval set through the current search pipeline, stores the run and
+ * prints recall@k, MRR and the questions that missed.
+ *
+ * Usage:
+ *   node scripts/eval-retrieval.js --set <name|id> [--k 5] [--mode vector|keyword|hybrid]
+ *     [--label "antes del reindex"] [--file set.json] [--compare <runId>] [--min-recall 0.8]
+ *
+ * --file        Creates/updates the set from a JSON file ({ name, description, questions })
+ * --compare     Compares the new run against a previous one
+ * --min-recall  Exits with code 1 if recall@k is below this value (CI)
+ *
+ * Offline/CI: EMBEDDING_PROVIDER=hashing uses the deterministic local embedding
+ * (the Recursos must have been ingested with the same provider).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const sequelize = require('../config/database');
+const { EvalSet, EvalRun } = require('../models');
+const { normalizeQuestions, runEvalSet, compareRuns, EVAL_DEFAULTS } = require('../services/retrievalEval');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+async function loadSetFromFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const questions = normalizeQuestions(data.questions);
+
+  const existing = await EvalSet.findOne({ where: { name: data.name } });
+  if (existing) {
+    await existing.update({ description: data.description, questions });
+    console.log(`✅ Eval set updated from file: ${data.name} (${questions.length} questions)`);
+    return existing;
+  }
+
+  const created = await EvalSet.create({ name: data.name, description: data.description, questions });
+  console.log(`✅ Eval set created from file: ${data.name} (${questions.length} questions)`);
+  return created;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await sequelize.authenticate();
+    // Crea EvalSets/EvalRuns si aún no existen (sin alterar el resto)
+    await EvalSet.sync();
+    await EvalRun.sync();
+
+    let evalSet = null;
+    if (args.file) {
+      evalSet = await loadSetFromFile(args.file);
+    } else if (args.set) {
+      evalSet = UUID_PATTERN.test(args.set)
+        ? await EvalSet.findByPk(args.set)
+        : await EvalSet.findOne({ where: { name: args.set } });
+    }
+
+    if (!evalSet) {
+      console.error('❌ Eval set not found. Use --set <name|id> or --file <set.json>');
+      process.exit(1);
+    }
+
+    const k = parseInt(args.k) || EVAL_DEFAULTS.k;
+    const mode = args.mode || EVAL_DEFAULTS.mode;
+    console.log(`🔄 Running "${evalSet.name}" (${evalSet.questions.length} questions, k=${k}, mode=${mode})...`);
+
+    const run = await runEvalSet(evalSet.id, { k, mode, label: args.label || null });
+    if (run.status !== 'completed') {
+      console.error(`❌ Eval run failed: ${run.error}`);
+      process.exit(1);
+    }
+
+    const { metrics } = run;
+    console.log(`\nRun ${run.id}`);
+    console.log(`  recall@${k}: ${pct(metrics.recallAtK)}`);
+    console.log(`  MRR:       ${metrics.mrr.toFixed(3)}`);
+    console.log(`  hit rate:  ${pct(metrics.hitRate)}`);
+
+    const missed = run.results.filter(r => r.misses.length > 0);
+    if (missed.length > 0) {
+      console.log(`\nMisses (${missed.length}):`);
+      for (const result of missed) {
+        const expected = result.misses
+          .map(m => (m.chunkIndex === null ? m.recursoId : `${m.recursoId}#${m.chunkIndex}`))
+          .join(', ');
+        console.log(`  - ${result.question}\n      expected: ${expected}`);
+      }
+    }
+
+    if (args.compare) {
+      const base = await EvalRun.findByPk(args.compare);
+      if (!base) {
+        console.error(`❌ Run to compare not found: ${args.compare}`);
+        process.exit(1);
+      }
+      const comparison = compareRuns(base, run);
+      const sign = (value) => (value >= 0 ? '+' : '') + value.toFixed(3);
+      console.log(`\nCompared with ${base.id}${base.label ? ` (${base.label})` : ''}:`);
+      console.log(`  recall@k ${sign(comparison.delta.recallAtK)}, MRR ${sign(comparison.delta.mrr)}`);
+      console.log(`  improved ${comparison.counts.improved}, regressed ${comparison.counts.regressed}, unchanged ${comparison.counts.unchanged}`);
+      for (const q of comparison.questions.filter(q => q.change === 'regressed')) {
+        console.log(`  ⚠️  ${q.question}`);
+      }
+    }
+
+    if (args['min-recall'] && metrics.recallAtK < parseFloat(args['min-recall'])) {
+      console.error(`\n❌ recall@${k} ${pct(metrics.recallAtK)} is below ${pct(parseFloat(args['min-recall']))}`);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Eval failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
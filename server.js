@@ -13,6 +13,13 @@ const feedbackRoutes = require('./routes/feedback');
 
 // Import database
 const sequelize = require('./config/database');
+const { startWorker } = require('./services/ingestionQueue');
+const { startArticleSync } = require('./services/articleSync');
+const { startSearchLogPurge } = require('./services/searchAnalytics');
+const { startSummaryWorker } = require('./services/conversationSummarizer');
+const { startSlaMonitor } = require('./services/agentAssignment');
+const { startRealtimeEventPurge } = require('./services/realtimeEvents');
+const { attachRealtime } = require('./services/realtimeServer');
 
 const app = express();
 app.set('trust proxy', 1);  // Para funcionar detrás de proxy/load balancer
@@ -35,16 +42,17 @@ const limiter = rateLimit({
   message: { success: false, message: 'Demasiadas peticiones, intenta de nuevo en un minuto' }
 });
 
-// Body parsing middleware - aumentar límite para PDFs
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Body parsing middleware - los PDFs se suben por multipart (POST /api/recursos/pdf);
+// el límite JSON cubre imágenes del chat y contenido de artículos pegado a mano
+app.use(express.json({ limit: '15mb' }));
+app.use(express.urlencoded({ extended: true, limit: '15mb' }));
 
 // Routes con rate limit (públicas)
 app.use('/api/auth', limiter, authRoutes);
 app.use('/api/chat', limiter, chatRoutes);
 app.use('/api/feedback', limiter, feedbackRoutes);
 
-// Routes sin rate limit (requieren autenticación admin)
+// Routes sin rate limit global (admin; /api/recursos/buscar limita por clave de servicio)
 app.use('/api/admin', adminRoutes);
 app.use('/api/recursos', recursosRoutes);
 
@@ -85,9 +93,29 @@ const startServer = async () => {
     // Sync database models (sin alter para no modificar columnas vector)
     await sequelize.sync();
     console.log('✅ Database models synchronized');
+
+    // Worker de ingesta de recursos (se puede desactivar para procesos solo-API)
+    if (process.env.INGESTION_WORKER !== 'false') {
+      startWorker();
+      startArticleSync();
+    }
+
+    // El resto de tareas periódicas tienen su propio flag: no dependen del worker de ingesta
+    if (process.env.SEARCH_LOG_PURGE !== 'false') {
+      startSearchLogPurge();
+    }
+    if (process.env.SUMMARY_WORKER !== 'false') {
+      startSummaryWorker();
+    }
+    if (process.env.SLA_MONITOR !== 'false') {
+      startSlaMonitor();
+    }
+    if (process.env.REALTIME_EVENT_PURGE !== 'false') {
+      startRealtimeEventPurge();
+    }
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`
 🚀 Growing Chat Backend Server
 📍 Port: ${PORT}
@@ -100,17 +128,25 @@ API Endpoints:
 - POST   /api/auth/login
 - GET    /api/auth/profile
 - POST   /api/chat/message
+- POST   /api/chat/message/stream
 - GET    /api/chat/conversations
 - GET    /api/chat/conversation/:id
 - POST   /api/feedback
 - GET    /api/feedback/stats
 - GET    /api/admin/users
 - GET    /api/admin/analytics
+- GET    /api/admin/search-analytics
 - POST   /api/recursos/buscar
 - GET    /api/recursos
 - POST   /api/recursos
+- POST   /api/recursos/pdf
+- GET    /api/admin/ingestion-jobs
+- WS     /api/realtime
       `);
     });
+
+    // WebSocket push channel (same JWT as the API)
+    attachRealtime(server);
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
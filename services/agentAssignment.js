@@ -0,0 +1,465 @@
+const { Op } = require('sequelize');
+const { Conversation, ConversationAssignment, User, sequelize } = require('../models');
+
+// Colas de agentes para conversaciones escaladas. Al iniciar un handoff la conversación
+// entra en la cola de su categoría con plazos de primera respuesta y de resolución;
+// se asigna sola (round-robin o menos cargado) o la reclama un admin de la cola.
+const QUEUES = ['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'];
+const ASSIGNMENT_STRATEGIES = ['manual', 'round-robin', 'least-loaded'];
+
+const SLA_DEFAULTS = {
+  firstResponseMinutes: 30,
+  resolutionMinutes: 480
+};
+
+const ASSIGNMENT_CONFIG = {
+  strategy: ASSIGNMENT_STRATEGIES.includes(process.env.ASSIGNMENT_STRATEGY)
+    ? process.env.ASSIGNMENT_STRATEGY
+    : 'least-loaded',
+  slaCheckIntervalMs: 60 * 1000
+};
+
+let slaTimer = null;
+let slaRunning = false;
+
+function assignmentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Minutos de SLA con override por cola: SLA_FIRST_RESPONSE_MINUTES_META_ADS tiene
+ * prioridad sobre SLA_FIRST_RESPONSE_MINUTES
+ */
+function minutesEnv(name, queue, fallback) {
+  const queueKey = `${name}_${String(queue).toUpperCase().replace(/-/g, '_')}`;
+  const value = parseInt(process.env[queueKey] ?? process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Plazos de una cola
+ * @param {string} queue
+ * @returns {{firstResponseMinutes: number, resolutionMinutes: number}}
+ */
+function slaConfig(queue) {
+  return {
+    firstResponseMinutes: minutesEnv('SLA_FIRST_RESPONSE_MINUTES', queue, SLA_DEFAULTS.firstResponseMinutes),
+    resolutionMinutes: minutesEnv('SLA_RESOLUTION_MINUTES', queue, SLA_DEFAULTS.resolutionMinutes)
+  };
+}
+
+/**
+ * Cola de una conversación: la pedida si es válida, si no la de su categoría
+ * (general y delegado van a 'general')
+ */
+function resolveQueue(conversation, requested) {
+  if (QUEUES.includes(requested)) return requested;
+  if (QUEUES.includes(conversation.category)) return conversation.category;
+  return 'general';
+}
+
+/**
+ * Guarda el cambio de asignación en el historial y lo aplica a la conversación.
+ * La fila se bloquea (SELECT ... FOR UPDATE) mientras se comprueba y se escribe: dos
+ * admins que reclaman a la vez no pueden quedarse los dos con la conversación.
+ * @param {Conversation} conversation - Se recarga con la asignación resultante
+ * @param {Object} change - { action, toUserId, byUserId, strategy, reason }
+ * @param {Function} canApply - Recibe la conversación bloqueada; false deja la asignación
+ *   como está (puede lanzar un assignmentError)
+ * @returns {Promise<ConversationAssignment|null>} null si no se aplicó
+ */
+async function recordAssignment(conversation, { action, toUserId = null, byUserId = null, strategy = null, reason = null }, canApply = () => true) {
+  const assignment = await sequelize.transaction(async (transaction) => {
+    const current = await Conversation.findByPk(conversation.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!current || !canApply(current)) return null;
+
+    const created = await ConversationAssignment.create({
+      conversationId: current.id,
+      action,
+      queue: current.queue,
+      fromUserId: current.assignedToUserId,
+      toUserId,
+      byUserId,
+      strategy,
+      reason
+    }, { transaction });
+
+    await current.update({
+      assignedToUserId: toUserId,
+      assignedAt: toUserId ? new Date() : null
+    }, { transaction });
+
+    return created;
+  });
+
+  await conversation.reload();
+  if (assignment) {
+    console.log(`[Assignment] ${conversation.id} ${action} → ${toUserId || 'unassigned'}`);
+  }
+  return assignment;
+}
+
+/**
+ * Elige agente para una cola entre los admins activos que la tienen en agentQueues.
+ * round-robin: el que hace más tiempo que no recibe una; least-loaded: el que tiene
+ * menos conversaciones abiertas asignadas (empate → round-robin).
+ * @param {string} queue
+ * @param {string} strategy
+ * @returns {Promise<User|null>}
+ */
+async function pickAgent(queue, strategy = ASSIGNMENT_CONFIG.strategy) {
+  const agents = await User.findAll({
+    where: {
+      role: 'admin',
+      isActive: true,
+      agentQueues: { [Op.contains]: [queue] }
+    },
+    attributes: ['id', 'name', 'email']
+  });
+  if (agents.length === 0) return null;
+
+  const stats = await sequelize.query(`
+    SELECT u.id,
+      (SELECT COUNT(*) FROM "Conversations" c
+        WHERE c."assignedToUserId" = u.id AND c.mode = 'human')::int AS "openCount",
+      (SELECT MAX(a."createdAt") FROM "ConversationAssignments" a
+        WHERE a."toUserId" = u.id) AS "lastAssignedAt"
+    FROM "Users" u
+    WHERE u.id IN (:ids)
+  `, {
+    replacements: { ids: agents.map(a => a.id) },
+    type: sequelize.QueryTypes.SELECT
+  });
+  const statsById = new Map(stats.map(s => [s.id, s]));
+
+  const lastAssigned = agent => {
+    const last = statsById.get(agent.id)?.lastAssignedAt;
+    return last ? new Date(last).getTime() : 0;
+  };
+  const openCount = agent => statsById.get(agent.id)?.openCount || 0;
+
+  const sorted = [...agents].sort((a, b) => {
+    if (strategy === 'least-loaded' && openCount(a) !== openCount(b)) {
+      return openCount(a) - openCount(b);
+    }
+    return lastAssigned(a) - lastAssigned(b);
+  });
+
+  return sorted[0];
+}
+
+/**
+ * Mete la conversación en su cola con plazos nuevos y la asigna según la estrategia
+ * configurada. Se llama al iniciar un handoff.
+ * @param {Conversation} conversation
+ * @param {Object} options
+ * @param {string} options.queue - Cola pedida (p. ej. escalatedCategory del feedback)
+ * @param {User} options.admin - Admin que inicia el handoff: se la queda él
+ * @returns {Promise<User|null>} agente asignado
+ */
+async function enqueueConversation(conversation, { queue = null, admin = null } = {}) {
+  const target = resolveQueue(conversation, queue);
+  const sla = slaConfig(target);
+  const now = Date.now();
+
+  await conversation.update({
+    queue: target,
+    queuedAt: new Date(now),
+    firstResponseDueAt: new Date(now + sla.firstResponseMinutes * 60 * 1000),
+    firstResponseAt: null,
+    resolutionDueAt: new Date(now + sla.resolutionMinutes * 60 * 1000),
+    slaResolvedAt: null,
+    firstResponseBreached: false,
+    resolutionBreached: false
+  });
+
+  if (admin) {
+    await recordAssignment(
+      conversation,
+      { action: 'claimed', toUserId: admin.id, byUserId: admin.id },
+      current => current.assignedToUserId !== admin.id
+    );
+    return admin;
+  }
+
+  // Se mantiene el agente si ya la tenía de un escalado anterior
+  if (conversation.assignedToUserId || ASSIGNMENT_CONFIG.strategy === 'manual') {
+    return null;
+  }
+
+  const agent = await pickAgent(target);
+  if (!agent) return null;
+
+  // Si un admin la reclamó mientras se elegía agente, se queda con él
+  const assignment = await recordAssignment(
+    conversation,
+    { action: 'auto', toUserId: agent.id, strategy: ASSIGNMENT_CONFIG.strategy },
+    current => !current.assignedToUserId
+  );
+  return assignment ? agent : null;
+}
+
+/**
+ * El admin se queda con una conversación de la cola
+ * @param {Conversation} conversation
+ * @param {User} admin
+ * @returns {Promise<ConversationAssignment|null>} null si ya era suya
+ * @throws {Error} code NOT_IN_QUEUE / ALREADY_ASSIGNED
+ */
+async function claimConversation(conversation, admin) {
+  return recordAssignment(
+    conversation,
+    { action: 'claimed', toUserId: admin.id, byUserId: admin.id },
+    current => {
+      if (current.mode !== 'human') {
+        throw assignmentError('NOT_IN_QUEUE', 'Conversation is not waiting for an agent');
+      }
+      if (current.assignedToUserId === admin.id) return false;
+      if (current.assignedToUserId) {
+        throw assignmentError('ALREADY_ASSIGNED', 'Conversation is already assigned to another agent');
+      }
+      return true;
+    }
+  );
+}
+
+/**
+ * Asigna (o desasigna con toUserId null) una conversación a otro admin
+ * @param {Conversation} conversation
+ * @param {Object} options - { toUserId, admin, reason }
+ * @returns {Promise<ConversationAssignment|null>}
+ * @throws {Error} code NOT_IN_QUEUE / ASSIGNEE_INVALID
+ */
+async function assignConversation(conversation, { toUserId = null, admin, reason = null }) {
+  if (conversation.mode !== 'human') {
+    throw assignmentError('NOT_IN_QUEUE', 'Conversation is not waiting for an agent');
+  }
+
+  if (toUserId) {
+    const assignee = await User.findOne({
+      where: { id: toUserId, role: 'admin', isActive: true },
+      attributes: ['id']
+    });
+    if (!assignee) {
+      throw assignmentError('ASSIGNEE_INVALID', 'Assignee must be an active admin');
+    }
+  }
+
+  return recordAssignment(
+    conversation,
+    { action: toUserId ? 'assigned' : 'unassigned', toUserId, byUserId: admin.id, reason },
+    current => {
+      // Puede haber vuelto al bot desde que se cargó
+      if (current.mode !== 'human') {
+        throw assignmentError('NOT_IN_QUEUE', 'Conversation is not waiting for an agent');
+      }
+      return true;
+    }
+  );
+}
+
+/**
+ * Primera respuesta de un agente: cierra el plazo de primera respuesta y, si nadie
+ * la tenía, se la asigna a quien responde
+ * @param {Conversation} conversation
+ * @param {User} admin
+ */
+async function recordFirstResponse(conversation, admin) {
+  if (conversation.mode !== 'human') return;
+
+  if (!conversation.firstResponseAt && conversation.firstResponseDueAt) {
+    const now = new Date();
+    await conversation.update({
+      firstResponseAt: now,
+      firstResponseBreached: conversation.firstResponseBreached || now > conversation.firstResponseDueAt
+    });
+  }
+
+  if (!conversation.assignedToUserId) {
+    // Si otro admin la reclamó a la vez, se queda con él
+    await recordAssignment(
+      conversation,
+      { action: 'claimed', toUserId: admin.id, byUserId: admin.id, reason: 'first_response' },
+      current => current.mode === 'human' && !current.assignedToUserId
+    );
+  }
+}
+
+/**
+ * Cierra los plazos al resolver la conversación o devolverla al bot
+ * @param {Conversation} conversation
+ */
+async function recordResolution(conversation) {
+  if (!conversation.resolutionDueAt || conversation.slaResolvedAt) return;
+
+  const now = new Date();
+  await conversation.update({
+    slaResolvedAt: now,
+    resolutionBreached: conversation.resolutionBreached || now > conversation.resolutionDueAt,
+    firstResponseBreached: conversation.firstResponseBreached ||
+      (!conversation.firstResponseAt && now > conversation.firstResponseDueAt)
+  });
+}
+
+/**
+ * Marca los plazos vencidos de las conversaciones abiertas
+ * @returns {Promise<{firstResponse: number, resolution: number}>} conversaciones marcadas
+ */
+async function flagSlaBreaches() {
+  const [firstResponse] = await Conversation.update(
+    { firstResponseBreached: true },
+    {
+      where: {
+        slaResolvedAt: null,
+        firstResponseAt: null,
+        firstResponseBreached: false,
+        firstResponseDueAt: { [Op.lt]: new Date() }
+      }
+    }
+  );
+
+  const [resolution] = await Conversation.update(
+    { resolutionBreached: true },
+    {
+      where: {
+        slaResolvedAt: null,
+        resolutionBreached: false,
+        resolutionDueAt: { [Op.lt]: new Date() }
+      }
+    }
+  );
+
+  return { firstResponse, resolution };
+}
+
+/**
+ * Arranca la revisión periódica de plazos en este proceso
+ */
+function startSlaMonitor() {
+  if (slaTimer) return;
+
+  const tick = async () => {
+    if (slaRunning) return;
+    slaRunning = true;
+    try {
+      const flagged = await flagSlaBreaches();
+      if (flagged.firstResponse || flagged.resolution) {
+        console.log(`[SLA] Breaches flagged: ${flagged.firstResponse} first response, ${flagged.resolution} resolution`);
+      }
+    } catch (error) {
+      console.error('SLA monitor error:', error.message);
+    } finally {
+      slaRunning = false;
+    }
+  };
+
+  slaTimer = setInterval(tick, ASSIGNMENT_CONFIG.slaCheckIntervalMs);
+  console.log(`✅ SLA monitor started (assignment: ${ASSIGNMENT_CONFIG.strategy})`);
+  tick();
+}
+
+function stopSlaMonitor() {
+  clearInterval(slaTimer);
+  slaTimer = null;
+}
+
+/**
+ * Cumplimiento de SLA de las conversaciones encoladas en un periodo
+ * @param {Object} options - { startDate, endDate } (sobre queuedAt)
+ * @returns {Promise<Object>} { firstResponse, resolution, byQueue }
+ */
+async function getSlaStats({ startDate = null, endDate = null } = {}) {
+  const conditions = ['"queuedAt" IS NOT NULL'];
+  const replacements = {};
+  if (startDate) {
+    conditions.push('"queuedAt" >= :startDate');
+    replacements.startDate = new Date(startDate);
+  }
+  if (endDate) {
+    conditions.push('"queuedAt" <= :endDate');
+    replacements.endDate = new Date(endDate);
+  }
+
+  const rows = await sequelize.query(`
+    SELECT queue,
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE "firstResponseAt" IS NOT NULL AND NOT "firstResponseBreached")::int AS "firstResponseMet",
+      COUNT(*) FILTER (WHERE "firstResponseBreached")::int AS "firstResponseBreached",
+      COUNT("firstResponseAt")::int AS responded,
+      AVG(EXTRACT(EPOCH FROM ("firstResponseAt" - "queuedAt")) / 60) AS "firstResponseAvgMinutes",
+      COUNT(*) FILTER (WHERE "slaResolvedAt" IS NOT NULL AND NOT "resolutionBreached")::int AS "resolutionMet",
+      COUNT(*) FILTER (WHERE "resolutionBreached")::int AS "resolutionBreached",
+      COUNT("slaResolvedAt")::int AS resolved,
+      AVG(EXTRACT(EPOCH FROM ("slaResolvedAt" - "queuedAt")) / 60) AS "resolutionAvgMinutes"
+    FROM "Conversations"
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY queue
+    ORDER BY queue
+  `, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const summarize = (total, met, breached, avgMinutes) => ({
+    total,
+    met,
+    breached,
+    pending: total - met - breached,
+    complianceRate: met + breached > 0 ? parseFloat((met / (met + breached) * 100).toFixed(2)) : null,
+    avgMinutes: avgMinutes !== null && avgMinutes !== undefined ? parseFloat(Number(avgMinutes).toFixed(1)) : null
+  });
+
+  const sum = field => rows.reduce((acc, row) => acc + row[field], 0);
+
+  // Media global ponderada por las conversaciones con respuesta/resolución de cada cola
+  const weightedAvg = (avgField, countField) => {
+    const count = sum(countField);
+    if (count === 0) return null;
+    return rows.reduce((acc, row) => acc + (row[avgField] === null ? 0 : Number(row[avgField]) * row[countField]), 0) / count;
+  };
+
+  return {
+    firstResponse: summarize(
+      sum('total'),
+      sum('firstResponseMet'),
+      sum('firstResponseBreached'),
+      weightedAvg('firstResponseAvgMinutes', 'responded')
+    ),
+    resolution: summarize(
+      sum('total'),
+      sum('resolutionMet'),
+      sum('resolutionBreached'),
+      weightedAvg('resolutionAvgMinutes', 'resolved')
+    ),
+    byQueue: rows.map(row => ({
+      queue: row.queue,
+      total: row.total,
+      firstResponse: summarize(row.total, row.firstResponseMet, row.firstResponseBreached, row.firstResponseAvgMinutes),
+      resolution: summarize(row.total, row.resolutionMet, row.resolutionBreached, row.resolutionAvgMinutes)
+    }))
+  };
+}
+
+module.exports = {
+  slaConfig,
+  resolveQueue,
+  pickAgent,
+  enqueueConversation,
+  claimConversation,
+  assignConversation,
+  recordFirstResponse,
+  recordResolution,
+  flagSlaBreaches,
+  startSlaMonitor,
+  stopSlaMonitor,
+  getSlaStats,
+  QUEUES,
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_CONFIG,
+  SLA_DEFAULTS
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { ApiKey, sequelize } = require('../models');
+
+// Claves de servicio para integraciones (n8n): se guardan hasheadas, llevan scopes
+// y un límite de peticiones por minuto propio.
+const API_KEY_SCOPES = ['recursos:search'];
+const API_KEY_PREFIX = 'gk_';
+const API_KEY_DEFAULTS = {
+  scopes: ['recursos:search'],
+  rateLimitPerMinute: 60,
+  maxRateLimitPerMinute: 10000
+};
+
+/**
+ * Error de validación con código (las rutas lo convierten en 400)
+ */
+function invalidKeyError(message) {
+  const error = new Error(message);
+  error.code = 'API_KEY_INVALID';
+  return error;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Valida y normaliza los campos editables de una clave
+ * @param {Object} fields - { name, scopes, rateLimitPerMinute, expiresAt }
+ * @returns {Object} solo los campos presentes
+ * @throws {Error} code API_KEY_INVALID
+ */
+function normalizeKeyFields({ name, scopes, rateLimitPerMinute, expiresAt }) {
+  const fields = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) throw invalidKeyError('name is required');
+    fields.name = name.trim().substring(0, 100);
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) throw invalidKeyError('scopes must be a non-empty array');
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw invalidKeyError(`Unknown scopes: ${unknown.join(', ')}. Use: ${API_KEY_SCOPES.join(', ')}`);
+    }
+    fields.scopes = [...new Set(scopes)];
+  }
+
+  if (rateLimitPerMinute !== undefined) {
+    const limit = parseInt(rateLimitPerMinute);
+    if (!(limit >= 1 && limit <= API_KEY_DEFAULTS.maxRateLimitPerMinute)) {
+      throw invalidKeyError(`rateLimitPerMinute must be between 1 and ${API_KEY_DEFAULTS.maxRateLimitPerMinute}`);
+    }
+    fields.rateLimitPerMinute = limit;
+  }
+
+  if (expiresAt !== undefined) {
+    const date = expiresAt === null ? null : new Date(expiresAt);
+    if (date && isNaN(date.getTime())) throw invalidKeyError('expiresAt must be a date');
+    fields.expiresAt = date;
+  }
+
+  return fields;
+}
+
+/**
+ * Crea una clave de servicio
+ * @param {Object} options - { name, scopes, rateLimitPerMinute, expiresAt, userId }
+ * @returns {Promise<{apiKey: ApiKey, key: string}>} key es la clave en claro (no se vuelve a poder ver)
+ */
+async function createApiKey({ userId = null, ...options }) {
+  const fields = normalizeKeyFields({
+    scopes: API_KEY_DEFAULTS.scopes,
+    rateLimitPerMinute: API_KEY_DEFAULTS.rateLimitPerMinute,
+    ...options,
+    name: options.name ?? ''
+  });
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const apiKey = await ApiKey.create({
+    ...fields,
+    prefix: key.substring(0, 10),
+    keyHash: hashApiKey(key),
+    createdByUserId: userId
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Busca la clave enviada por un cliente
+ * @param {string} key - Clave en claro
+ * @returns {Promise<{apiKey: ApiKey|null, reason: string|null}>} reason: 'invalid', 'revoked' o 'expired'
+ */
+async function verifyApiKey(key) {
+  if (!key || !key.startsWith(API_KEY_PREFIX)) {
+    return { apiKey: null, reason: 'invalid' };
+  }
+
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashApiKey(key) } });
+  if (!apiKey) return { apiKey: null, reason: 'invalid' };
+  if (apiKey.revokedAt) return { apiKey: null, reason: 'revoked' };
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return { apiKey: null, reason: 'expired' };
+
+  return { apiKey, reason: null };
+}
+
+/**
+ * Anota el uso de una clave (un UPDATE atómico, no hace falta esperar)
+ */
+async function touchApiKey(apiKey, ip = null) {
+  await sequelize.query(`
+    UPDATE "ApiKeys"
+    SET "lastUsedAt" = NOW(), "lastUsedIp" = :ip, "usageCount" = "usageCount" + 1
+    WHERE id = :id
+  `, { replacements: { id: apiKey.id, ip } });
+}
+
+/**
+ * Vista de una clave para el panel (nunca incluye el hash)
+ */
+function serializeApiKey(apiKey) {
+  const { keyHash, ...data } = apiKey.toJSON();
+  return {
+    ...data,
+    status: data.revokedAt ? 'revoked' : (data.expiresAt && new Date(data.expiresAt) <= new Date() ? 'expired' : 'active')
+  };
+}
+
+module.exports = {
+  hashApiKey,
+  normalizeKeyFields,
+  createApiKey,
+  verifyApiKey,
+  touchApiKey,
+  serializeApiKey,
+  API_KEY_SCOPES,
+  API_KEY_DEFAULTS
+};
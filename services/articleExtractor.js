@@ -0,0 +1,122 @@
+const { htmlToMarkdown } = require('./markdownChunker');
+
+// Extracción del texto legible de una página del centro de ayuda: se quitan menús,
+// cabeceras, pies y barras laterales y se queda el <article>/<main> como Markdown.
+
+const REMOVED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'nav', 'header', 'footer', 'aside'];
+const REMOVED_ROLES = /\brole\s*=\s*["']?(navigation|banner|contentinfo|complementary|search|dialog)\b/i;
+// Nunca se quitan por clase/role (p. ej. <body class="has-sidebar">)
+const CONTAINER_TAGS = ['html', 'body', 'main', 'article'];
+const REMOVED_CLASSES = /\b(class|id)\s*=\s*["'][^"']*\b(nav|navbar|menu|breadcrumbs?|sidebar|footer|header|cookies?|related|share|comments?)\b[^"']*["']/i;
+
+/**
+ * Posición del cierre del elemento que abre en openIndex (cuenta anidados del mismo tag)
+ * @returns {number} índice justo después del cierre (o fin del HTML si no se cierra)
+ */
+function elementEnd(html, tag, openIndex) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = openIndex;
+  let depth = 0;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[0].endsWith('/>')) continue;
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return match.index + match[0].length;
+    }
+  }
+  return html.length;
+}
+
+/**
+ * Quita los elementos cuya etiqueta de apertura cumple la condición (con todo su contenido)
+ * @param {string} html
+ * @param {Function} shouldRemove - (tag, openTag) => boolean
+ * @returns {string}
+ */
+function removeElements(html, shouldRemove) {
+  const openPattern = /<([a-z][a-z0-9]*)\b[^>]*>/gi;
+  let result = '';
+  let cursor = 0;
+  let match;
+
+  while ((match = openPattern.exec(html)) !== null) {
+    const tag = match[1].toLowerCase();
+    if (!shouldRemove(tag, match[0])) continue;
+
+    const end = elementEnd(html, tag, match.index);
+    result += html.substring(cursor, match.index);
+    cursor = end;
+    openPattern.lastIndex = end;
+  }
+
+  return result + html.substring(cursor);
+}
+
+/**
+ * Contenido de los elementos <tag> (o con role=...) de la página
+ * @returns {string[]}
+ */
+function findElements(html, tag, attributePattern = null) {
+  const openPattern = new RegExp(`<(${tag})\\b[^>]*>`, 'gi');
+  const elements = [];
+  let match;
+
+  while ((match = openPattern.exec(html)) !== null) {
+    if (attributePattern && !attributePattern.test(match[0])) continue;
+    const end = elementEnd(html, match[1].toLowerCase(), match.index);
+    elements.push(html.substring(match.index + match[0].length, end));
+    openPattern.lastIndex = end;
+  }
+  return elements;
+}
+
+/**
+ * Título de la página (og:title, <title> o el primer <h1>)
+ */
+function pageTitle(html) {
+  const strip = text => text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  const og = html.match(/<meta[^>]+property=["']og:title["'][^>]*content=["']([^"']+)["']/i);
+  if (og) return strip(og[1]);
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title && strip(title[1])) return strip(title[1]);
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return h1 ? strip(h1[1]) : null;
+}
+
+/**
+ * Extrae el texto principal de una página HTML como Markdown (lo que trocea el chunker de artículos)
+ * @param {string} html
+ * @returns {{title: string|null, markdown: string}}
+ */
+function extractArticle(html) {
+  const title = pageTitle(html);
+
+  const cleaned = removeElements(
+    html.replace(/<!--[\s\S]*?-->/g, ''),
+    (tag, openTag) => REMOVED_TAGS.includes(tag) ||
+      (!CONTAINER_TAGS.includes(tag) && (REMOVED_ROLES.test(openTag) || REMOVED_CLASSES.test(openTag)))
+  );
+
+  // El artículo más largo; si no hay, <main>, role=main o el <body>
+  const longest = elements => elements.sort((a, b) => b.length - a.length)[0];
+  const main = longest(findElements(cleaned, 'article'))
+    || longest(findElements(cleaned, 'main'))
+    || longest(findElements(cleaned, '[a-z][a-z0-9]*', /\brole\s*=\s*["']?main\b/i))
+    || longest(findElements(cleaned, 'body'))
+    || cleaned;
+
+  const markdown = htmlToMarkdown(main)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { title, markdown };
+}
+
+module.exports = {
+  extractArticle
+};
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const { Recurso, sequelize } = require('../models');
+const { extractArticle } = require('./articleExtractor');
+const {
+  buildFullText,
+  hashFields,
+  contentPreview,
+  createVersion,
+  getOrCreateLatestVersion
+} = require('./recursoVersions');
+const { enqueueIngestion } = require('./ingestionQueue');
+
+// Artículos con url y autoSync se vuelven a descargar periódicamente; solo se
+// re-trocean si cambia el hash del contenido extraído.
+const ARTICLE_SYNC_CONFIG = {
+  intervalHours: parseFloat(process.env.ARTICLE_SYNC_INTERVAL_HOURS) || 24,
+  checkIntervalMs: 10 * 60 * 1000,  // Cada cuánto se buscan artículos pendientes de re-sync
+  batchSize: 5,                     // Artículos por vuelta
+  timeoutMs: 15000,
+  maxBytes: 5 * 1024 * 1024
+};
+
+let syncTimer = null;
+let syncRunning = false;
+
+/**
+ * Crea un error de descarga con código (y status HTTP si lo hubo)
+ */
+function articleError(code, message, status = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Descarga una página y extrae su texto principal
+ * @param {string} url
+ * @returns {Promise<{status: number, title: string|null, markdown: string}>}
+ * @throws {Error} con code ARTICLE_FETCH_FAILED, ARTICLE_NOT_HTML o ARTICLE_EMPTY
+ */
+async function fetchArticle(url) {
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout: ARTICLE_SYNC_CONFIG.timeoutMs,
+      maxContentLength: ARTICLE_SYNC_CONFIG.maxBytes,
+      maxRedirects: 5,
+      responseType: 'text',
+      // Los códigos de error se tratan abajo para guardar el status
+      validateStatus: () => true,
+      headers: { Accept: 'text/html,application/xhtml+xml' }
+    });
+  } catch (error) {
+    throw articleError('ARTICLE_FETCH_FAILED', `No se pudo descargar la página: ${error.message}`);
+  }
+
+  if (response.status >= 400) {
+    throw articleError('ARTICLE_FETCH_FAILED', `La página respondió ${response.status}`, response.status);
+  }
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !/html/i.test(contentType)) {
+    throw articleError('ARTICLE_NOT_HTML', `La URL no es una página HTML (${contentType})`, response.status);
+  }
+
+  const { title, markdown } = extractArticle(String(response.data || ''));
+  if (!markdown) {
+    throw articleError('ARTICLE_EMPTY', 'No se encontró texto en la página', response.status);
+  }
+
+  return { status: response.status, title, markdown };
+}
+
+/**
+ * Vuelve a descargar un artículo y, si el contenido cambió, crea versión y re-trocea
+ * @param {Recurso} recurso - tipo 'articulo' con url
+ * @param {Object} options - { userId }
+ * @returns {Promise<{changed: boolean, status: number|null, version: number|null, jobId: string|null, error?: string, errorCode?: string}>}
+ */
+async function syncArticle(recurso, { userId = null } = {}) {
+  let article;
+  try {
+    article = await fetchArticle(recurso.url);
+  } catch (error) {
+    if (!error.code) throw error;
+    // El recurso conserva su contenido y chunks anteriores
+    await recurso.update({
+      lastFetchedAt: new Date(),
+      lastFetchStatus: error.status,
+      lastFetchError: error.message
+    });
+    return { changed: false, status: error.status, version: null, jobId: null, error: error.message, errorCode: error.code };
+  }
+
+  const fetched = { lastFetchedAt: new Date(), lastFetchStatus: article.status, lastFetchError: null };
+
+  const latest = await getOrCreateLatestVersion(recurso);
+  const fields = {
+    titulo: latest.titulo,
+    descripcion: latest.descripcion,
+    contenido: article.markdown
+  };
+
+  if (hashFields(fields) === latest.contentHash) {
+    await recurso.update(fetched);
+    return { changed: false, status: article.status, version: latest.version, jobId: null };
+  }
+
+  const version = await createVersion(recurso.id, fields, { origen: 'sync', userId });
+  await recurso.update({
+    ...fetched,
+    contenido: contentPreview(fields.contenido),
+    embeddingStatus: 'pending'
+  });
+  const job = await enqueueIngestion(recurso.id, buildFullText(fields));
+
+  console.log(`[Article sync] ${recurso.id} cambió: versión ${version.version}`);
+  return { changed: true, status: article.status, version: version.version, jobId: job.id };
+}
+
+/**
+ * Re-sincroniza los artículos cuyo último fetch es más antiguo que intervalHours.
+ * Se reservan con FOR UPDATE SKIP LOCKED para que varios procesos no repitan trabajo.
+ * @returns {Promise<number>} artículos procesados
+ */
+async function runArticleSync() {
+  const ids = await sequelize.query(`
+    UPDATE "Recursos"
+    SET "lastFetchedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM "Recursos"
+      WHERE tipo = 'articulo'
+        AND "autoSync" = true
+        AND activo = true
+        AND url IS NOT NULL
+        AND ("lastFetchedAt" IS NULL OR "lastFetchedAt" < NOW() - make_interval(secs => :intervalSeconds))
+      ORDER BY "lastFetchedAt" ASC NULLS FIRST
+      LIMIT :batchSize
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `, {
+    replacements: {
+      intervalSeconds: ARTICLE_SYNC_CONFIG.intervalHours * 3600,
+      batchSize: ARTICLE_SYNC_CONFIG.batchSize
+    },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  for (const { id } of ids) {
+    const recurso = await Recurso.findByPk(id);
+    if (!recurso) continue;
+    try {
+      await syncArticle(recurso);
+    } catch (error) {
+      console.error(`[Article sync] ${id} error:`, error.message);
+    }
+  }
+
+  return ids.length;
+}
+
+/**
+ * Arranca la re-sincronización periódica en este proceso
+ */
+function startArticleSync() {
+  if (syncTimer) return;
+
+  const tick = async () => {
+    if (syncRunning) return;
+    syncRunning = true;
+    try {
+      // Vueltas seguidas mientras haya artículos pendientes
+      let processed;
+      do {
+        processed = await runArticleSync();
+      } while (syncTimer && processed === ARTICLE_SYNC_CONFIG.batchSize);
+    } catch (error) {
+      console.error('Article sync error:', error.message);
+    } finally {
+      syncRunning = false;
+    }
+  };
+
+  syncTimer = setInterval(tick, ARTICLE_SYNC_CONFIG.checkIntervalMs);
+  console.log(`✅ Article sync started (every ${ARTICLE_SYNC_CONFIG.intervalHours}h)`);
+  tick();
+}
+
+function stopArticleSync() {
+  clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+module.exports = {
+  fetchArticle,
+  syncArticle,
+  runArticleSync,
+  startArticleSync,
+  stopArticleSync,
+  ARTICLE_SYNC_CONFIG
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+
+let fixtures = null;
+
+/**
+ * Carga las respuestas fijas de ECHO_FIXTURES_PATH (JSON { "mensaje": "respuesta" | {...} })
+ */
+function loadFixtures() {
+  if (fixtures) return fixtures;
+
+  fixtures = {};
+  const fixturesPath = process.env.ECHO_FIXTURES_PATH;
+  if (fixturesPath) {
+    const raw = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+    for (const [message, reply] of Object.entries(raw)) {
+      fixtures[normalize(message)] = typeof reply === 'string' ? { response: reply } : reply;
+    }
+  }
+  return fixtures;
+}
+
+function normalize(text) {
+  return (text || '').trim().toLowerCase();
+}
+
+/**
+ * Respuesta determinista: la fixture del mensaje si existe, si no un eco
+ */
+async function complete(payload) {
+  const fixture = loadFixtures()[normalize(payload.message)];
+  if (fixture) {
+    return { model: 'echo', confidence: 1, ...fixture };
+  }
+
+  return {
+    response: payload.message ? `Eco: ${payload.message}` : 'Eco: imagen recibida',
+    model: 'echo',
+    confidence: 1
+  };
+}
+
+/**
+ * Emite la respuesta de complete() palabra a palabra
+ */
+async function stream(payload, { signal, onChunk } = {}) {
+  const reply = await complete(payload);
+  const parts = String(reply.response || '').split(/(?<=\s)/);
+
+  for (const part of parts) {
+    if (signal && signal.aborted) {
+      throw new Error('Stream aborted');
+    }
+    if (onChunk) onChunk(part);
+  }
+
+  return reply;
+}
+
+module.exports = {
+  name: 'echo',
+  complete,
+  stream
+};
@@ -0,0 +1,87 @@
+const n8nProvider = require('./n8nProvider');
+const openaiProvider = require('./openaiProvider');
+const echoProvider = require('./echoProvider');
+
+const providers = {
+  [n8nProvider.name]: n8nProvider,
+  [openaiProvider.name]: openaiProvider,
+  [echoProvider.name]: echoProvider
+};
+
+/**
+ * Devuelve el proveedor configurado para una categoría.
+ * CHAT_PROVIDER_<CATEGORIA> (p. ej. CHAT_PROVIDER_META_ADS) tiene prioridad sobre CHAT_PROVIDER.
+ * @param {string} category
+ * @returns {{name: string, complete: Function, stream: Function}}
+ */
+function getChatProvider(category = 'general') {
+  const categoryKey = `CHAT_PROVIDER_${category.toUpperCase().replace(/-/g, '_')}`;
+  const name = process.env[categoryKey] || process.env.CHAT_PROVIDER || n8nProvider.name;
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown chat provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Proveedor de respaldo (CHAT_PROVIDER_FALLBACK) si es distinto del principal
+ */
+function getFallbackProvider(primary) {
+  const provider = providers[process.env.CHAT_PROVIDER_FALLBACK];
+  return provider && provider !== primary ? provider : null;
+}
+
+/**
+ * Genera la respuesta del bot con el proveedor de la categoría (o el de respaldo si falla)
+ * @param {string} category
+ * @param {Object} payload
+ * @returns {Promise<Object>} - { response, title, category, model, confidence, sources, provider }
+ */
+async function generateReply(category, payload) {
+  const provider = getChatProvider(category);
+
+  try {
+    const reply = await provider.complete(payload);
+    return { ...reply, provider: provider.name };
+  } catch (error) {
+    const fallback = getFallbackProvider(provider);
+    if (!fallback) throw error;
+
+    console.error(`${provider.name} provider error, using ${fallback.name}:`, error.message);
+    const reply = await fallback.complete(payload);
+    return { ...reply, provider: fallback.name };
+  }
+}
+
+/**
+ * Igual que generateReply() pero en streaming. Solo se usa el respaldo si el
+ * principal falla antes de emitir ningún fragmento.
+ */
+async function streamReply(category, payload, { signal, onChunk } = {}) {
+  const provider = getChatProvider(category);
+  let emitted = false;
+  const trackChunk = (content) => {
+    emitted = true;
+    if (onChunk) onChunk(content);
+  };
+
+  try {
+    const reply = await provider.stream(payload, { signal, onChunk: trackChunk });
+    return { ...reply, provider: provider.name };
+  } catch (error) {
+    const fallback = getFallbackProvider(provider);
+    if (!fallback || emitted || (signal && signal.aborted)) throw error;
+
+    console.error(`${provider.name} provider error, using ${fallback.name}:`, error.message);
+    const reply = await fallback.stream(payload, { signal, onChunk: trackChunk });
+    return { ...reply, provider: fallback.name };
+  }
+}
+
+module.exports = {
+  getChatProvider,
+  generateReply,
+  streamReply
+};
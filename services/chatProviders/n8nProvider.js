@@ -0,0 +1,198 @@
+const axios = require('axios');
+
+const N8N_TIMEOUT_MS = 60000;
+// Tiempo máximo sin recibir datos del upstream durante un stream
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+
+function webhookUrl() {
+  return process.env.N8N_WEBHOOK_URL || 'http://localhost:5678/webhook/chat';
+}
+
+/**
+ * Parsea una línea de una respuesta de n8n en streaming.
+ * n8n envía JSON por líneas ({ type: 'item', content }) y un workflow sin
+ * streaming responde con un único objeto { response, ... }.
+ * @param {string} line
+ * @returns {{content?: string, final?: Object, error?: string}|null} null si la línea no es JSON
+ */
+function parseStreamLine(line) {
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+
+  if (parsed.type === 'item') {
+    return { content: typeof parsed.content === 'string' ? parsed.content : '' };
+  }
+  if (parsed.type === 'error') {
+    return { error: parsed.content || parsed.message || 'Upstream stream error' };
+  }
+  if (parsed.type === 'begin' || parsed.type === 'end') {
+    return {};
+  }
+
+  // Objeto final con metadatos (title, category, model, confidence...)
+  return { final: parsed.metadata && typeof parsed.metadata === 'object' ? { ...parsed, ...parsed.metadata } : parsed };
+}
+
+/**
+ * Lee el body de una respuesta en streaming y va emitiendo los fragmentos
+ * @param {Object} response - Respuesta de axios con responseType 'stream'
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onChunk] - Recibe cada fragmento de texto
+ * @returns {Promise<Object>} - Respuesta final ({ response, title, category, ... })
+ */
+function readStream(response, { signal, onChunk } = {}) {
+  const upstream = response.data;
+
+  // text/plain => texto crudo por chunks; cualquier otro => JSON por líneas
+  const contentType = String(response.headers['content-type'] || '');
+  const rawTextMode = contentType.startsWith('text/') && !contentType.includes('event-stream');
+
+  return new Promise((resolve, reject) => {
+    let streamed = '';
+    let finalData = {};
+    let buffer = '';
+    let unparsed = '';
+    let idleTimer = null;
+    let settled = false;
+
+    const settle = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      if (error) {
+        upstream.destroy();
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => settle(new Error('Upstream stream timed out')), STREAM_IDLE_TIMEOUT_MS);
+    };
+
+    const emit = (content) => {
+      streamed += content;
+      if (onChunk) onChunk(content);
+    };
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const parsed = parseStreamLine(line);
+      if (!parsed) {
+        unparsed += line + '\n';
+        return;
+      }
+      if (parsed.error) {
+        throw new Error(parsed.error);
+      }
+      if (parsed.final) {
+        finalData = { ...finalData, ...parsed.final };
+      }
+      if (parsed.content) {
+        emit(parsed.content);
+      }
+    };
+
+    if (signal) {
+      if (signal.aborted) return settle(new Error('Stream aborted'));
+      signal.addEventListener('abort', () => settle(new Error('Stream aborted')), { once: true });
+    }
+
+    resetIdleTimer();
+    upstream.setEncoding('utf8');
+
+    upstream.on('data', (data) => {
+      if (settled) return;
+      resetIdleTimer();
+
+      try {
+        if (rawTextMode) {
+          emit(data);
+          return;
+        }
+
+        buffer += data;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      } catch (lineError) {
+        settle(lineError);
+      }
+    });
+
+    upstream.on('end', () => {
+      if (settled) return;
+      try {
+        if (!rawTextMode) {
+          handleLine(buffer);
+          // Un JSON formateado en varias líneas no se puede leer línea a línea
+          if (!streamed && unparsed.trim()) {
+            const parsed = parseStreamLine(unparsed);
+            if (parsed && parsed.final) {
+              finalData = { ...finalData, ...parsed.final };
+            }
+          }
+        }
+      } catch (lineError) {
+        return settle(lineError);
+      }
+
+      settle(null, streamed ? { ...finalData, response: streamed } : finalData);
+    });
+
+    upstream.on('error', (streamError) => settle(streamError));
+  });
+}
+
+/**
+ * Envía el mensaje al webhook de n8n y devuelve su respuesta
+ * @param {Object} payload - Payload construido en routes/chat.js
+ * @returns {Promise<Object>} - { response, title, category, model, confidence, sources }
+ */
+async function complete(payload, { signal } = {}) {
+  const response = await axios.post(webhookUrl(), payload, {
+    timeout: N8N_TIMEOUT_MS,
+    signal,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    maxContentLength: 10 * 1024 * 1024,
+    maxBodyLength: 10 * 1024 * 1024
+  });
+
+  return response.data;
+}
+
+/**
+ * Igual que complete() pero leyendo la respuesta de n8n en streaming
+ */
+async function stream(payload, { signal, onChunk } = {}) {
+  const response = await axios.post(webhookUrl(), { ...payload, stream: true }, {
+    timeout: N8N_TIMEOUT_MS,
+    responseType: 'stream',
+    signal,
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    maxBodyLength: 10 * 1024 * 1024
+  });
+
+  return readStream(response, { signal, onChunk });
+}
+
+module.exports = {
+  name: 'n8n',
+  complete,
+  stream
+};
@@ -0,0 +1,204 @@
+const OpenAI = require('openai');
+const { generateEmbedding, searchSimilar } = require('../embeddingService');
+
+// Cliente creado al primer uso: cargar el módulo (p. ej. con CHAT_PROVIDER=n8n) no exige OPENAI_API_KEY
+let client = null;
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return client;
+}
+
+const RAG_CONFIG = {
+  limit: 5,             // Recursos recuperados por pregunta
+  minSimilarity: 0.3,   // Por debajo de esto el recurso no se pasa como contexto
+  mode: process.env.RAG_SEARCH_MODE || 'hybrid'
+};
+
+const SYSTEM_PROMPT = `Eres el asistente de soporte de Growing Inmobiliario.
+Respondes en español, de forma clara y con pasos concretos.
+Usa la información de los recursos de la base de conocimiento cuando sea relevante y cita su título (y la página o el minuto si se indica; para vídeos comparte el enlace, ya apunta a ese minuto).
+Si los recursos no cubren la pregunta, dilo y sugiere contactar con el equipo de soporte.`;
+
+function chatModel() {
+  return process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini';
+}
+
+/**
+ * Recupera los recursos más parecidos a la pregunta (RAG)
+ * @param {string} message
+ * @returns {Promise<Array>}
+ */
+async function retrieveContext(message) {
+  if (!message || !message.trim()) {
+    return [];
+  }
+
+  try {
+    const queryEmbedding = await generateEmbedding(message);
+    const resources = await searchSimilar(queryEmbedding, RAG_CONFIG.limit, {
+      mode: RAG_CONFIG.mode,
+      queryText: message
+    });
+    return resources.filter(r => r.similarity >= RAG_CONFIG.minSimilarity);
+  } catch (error) {
+    // Sin contexto el modelo todavía puede responder
+    console.error('RAG retrieval error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * ", página 12" / ", páginas 12-13" para citar recursos PDF
+ */
+function pageLabel(resource) {
+  if (!resource.pageStart) return '';
+  return resource.pageEnd && resource.pageEnd !== resource.pageStart
+    ? `, páginas ${resource.pageStart}-${resource.pageEnd}`
+    : `, página ${resource.pageStart}`;
+}
+
+/**
+ * ", minuto 5:12" para citar vídeos con transcripción (url ya lleva el tiempo)
+ */
+function timeLabel(resource) {
+  if (resource.startSeconds === null || resource.startSeconds === undefined) return '';
+  const minutes = Math.floor(resource.startSeconds / 60);
+  const seconds = String(resource.startSeconds % 60).padStart(2, '0');
+  return `, minuto ${minutes}:${seconds}`;
+}
+
+/**
+ * Citas de la respuesta: los recursos que se pasaron como contexto
+ */
+function contextSources(resources) {
+  return resources.map(r => {
+    const chunk = r.chunks && r.chunks[0];
+    return {
+      recursoId: r.id,
+      chunkId: chunk ? chunk.id : null,
+      titulo: r.titulo,
+      tipo: r.tipo,
+      similarity: r.similarity,
+      url: r.url,
+      pageStart: r.pageStart,
+      pageEnd: r.pageEnd,
+      startSeconds: r.startSeconds,
+      endSeconds: r.endSeconds
+    };
+  });
+}
+
+/**
+ * Construye los mensajes para chat.completions a partir del payload del chat
+ */
+async function buildMessages(payload) {
+  const resources = await retrieveContext(payload.message);
+
+  const messages = [{ role: 'system', content: SYSTEM_PROMPT }];
+
+  if (resources.length > 0) {
+    const context = resources
+      .map((r, i) => `[${i + 1}] ${r.titulo} (${r.tipo}${r.url ? `, ${r.url}` : ''}${pageLabel(r)}${timeLabel(r)})\n${r.contenido}`)
+      .join('\n\n');
+    messages.push({ role: 'system', content: `Recursos de la base de conocimiento:\n\n${context}` });
+  }
+
+  messages.push({
+    role: 'system',
+    content: `Usuario: ${payload.userName}${payload.userCompany ? ` (${payload.userCompany})` : ''}. Categoría: ${payload.category}.`
+  });
+
+  if (payload.historySummary) {
+    messages.push({ role: 'system', content: `Resumen de la conversación anterior:\n${payload.historySummary}` });
+  }
+
+  // Turnos anteriores (los de un agente humano se marcan para no confundirlos con el bot)
+  for (const entry of payload.history || []) {
+    const content = entry.content || (entry.hasImage ? '[Imagen adjunta]' : '');
+    const text = entry.sender === 'admin' ? `[${entry.label}] ${content}` : content;
+    messages.push({
+      role: entry.role,
+      content: entry.image && entry.role === 'user'
+        ? [
+          { type: 'text', text },
+          { type: 'image_url', image_url: { url: `data:${entry.image.mimeType};base64,${entry.image.data}` } }
+        ]
+        : text
+    });
+  }
+
+  if (payload.image && payload.image.data && payload.image.mimeType) {
+    messages.push({
+      role: 'user',
+      content: [
+        { type: 'text', text: payload.message || 'Describe la imagen adjunta.' },
+        { type: 'image_url', image_url: { url: `data:${payload.image.mimeType};base64,${payload.image.data}` } }
+      ]
+    });
+  } else {
+    messages.push({ role: 'user', content: payload.message });
+  }
+
+  return { messages, resources };
+}
+
+/**
+ * Responde directamente con OpenAI usando los recursos como contexto
+ */
+async function complete(payload, { signal } = {}) {
+  const { messages, resources } = await buildMessages(payload);
+
+  const completion = await getClient().chat.completions.create({
+    model: chatModel(),
+    messages
+  }, { signal });
+
+  return {
+    response: completion.choices[0].message.content,
+    model: completion.model,
+    confidence: resources.length > 0 ? resources[0].similarity : null,
+    sources: contextSources(resources)
+  };
+}
+
+/**
+ * Igual que complete() pero emitiendo los tokens según llegan
+ */
+async function stream(payload, { signal, onChunk } = {}) {
+  const { messages, resources } = await buildMessages(payload);
+
+  const completion = await getClient().chat.completions.create({
+    model: chatModel(),
+    messages,
+    stream: true
+  }, { signal });
+
+  let response = '';
+  let model = chatModel();
+
+  for await (const part of completion) {
+    model = part.model || model;
+    const content = part.choices[0]?.delta?.content;
+    if (content) {
+      response += content;
+      if (onChunk) onChunk(content);
+    }
+  }
+
+  return {
+    response,
+    model,
+    confidence: resources.length > 0 ? resources[0].similarity : null,
+    sources: contextSources(resources)
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  complete,
+  stream
+};
@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const { Message, sequelize } = require('../models');
+const { countTokens } = require('./tokenizer');
+
+// Ventana de historial que se envía al proveedor de respuesta (payload.history):
+// los últimos mensajes de la conversación dentro de un presupuesto de tokens.
+// Lo que no cabe se resume en payload.historySummary.
+const HISTORY_DEFAULTS = {
+  maxMessages: 20,          // Mensajes anteriores como mucho
+  maxTokens: 2000,          // Presupuesto de la ventana (solo texto)
+  includeImages: false,     // Las imágenes de mensajes anteriores pesan mucho en el payload
+  summaryMaxTokens: 300,    // Resumen de los turnos que no caben
+  summaryScanMessages: 50,  // Mensajes más antiguos que se miran para el resumen
+  messageOverheadTokens: 4  // Rol y separadores de cada mensaje
+};
+
+const SENDER_ROLES = {
+  user: 'user',
+  bot: 'assistant',
+  admin: 'assistant',
+  system: 'system'   // Eventos de la conversación (inicio/fin de handoff)
+};
+
+/**
+ * Lee una variable de entorno con override por categoría:
+ * CHAT_HISTORY_MAX_MESSAGES_META_ADS tiene prioridad sobre CHAT_HISTORY_MAX_MESSAGES
+ */
+function categoryEnv(name, category) {
+  const categoryKey = `${name}_${String(category || 'general').toUpperCase().replace(/-/g, '_')}`;
+  return process.env[categoryKey] ?? process.env[name];
+}
+
+function integerEnv(name, category, fallback) {
+  const value = parseInt(categoryEnv(name, category));
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Configuración de la ventana para una categoría (0 mensajes desactiva el historial)
+ * @param {string} category
+ * @returns {{maxMessages: number, maxTokens: number, includeImages: boolean}}
+ */
+function historyConfig(category) {
+  const includeImages = categoryEnv('CHAT_HISTORY_INCLUDE_IMAGES', category);
+  return {
+    maxMessages: integerEnv('CHAT_HISTORY_MAX_MESSAGES', category, HISTORY_DEFAULTS.maxMessages),
+    maxTokens: integerEnv('CHAT_HISTORY_MAX_TOKENS', category, HISTORY_DEFAULTS.maxTokens),
+    includeImages: includeImages === undefined ? HISTORY_DEFAULTS.includeImages : includeImages === 'true'
+  };
+}
+
+/**
+ * Etiqueta legible del autor (los mensajes de admin se distinguen de los del bot)
+ */
+function senderLabel(message) {
+  if (message.sender === 'user') return 'Usuario';
+  if (message.sender === 'system') return 'Evento';
+  if (message.sender === 'admin') {
+    const name = message.metadata && message.metadata.adminName;
+    return name ? `Agente de soporte (${name})` : 'Agente de soporte';
+  }
+  return 'Asistente';
+}
+
+/**
+ * Mensaje de la ventana tal y como va en payload.history
+ */
+function historyEntry(message, includeImages) {
+  const entry = {
+    id: message.id,
+    role: SENDER_ROLES[message.sender],
+    sender: message.sender,
+    label: senderLabel(message),
+    content: message.content || '',
+    createdAt: message.createdAt,
+    hasImage: includeImages ? !!message.imageData : !!message.get('hasImage')
+  };
+
+  if (includeImages && message.imageData && message.imageMimeType) {
+    entry.image = { data: message.imageData, mimeType: message.imageMimeType };
+  }
+  return entry;
+}
+
+/**
+ * Resumen extractivo de los turnos que no caben: las preguntas del usuario, de la más
+ * antigua a la más reciente, hasta maxTokens. Se usa si la conversación aún no tiene summary.
+ * @param {Message[]} messages - En orden cronológico
+ * @returns {string|null}
+ */
+function summarizeOlderTurns(messages, maxTokens = HISTORY_DEFAULTS.summaryMaxTokens) {
+  const questions = messages
+    .filter(m => m.sender === 'user' && m.content && m.content.trim())
+    .map(m => `- ${m.content.replace(/\s+/g, ' ').trim()}`);
+  if (questions.length === 0) return null;
+
+  const header = 'Antes en esta conversación el usuario preguntó:';
+  const lines = [];
+  let tokens = countTokens(header);
+
+  // Las más recientes son las más útiles: se recorren al revés y se recortan las antiguas
+  for (let i = questions.length - 1; i >= 0; i--) {
+    const line = questions[i].length > 300 ? `${questions[i].substring(0, 297)}...` : questions[i];
+    const lineTokens = countTokens(line) + 1;
+    if (tokens + lineTokens > maxTokens) break;
+    lines.unshift(line);
+    tokens += lineTokens;
+  }
+
+  return lines.length > 0 ? [header, ...lines].join('\n') : null;
+}
+
+/**
+ * Construye la ventana de historial de una conversación
+ * @param {Conversation} conversation
+ * @param {Object} options
+ * @param {string} options.excludeMessageId - Mensaje actual (ya va en payload.message)
+ * @param {Date} options.before - Solo mensajes anteriores (al regenerar, lo que vino después no cuenta)
+ * @returns {Promise<{history: Array, summary: string|null, omittedMessages: number, tokens: number}>}
+ */
+async function buildHistory(conversation, { excludeMessageId = null, before = null } = {}) {
+  const config = historyConfig(conversation.category);
+  if (config.maxMessages === 0) {
+    return { history: [], summary: conversation.summary || null, omittedMessages: 0, tokens: 0 };
+  }
+
+  // Las respuestas sustituidas al regenerar no forman parte de la conversación
+  const where = { conversationId: conversation.id, isActive: true };
+  if (excludeMessageId) where.id = { [Op.ne]: excludeMessageId };
+  if (before) where.createdAt = { [Op.lt]: before };
+
+  // La imagen solo se carga si va en el payload; si no basta con saber que la hay
+  const imageAttributes = config.includeImages
+    ? ['imageData', 'imageMimeType']
+    : [[sequelize.literal('"imageData" IS NOT NULL'), 'hasImage']];
+
+  const recent = await Message.findAll({
+    where,
+    attributes: ['id', 'sender', 'content', ...imageAttributes, 'metadata', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    limit: config.maxMessages + HISTORY_DEFAULTS.summaryScanMessages
+  });
+
+  // La respuesta de error genérica no aporta contexto
+  const messages = recent.filter(m => !(m.metadata && m.metadata.error && !m.metadata.partial));
+
+  // De la más reciente a la más antigua mientras quepa en el presupuesto
+  const window = [];
+  let tokens = 0;
+  for (const message of messages) {
+    if (window.length >= config.maxMessages) break;
+    const messageTokens = countTokens(message.content || '') + HISTORY_DEFAULTS.messageOverheadTokens;
+    if (tokens + messageTokens > config.maxTokens) break;
+    window.push(message);
+    tokens += messageTokens;
+  }
+
+  const older = messages.slice(window.length).reverse();
+  const summary = older.length > 0
+    ? conversation.summary || summarizeOlderTurns(older)
+    : null;
+
+  return {
+    history: window.reverse().map(m => historyEntry(m, config.includeImages)),
+    summary,
+    omittedMessages: older.length,
+    tokens
+  };
+}
+
+module.exports = {
+  historyConfig,
+  summarizeOlderTurns,
+  buildHistory,
+  HISTORY_DEFAULTS
+};
@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+const { Conversation, Message, sequelize } = require('../models');
+const { getSummaryProvider } = require('./summaryProviders');
+
+// Resumen automático de conversaciones (Conversation.summary). Se pide tras cada
+// `everyMessages` mensajes nuevos o al pasar a resolved/escalated, y lo genera un
+// bucle en segundo plano; los admins pueden forzarlo al momento.
+const SUMMARY_CONFIG = {
+  everyMessages: parseInt(process.env.SUMMARY_EVERY_MESSAGES) || 10,
+  checkIntervalMs: 30 * 1000,
+  batchSize: 5,
+  maxMessages: 200          // Mensajes nuevos que se pasan al proveedor como mucho
+};
+
+// Estados que piden resumen al entrar en ellos
+const SUMMARY_STATUSES = ['resolved', 'escalated'];
+
+let summaryTimer = null;
+let summaryRunning = false;
+
+/**
+ * Mensajes posteriores al último resumido
+ * @param {Conversation} conversation
+ * @param {number} limit
+ * @returns {Promise<Object[]>} en orden cronológico ({ id, sender, content, hasImage, metadata, createdAt })
+ */
+async function messagesSinceSummary(conversation, limit = SUMMARY_CONFIG.maxMessages) {
+  const where = { conversationId: conversation.id, isActive: true };
+
+  if (conversation.summaryUpToMessageId) {
+    const last = await Message.findByPk(conversation.summaryUpToMessageId, { attributes: ['createdAt'] });
+    if (last) where.createdAt = { [Op.gt]: last.createdAt };
+  }
+
+  // Para el resumen basta con saber que hay imagen: no se cargan los datos
+  return Message.findAll({
+    where,
+    attributes: ['id', 'sender', 'content', [sequelize.literal('"imageData" IS NOT NULL'), 'hasImage'], 'metadata', 'createdAt'],
+    order: [['createdAt', 'ASC']],
+    limit,
+    raw: true
+  });
+}
+
+/**
+ * Marca la conversación para resumirla en segundo plano
+ * @param {string} conversationId
+ */
+async function requestSummary(conversationId) {
+  await Conversation.update(
+    { summaryRequestedAt: new Date() },
+    { where: { id: conversationId, summaryRequestedAt: null } }
+  );
+}
+
+/**
+ * Pide resumen si ya hay `everyMessages` mensajes sin resumir (tras guardar una respuesta)
+ * @param {Conversation} conversation
+ * @returns {Promise<boolean>} si se pidió
+ */
+async function requestSummaryIfDue(conversation) {
+  const pending = await messagesSinceSummary(conversation, SUMMARY_CONFIG.everyMessages);
+  if (pending.length < SUMMARY_CONFIG.everyMessages) return false;
+
+  await requestSummary(conversation.id);
+  return true;
+}
+
+/**
+ * Pide resumen al pasar a un estado de SUMMARY_STATUSES
+ */
+async function requestSummaryOnStatus(conversation) {
+  if (!SUMMARY_STATUSES.includes(conversation.status)) return false;
+
+  await requestSummary(conversation.id);
+  return true;
+}
+
+/**
+ * Genera o actualiza el resumen con los mensajes nuevos (el resumen anterior se pasa
+ * al proveedor para no releer toda la conversación)
+ * @param {Conversation} conversation
+ * @param {Object} options
+ * @param {boolean} options.force - Rehacer el resumen desde el principio
+ * @returns {Promise<{updated: boolean, summary: string|null, summaryUpToMessageId: string|null}>}
+ */
+async function summarizeConversation(conversation, { force = false } = {}) {
+  const base = force
+    ? { ...conversation.get(), summary: null, summaryUpToMessageId: null }
+    : conversation;
+  const messages = await messagesSinceSummary(base);
+
+  if (messages.length === 0) {
+    return { updated: false, summary: conversation.summary, summaryUpToMessageId: conversation.summaryUpToMessageId };
+  }
+
+  const provider = getSummaryProvider();
+  const summary = await provider.summarize({
+    conversation,
+    previousSummary: base.summary,
+    messages
+  });
+
+  if (!summary) {
+    throw new Error(`${provider.name} summary provider returned an empty summary`);
+  }
+
+  const lastMessage = messages[messages.length - 1];
+  await conversation.update({
+    summary,
+    summaryUpToMessageId: lastMessage.id,
+    summarizedAt: new Date(),
+    summaryRequestedAt: null
+  });
+
+  return { updated: true, summary, summaryUpToMessageId: lastMessage.id };
+}
+
+/**
+ * Resume las conversaciones pendientes. Se reservan con FOR UPDATE SKIP LOCKED
+ * (y se limpia summaryRequestedAt) para que varios procesos no repitan trabajo.
+ * @returns {Promise<number>} conversaciones procesadas
+ */
+async function runSummaries() {
+  const ids = await sequelize.query(`
+    UPDATE "Conversations"
+    SET "summaryRequestedAt" = NULL
+    WHERE id IN (
+      SELECT id FROM "Conversations"
+      WHERE "summaryRequestedAt" IS NOT NULL
+      ORDER BY "summaryRequestedAt" ASC
+      LIMIT :batchSize
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `, {
+    replacements: { batchSize: SUMMARY_CONFIG.batchSize },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  for (const { id } of ids) {
+    const conversation = await Conversation.findByPk(id);
+    if (!conversation) continue;
+    try {
+      await summarizeConversation(conversation);
+    } catch (error) {
+      // Se volverá a pedir con el siguiente mensaje o cambio de estado
+      console.error(`[Summary] ${id} error:`, error.message);
+    }
+  }
+
+  return ids.length;
+}
+
+/**
+ * Arranca el bucle de resúmenes en este proceso
+ */
+function startSummaryWorker() {
+  if (summaryTimer) return;
+
+  const provider = getSummaryProvider();
+  if (!provider.configured) {
+    console.warn(`Conversation summaries disabled: the ${provider.name} summary provider has no API key (set OPENAI_API_KEY or SUMMARY_PROVIDER=stub)`);
+    return;
+  }
+
+  const tick = async () => {
+    if (summaryRunning) return;
+    summaryRunning = true;
+    try {
+      let processed;
+      do {
+        processed = await runSummaries();
+      } while (summaryTimer && processed === SUMMARY_CONFIG.batchSize);
+    } catch (error) {
+      console.error('Summary worker error:', error.message);
+    } finally {
+      summaryRunning = false;
+    }
+  };
+
+  summaryTimer = setInterval(tick, SUMMARY_CONFIG.checkIntervalMs);
+  console.log(`✅ Conversation summaries started (${provider.name}, every ${SUMMARY_CONFIG.everyMessages} messages)`);
+  tick();
+}
+
+function stopSummaryWorker() {
+  clearInterval(summaryTimer);
+  summaryTimer = null;
+}
+
+module.exports = {
+  requestSummary,
+  requestSummaryIfDue,
+  requestSummaryOnStatus,
+  summarizeConversation,
+  runSummaries,
+  startSummaryWorker,
+  stopSummaryWorker,
+  SUMMARY_CONFIG,
+  SUMMARY_STATUSES
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { EmbeddingCache, sequelize } = require('../models');
+const { generateEmbeddingsBatch } = require('./embeddingService');
+
+/**
+ * Normaliza el texto para que cambios solo de espacios no invaliden la caché
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Clave de caché de un texto (el modelo va aparte)
+ * @param {string} text
+ * @returns {string} - SHA-256 hex
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+/**
+ * Busca en caché los embeddings de varios textos
+ * @param {string[]} texts
+ * @param {string} model
+ * @returns {Promise<Map<string, number[]>>} - hash => embedding (solo los encontrados)
+ */
+async function getCachedEmbeddings(texts, model) {
+  const hashes = [...new Set(texts.map(contentHash))];
+  if (hashes.length === 0) {
+    return new Map();
+  }
+
+  const rows = await EmbeddingCache.findAll({
+    where: { model, contentHash: { [Op.in]: hashes } },
+    attributes: ['id', 'contentHash', 'embedding']
+  });
+
+  if (rows.length > 0) {
+    await EmbeddingCache.update(
+      { hits: sequelize.literal('hits + 1'), lastUsedAt: new Date() },
+      { where: { id: { [Op.in]: rows.map(r => r.id) } } }
+    );
+  }
+
+  return new Map(rows.map(r => [r.contentHash, r.embedding]));
+}
+
+/**
+ * Guarda embeddings recién generados (si otro proceso ya guardó el mismo, se ignora)
+ * @param {Array<{text: string, embedding: number[]}>} entries
+ * @param {string} model
+ */
+async function storeEmbeddings(entries, model) {
+  if (entries.length === 0) return;
+
+  await EmbeddingCache.bulkCreate(
+    entries.map(({ text, embedding }) => ({
+      contentHash: contentHash(text),
+      model,
+      dimensions: embedding.length,
+      embedding,
+      lastUsedAt: new Date()
+    })),
+    { ignoreDuplicates: true }
+  );
+}
+
+/**
+ * Embeddings de varios textos: los que están en caché no llaman al proveedor
+ * @param {string[]} texts
+ * @param {Object} provider - Proveedor de embeddings (ver embeddingProviders)
+ * @returns {Promise<{embeddings: number[][], hits: number, misses: number}>}
+ */
+async function embedWithCache(texts, provider) {
+  const cached = await getCachedEmbeddings(texts, provider.model);
+
+  const missed = texts.filter(t => !cached.has(contentHash(t)));
+  const missing = [...new Set(missed)];
+  if (missing.length > 0) {
+    const generated = await generateEmbeddingsBatch(missing, provider);
+    if (generated.length !== missing.length) {
+      throw new Error(`Embedding provider returned ${generated.length} vectors for ${missing.length} texts`);
+    }
+    await storeEmbeddings(missing.map((text, i) => ({ text, embedding: generated[i] })), provider.model);
+    missing.forEach((text, i) => cached.set(contentHash(text), generated[i]));
+  }
+
+  return {
+    embeddings: texts.map(t => cached.get(contentHash(t))),
+    hits: texts.length - missed.length,
+    misses: missed.length
+  };
+}
+
+module.exports = {
+  contentHash,
+  getCachedEmbeddings,
+  storeEmbeddings,
+  embedWithCache
+};
@@ -0,0 +1,65 @@
+const DEFAULT_DIMENSIONS = 1536;
+
+/**
+ * FNV-1a de 32 bits
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embedding local por feature hashing de palabras y bigramas (sin red, siempre el mismo vector)
+ * No es semántico: solo sirve para tests y evaluaciones reproducibles.
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]} - Vector normalizado
+ */
+function hashingEmbedding(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 1);
+
+  const features = words.concat(words.slice(1).map((w, i) => `${words[i]} ${w}`));
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    // El bit alto decide el signo para que las colisiones tiendan a anularse
+    vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Proveedor determinista sin red, para tests y evaluación offline
+ * @param {Object} config
+ * @param {string} config.model - Por defecto 'hashing-v1'
+ * @param {number} config.dimensions
+ */
+function createHashingProvider({ model, dimensions } = {}) {
+  const dims = dimensions || DEFAULT_DIMENSIONS;
+
+  return {
+    name: 'hashing',
+    model: model || 'hashing-v1',
+    baseUrl: null,
+    dimensions: dims,
+
+    async embed(texts) {
+      return texts.map(text => hashingEmbedding(text, dims));
+    }
+  };
+}
+
+module.exports = { createHashingProvider, hashingEmbedding };
@@ -0,0 +1,109 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createHashingProvider } = require('./hashingProvider');
+
+const EMBEDDING_PROVIDERS = ['openai', 'openai-compatible', 'hashing'];
+
+// Modelo con el que se generaron los embeddings anteriores a guardar el modelo por chunk
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Cuánto se cachea el modelo activo antes de volver a leerlo (otros procesos pueden haber cambiado)
+const ACTIVE_PROVIDER_TTL_MS = 30000;
+
+let activeCache = null;
+
+/**
+ * Crea un proveedor de embeddings
+ * @param {Object} config
+ * @param {string} config.provider - 'openai', 'openai-compatible' o 'hashing'
+ * @param {string} config.model
+ * @param {string} config.baseUrl - URL del servidor compatible (p. ej. http://localhost:11434/v1)
+ * @param {number} config.dimensions
+ * @returns {{name: string, model: string, baseUrl: string|null, dimensions: number|null, embed: Function}}
+ */
+function createEmbeddingProvider({ provider = 'openai', model, baseUrl, dimensions } = {}) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        model: model || LEGACY_EMBEDDING_MODEL,
+        apiKey: process.env.OPENAI_API_KEY,
+        dimensions
+      });
+
+    case 'openai-compatible':
+      if (!baseUrl) {
+        throw new Error('baseUrl is required for the openai-compatible embedding provider');
+      }
+      if (!model) {
+        throw new Error('model is required for the openai-compatible embedding provider');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        model,
+        baseUrl,
+        apiKey: process.env.EMBEDDING_API_KEY,
+        dimensions
+      });
+
+    case 'hashing':
+      return createHashingProvider({ model, dimensions });
+
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+/**
+ * Configuración inicial desde el entorno (EMBEDDING_PROVIDER, EMBEDDING_MODEL, ...)
+ */
+function envEmbeddingConfig() {
+  return {
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    model: process.env.EMBEDDING_MODEL || undefined,
+    baseUrl: process.env.EMBEDDING_BASE_URL || undefined,
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined
+  };
+}
+
+/**
+ * Proveedor activo: el del último re-embed conmutado o, si no hay ninguno, el del entorno
+ * @returns {Promise<Object>}
+ */
+async function getActiveEmbeddingProvider() {
+  if (activeCache && Date.now() - activeCache.loadedAt < ACTIVE_PROVIDER_TTL_MS) {
+    return activeCache.provider;
+  }
+
+  const { ReembedJob } = require('../../models');
+  const switched = await ReembedJob.findOne({
+    where: { status: 'switched' },
+    order: [['switchedAt', 'DESC']]
+  });
+
+  const provider = switched
+    ? createEmbeddingProvider({
+        provider: switched.provider,
+        model: switched.model,
+        baseUrl: switched.baseUrl,
+        dimensions: switched.dimensions
+      })
+    : createEmbeddingProvider(envEmbeddingConfig());
+
+  activeCache = { provider, loadedAt: Date.now() };
+  return provider;
+}
+
+/**
+ * Fuerza a releer el proveedor activo (tras conmutar un re-embed)
+ */
+function invalidateActiveEmbeddingProvider() {
+  activeCache = null;
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  invalidateActiveEmbeddingProvider,
+  EMBEDDING_PROVIDERS,
+  LEGACY_EMBEDDING_MODEL
+};
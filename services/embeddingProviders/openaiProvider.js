@@ -0,0 +1,61 @@
+const OpenAI = require('openai');
+
+// Dimensiones conocidas; para otros modelos se toma la longitud del primer vector
+const KNOWN_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+/**
+ * Proveedor de embeddings con la API de OpenAI o un servidor compatible
+ * (Ollama, vLLM, LM Studio... expuestos en /v1/embeddings)
+ * @param {Object} config
+ * @param {string} config.name - 'openai' u 'openai-compatible'
+ * @param {string} config.model
+ * @param {string} config.baseUrl - Solo para servidores compatibles
+ * @param {string} config.apiKey
+ * @param {number} config.dimensions - Dimensión esperada (opcional)
+ * @returns {{name: string, model: string, dimensions: number|null, embed: Function}}
+ */
+function createOpenAIProvider({ name, model, baseUrl, apiKey, dimensions }) {
+  // Cliente creado al primer uso: cargar el módulo no exige OPENAI_API_KEY
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: apiKey || 'not-needed',
+        // Los 429 los reintenta embeddingService con su ritmo adaptativo
+        maxRetries: 0,
+        ...(baseUrl ? { baseURL: baseUrl } : {})
+      });
+    }
+    return client;
+  };
+
+  // Los modelos text-embedding-3 pueden devolver vectores recortados: solo se pide
+  // si la dimensión configurada no es la nativa del modelo
+  const requestedDimensions = dimensions && dimensions !== KNOWN_DIMENSIONS[model] ? dimensions : null;
+
+  return {
+    name,
+    model,
+    baseUrl: baseUrl || null,
+    dimensions: dimensions || KNOWN_DIMENSIONS[model] || null,
+
+    async embed(texts) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        ...(requestedDimensions ? { dimensions: requestedDimensions } : {})
+      });
+
+      // El orden de data no está garantizado en servidores compatibles
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -1,97 +1,167 @@
-const OpenAI = require('openai');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const { getActiveEmbeddingProvider, LEGACY_EMBEDDING_MODEL } = require('./embeddingProviders');
+const { markdownChunkGenerator } = require('./markdownChunker');
+const { isTranscript, transcriptChunkGenerator, timestampUrl } = require('./transcriptService');
+const { countTokens, truncateToTokens, charsPerToken, MAX_EMBEDDING_TOKENS } = require('./tokenizer');
 
 // Configuración de chunking
 const CHUNK_CONFIG = {
-  maxTokens: 500,        // Tokens por chunk (aprox)
-  overlapTokens: 50,     // Solapamiento entre chunks para contexto
-  charsPerToken: 4       // Aproximación caracteres/token
+  maxTokens: 500,        // Tokens por chunk (contados con el tokenizador, ver tokenizer.js)
+  overlapTokens: 50      // Solapamiento entre chunks para contexto
+};
+
+// Lotes de embeddings: se cortan por presupuesto de tokens y por número de textos
+const EMBEDDING_BATCH_CONFIG = {
+  maxTokens: 16000,
+  maxInputs: 100         // OpenAI permite hasta 2048 inputs en batch
 };
 
+// Ritmo adaptativo: sin espera mientras el proveedor acepta; ante 429 se respeta
+// Retry-After (o se dobla la espera) y se va reduciendo con cada llamada correcta
+const RATE_LIMIT_CONFIG = {
+  minBackoffMs: 1000,
+  maxDelayMs: 60000,
+  maxRetries: 6,
+  decay: 0.5
+};
+
+const pacer = { delayMs: 0 };
+
+// Separador de páginas en el texto extraído de PDFs (mismo convenio que pdftotext)
+const PAGE_SEPARATOR = '\f';
+
+/**
+ * Limpia cada página y las une, guardando dónde empieza y acaba cada una en el texto limpio
+ * @param {string[]} pages
+ * @returns {{cleanText: string, pageRanges: Array<{page: number, start: number, end: number}>}}
+ */
+function joinPages(pages) {
+  const parts = [];
+  const pageRanges = [];
+  let offset = 0;
+
+  pages.forEach((pageText, i) => {
+    const clean = pageText.replace(/\s+/g, ' ').trim();
+    if (!clean) return;
+
+    if (parts.length > 0) offset += 1; // espacio de unión
+    pageRanges.push({ page: i + 1, start: offset, end: offset + clean.length });
+    parts.push(clean);
+    offset += clean.length;
+  });
+
+  return { cleanText: parts.join(' '), pageRanges };
+}
+
+/**
+ * Páginas que cubre el tramo [start, end) del texto limpio
+ * @returns {{pageStart: number|null, pageEnd: number|null}}
+ */
+function pagesForRange(pageRanges, start, end) {
+  if (!pageRanges) {
+    return { pageStart: null, pageEnd: null };
+  }
+
+  const covered = pageRanges.filter(r => r.start < end && r.end > start);
+  if (covered.length === 0) {
+    return { pageStart: null, pageEnd: null };
+  }
+  return { pageStart: covered[0].page, pageEnd: covered[covered.length - 1].page };
+}
+
+// Priorizar cortes: doble salto > punto > coma > espacio
+const BREAK_POINTS = [
+  /\n\n/g,
+  /[.!?]\s/g,
+  /,\s/g,
+  /\s/g
+];
+
+/**
+ * Busca un punto de corte natural cerca de targetIndex
+ * @returns {number} - Índice de corte (targetIndex si no hay ninguno mejor)
+ */
+function findBreak(text, startIndex, targetIndex) {
+  if (targetIndex >= text.length) {
+    return text.length;
+  }
+
+  const searchStart = Math.max(targetIndex - 200, startIndex);
+  const searchEnd = Math.min(targetIndex + 100, text.length);
+  const searchText = text.substring(searchStart, searchEnd);
+
+  for (const pattern of BREAK_POINTS) {
+    const matches = [...searchText.matchAll(pattern)];
+    if (matches.length > 0) {
+      const lastMatch = matches[matches.length - 1];
+      const bestBreak = searchStart + lastMatch.index + lastMatch[0].length;
+      return bestBreak > startIndex ? bestBreak : targetIndex;
+    }
+  }
+  return targetIndex;
+}
+
 /**
  * Generador que divide texto en chunks uno a uno (no carga todo en memoria)
+ * Si el texto tiene páginas (PAGE_SEPARATOR), cada chunk indica de qué páginas viene.
+ * El corte se estima con los caracteres/token del propio documento y se comprueba con
+ * el tokenizador: ningún chunk pasa de maxTokens tokens reales.
  * @param {string} text - Texto completo a dividir
  * @param {number} maxTokens - Máximo de tokens por chunk
  * @param {number} overlapTokens - Tokens de solapamiento
- * @yields {{content: string, tokens: number, index: number}}
+ * @yields {{content: string, tokens: number, index: number, pageStart: number|null, pageEnd: number|null}}
  */
 function* chunkTextGenerator(text, maxTokens = CHUNK_CONFIG.maxTokens, overlapTokens = CHUNK_CONFIG.overlapTokens) {
   if (!text || text.trim().length === 0) {
     return;
   }
 
-  const maxChars = maxTokens * CHUNK_CONFIG.charsPerToken;
-  const overlapChars = overlapTokens * CHUNK_CONFIG.charsPerToken;
-  
   // Limpiar texto (esto sí usa memoria pero es necesario una vez)
-  const cleanText = text.replace(/\s+/g, ' ').trim();
-  
-  // Si el texto es corto, devolver como un solo chunk
-  if (cleanText.length <= maxChars) {
-    yield {
-      content: cleanText,
-      tokens: Math.ceil(cleanText.length / CHUNK_CONFIG.charsPerToken),
-      index: 0
-    };
-    return;
-  }
+  const pages = text.split(PAGE_SEPARATOR);
+  const { cleanText, pageRanges } = pages.length > 1
+    ? joinPages(pages)
+    : { cleanText: text.replace(/\s+/g, ' ').trim(), pageRanges: null };
+
+  const ratio = charsPerToken(cleanText);
+  const maxChars = Math.max(Math.floor(maxTokens * ratio), 1);
+  const overlapChars = Math.floor(overlapTokens * ratio);
 
   let startIndex = 0;
   let chunkIndex = 0;
   let lastEndIndex = -1;
 
   while (startIndex < cleanText.length) {
-    let endIndex = startIndex + maxChars;
-    
-    // No pasar del final del texto
-    if (endIndex >= cleanText.length) {
-      endIndex = cleanText.length;
-    } else {
-      // Buscar un punto de corte natural
-      const searchStart = Math.max(startIndex + maxChars - 200, startIndex);
-      const searchEnd = Math.min(startIndex + maxChars + 100, cleanText.length);
-      const searchText = cleanText.substring(searchStart, searchEnd);
-      
-      // Priorizar cortes: doble salto > punto > coma > espacio
-      const breakPoints = [
-        { pattern: /\n\n/g, priority: 1 },
-        { pattern: /\.\s/g, priority: 2 },
-        { pattern: /[!?]\s/g, priority: 2 },
-        { pattern: /,\s/g, priority: 3 },
-        { pattern: /\s/g, priority: 4 }
-      ];
-
-      let bestBreak = -1;
-      for (const bp of breakPoints) {
-        const matches = [...searchText.matchAll(bp.pattern)];
-        if (matches.length > 0) {
-          const lastMatch = matches[matches.length - 1];
-          bestBreak = searchStart + lastMatch.index + lastMatch[0].length;
-          break;
-        }
-      }
+    let windowChars = maxChars;
+    let endIndex = findBreak(cleanText, startIndex, startIndex + windowChars);
+    let chunkContent = cleanText.substring(startIndex, endIndex).trim();
+    let tokens = countTokens(chunkContent);
 
-      if (bestBreak > startIndex) {
-        endIndex = bestBreak;
+    // La estimación se pasó (texto más denso que la media): encoger la ventana
+    while (tokens > maxTokens && windowChars > 1) {
+      windowChars = Math.max(Math.floor(windowChars * (maxTokens / tokens) * 0.95), 1);
+      endIndex = findBreak(cleanText, startIndex, startIndex + windowChars);
+      if (endIndex - startIndex > windowChars + 100) {
+        endIndex = startIndex + windowChars;
       }
+      chunkContent = cleanText.substring(startIndex, endIndex).trim();
+      tokens = countTokens(chunkContent);
     }
 
-    const chunkContent = cleanText.substring(startIndex, endIndex).trim();
-    
     if (chunkContent.length > 0) {
       yield {
         content: chunkContent,
-        tokens: Math.ceil(chunkContent.length / CHUNK_CONFIG.charsPerToken),
-        index: chunkIndex
+        tokens,
+        index: chunkIndex,
+        ...pagesForRange(pageRanges, startIndex, endIndex)
       };
       chunkIndex++;
     }
 
-    // Avanzar con solapamiento
-    const newStart = endIndex - overlapChars;
+    if (endIndex >= cleanText.length) {
+      break;
+    }
+
+    // Avanzar con solapamiento (sin comerse más de media ventana)
+    const newStart = endIndex - Math.min(overlapChars, Math.floor((endIndex - startIndex) / 2));
     
     // Evitar bucle infinito
     if (newStart <= startIndex) {
@@ -108,14 +178,49 @@ function* chunkTextGenerator(text, maxTokens = CHUNK_CONFIG.maxTokens, overlapTo
   }
 }
 
+/**
+ * Generador de chunks según el tipo de recurso: los artículos (Markdown/HTML) se
+ * trocean por secciones con su ruta de encabezados, los vídeos con transcripción
+ * (SRT/WebVTT) por cues con sus tiempos, y el resto con chunkTextGenerator.
+ * @param {string} text - Texto completo a dividir
+ * @param {string} tipo - Tipo del Recurso ('video', 'pdf', 'articulo')
+ * @param {number} maxTokens - Máximo de tokens por chunk
+ * @param {number} overlapTokens - Tokens de solapamiento
+ * @yields {{content: string, tokens: number, index: number, pageStart: number|null, pageEnd: number|null, startSeconds?: number, endSeconds?: number}}
+ */
+function* chunkDocumentGenerator(text, tipo = null, maxTokens = CHUNK_CONFIG.maxTokens, overlapTokens = CHUNK_CONFIG.overlapTokens) {
+  const splitText = (block, blockMaxTokens) => Array.from(
+    chunkTextGenerator(block, blockMaxTokens, overlapTokens),
+    chunk => chunk.content
+  );
+
+  if (tipo === 'video' && isTranscript(text)) {
+    yield* transcriptChunkGenerator(text, { maxTokens, overlapTokens, countTokens, splitText });
+    return;
+  }
+
+  if (tipo !== 'articulo') {
+    yield* chunkTextGenerator(text, maxTokens, overlapTokens);
+    return;
+  }
+
+  yield* markdownChunkGenerator(text, {
+    maxTokens,
+    countTokens,
+    // Bloques que no caben ni solos (párrafos enormes): corte con chunkTextGenerator
+    splitText
+  });
+}
+
 /**
  * Cuenta chunks sin crearlos todos en memoria
  * @param {string} text 
+ * @param {string} tipo - Tipo del Recurso (elige el chunker)
  * @returns {number}
  */
-function countChunks(text) {
+function countChunks(text, tipo = null) {
   let count = 0;
-  for (const _ of chunkTextGenerator(text)) {
+  for (const _ of chunkDocumentGenerator(text, tipo)) {
     count++;
   }
   return count;
@@ -132,33 +237,103 @@ function splitTextIntoChunks(text, maxTokens = CHUNK_CONFIG.maxTokens, overlapTo
   return [...chunkTextGenerator(text, maxTokens, overlapTokens)];
 }
 
+/**
+ * Espera pedida por el proveedor en una respuesta 429
+ * @param {Error} error - Error de la API (status, headers)
+ * @returns {number|null} ms
+ */
+function retryAfterMs(error) {
+  const headers = error.headers || {};
+  const header = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(ms)) return ms;
+
+  const retryAfter = header('retry-after');
+  if (!retryAfter) return null;
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Ejecuta una llamada al proveedor con el ritmo adaptativo (reintenta los 429)
+ * @param {Function} fn
+ */
+async function withRateLimit(fn) {
+  for (let attempt = 0; ; attempt++) {
+    if (pacer.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, pacer.delayMs));
+    }
+
+    try {
+      const result = await fn();
+      pacer.delayMs = pacer.delayMs < 100 ? 0 : Math.floor(pacer.delayMs * RATE_LIMIT_CONFIG.decay);
+      return result;
+    } catch (error) {
+      // Sin cuota no es un límite de ritmo: reintentar no sirve
+      if (error.status !== 429 || error.code === 'insufficient_quota' || attempt >= RATE_LIMIT_CONFIG.maxRetries) {
+        throw error;
+      }
+
+      pacer.delayMs = Math.min(
+        Math.max(retryAfterMs(error) || 0, pacer.delayMs * 2, RATE_LIMIT_CONFIG.minBackoffMs),
+        RATE_LIMIT_CONFIG.maxDelayMs
+      );
+      console.warn(`Embeddings rate limited (429), retrying in ${pacer.delayMs}ms`);
+    }
+  }
+}
+
+/**
+ * Espera actual entre llamadas al proveedor (para estimar tiempos)
+ * @returns {number} ms
+ */
+function getRateLimitDelayMs() {
+  return pacer.delayMs;
+}
+
+/**
+ * Recorta un texto al máximo de tokens que admite el modelo de embeddings.
+ * Nunca en silencio: si recorta lo avisa en el log (los chunks además quedan marcados).
+ * @param {string} text
+ * @returns {{text: string, tokens: number, truncated: boolean}}
+ */
+function truncateForEmbedding(text) {
+  const result = truncateToTokens(text, MAX_EMBEDDING_TOKENS);
+  if (result.truncated) {
+    console.warn(`Texto recortado a ${MAX_EMBEDDING_TOKENS} tokens para el embedding (${countTokens(text)} tokens)`);
+  }
+  return result;
+}
+
 /**
  * Genera embedding para un texto
  * @param {string} text - Texto para generar embedding
+ * @param {Object} provider - Proveedor a usar (por defecto el activo, ver embeddingProviders)
  * @returns {Promise<number[]>} - Vector de embedding
  */
-async function generateEmbedding(text) {
+async function generateEmbedding(text, provider = null) {
   if (!text || text.trim().length === 0) {
     throw new Error('Text is required for embedding generation');
   }
 
-  // Limitar texto a ~8000 tokens aprox (32000 chars)
-  const truncatedText = text.substring(0, 32000);
+  const { text: truncatedText } = truncateForEmbedding(text);
 
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: truncatedText
-  });
-
-  return response.data[0].embedding;
+  const embeddingProvider = provider || await getActiveEmbeddingProvider();
+  const [embedding] = await withRateLimit(() => embeddingProvider.embed([truncatedText]));
+  return embedding;
 }
 
 /**
- * Genera embeddings para múltiples textos en batch
+ * Genera embeddings para múltiples textos en batch.
+ * Cada llamada al proveedor lleva como mucho EMBEDDING_BATCH_CONFIG.maxTokens.
  * @param {string[]} texts - Array de textos
+ * @param {Object} provider - Proveedor a usar (por defecto el activo)
  * @returns {Promise<number[][]>} - Array de embeddings
  */
-async function generateEmbeddingsBatch(texts) {
+async function generateEmbeddingsBatch(texts, provider = null) {
   if (!texts || texts.length === 0) {
     return [];
   }
@@ -167,123 +342,409 @@ async function generateEmbeddingsBatch(texts) {
   const validTexts = texts
     .map(t => (t || '').trim())
     .filter(t => t.length > 0)
-    .map(t => t.substring(0, 32000));
+    .map(t => truncateForEmbedding(t));
 
   if (validTexts.length === 0) {
     return [];
   }
 
-  // OpenAI permite hasta 2048 inputs en batch
-  const batchSize = 100;
+  const embeddingProvider = provider || await getActiveEmbeddingProvider();
   const allEmbeddings = [];
 
-  for (let i = 0; i < validTexts.length; i += batchSize) {
-    const batch = validTexts.slice(i, i + batchSize);
-    
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: batch
-    });
-
-    const batchEmbeddings = response.data.map(d => d.embedding);
+  let batch = [];
+  let batchTokens = 0;
+  const flush = async () => {
+    const current = batch;
+    batch = [];
+    batchTokens = 0;
+    const batchEmbeddings = await withRateLimit(() => embeddingProvider.embed(current));
     allEmbeddings.push(...batchEmbeddings);
+  };
+
+  for (const { text, tokens } of validTexts) {
+    if (batch.length > 0 &&
+        (batchTokens + tokens > EMBEDDING_BATCH_CONFIG.maxTokens || batch.length >= EMBEDDING_BATCH_CONFIG.maxInputs)) {
+      await flush();
+    }
+    batch.push(text);
+    batchTokens += tokens;
+  }
+  if (batch.length > 0) {
+    await flush();
   }
 
   return allEmbeddings;
 }
 
-/**
- * Busca chunks similares a una consulta
- * @param {number[]} queryEmbedding - Embedding de la consulta
- * @param {number} limit - Número de resultados
- * @returns {Promise<Array>} - Chunks similares con info del recurso padre
- */
-async function searchSimilarChunks(queryEmbedding, limit = 5) {
-  const { sequelize } = require('../models');
-  
-  const embeddingStr = `[${queryEmbedding.join(',')}]`;
-  
-  const results = await sequelize.query(`
-    SELECT 
+// Modos de búsqueda: solo embeddings, solo texto (tsvector en español) o ambos con RRF
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+const HYBRID_CONFIG = {
+  rrfK: 60,          // Constante de reciprocal rank fusion: 1 / (k + rank)
+  candidates: 50     // Candidatos que aporta cada ranking antes de fusionar
+};
+
+const RESOURCE_SEARCH_CONFIG = {
+  chunksPerResource: 3,  // Mejores chunks devueltos por recurso
+  candidates: 200        // Chunks rankeados (ya filtrados) de los que salen los recursos
+};
+
+const CHUNK_COLUMNS = `
       c.id as chunk_id,
       c."recursoId",
       c."chunkIndex",
       c.contenido as chunk_contenido,
+      c."pageStart",
+      c."pageEnd",
+      c."startSeconds",
+      c."endSeconds",
       r.tipo,
       r.titulo,
       r.descripcion,
       r.url,
-      r.categoria,
-      1 - (c.embedding <=> :embedding::vector) as similarity
-    FROM "Chunks" c
+      r.categoria`;
+
+// Solo se comparan vectores del mismo modelo y dimensión que el de la consulta
+const SAME_MODEL = `c."embeddingModel" = :embeddingModel
+        AND c."embeddingDimensions" = :embeddingDimensions`;
+
+// Misma expresión que el índice GIN de migrations/add-chunk-fulltext-index.js
+const CHUNK_TSVECTOR = `to_tsvector('spanish', c.contenido)`;
+
+// Términos de la consulta unidos con OR: ts_rank_cd premia a los chunks que tienen más
+const QUERY_TSQUERY = `to_tsquery('spanish', replace(plainto_tsquery('spanish', :queryText)::text, ' & ', ' | '))`;
+
+/**
+ * Condiciones WHERE comunes a todas las búsquedas (sobre "Chunks" c y "Recursos" r)
+ * Los valores de los filtros se añaden a replacements.
+ * @param {Object} filters
+ * @param {string} filters.categoria - Categoría del recurso (incluye siempre 'general')
+ * @param {string} filters.tipo - Tipo de recurso
+ * @param {string[]} filters.recursoIds - Limitar a estos recursos
+ * @param {Object} replacements
+ * @returns {string}
+ */
+function buildChunkFilter({ categoria, tipo, recursoIds } = {}, replacements) {
+  const conditions = [
+    `c."embeddingStatus" = 'completed'`,
+    'r.activo = true'
+  ];
+
+  if (categoria && categoria !== 'general') {
+    conditions.push(`r.categoria IN (:categoria, 'general')`);
+    replacements.categoria = categoria;
+  }
+  if (tipo) {
+    conditions.push('r.tipo = :tipo');
+    replacements.tipo = tipo;
+  }
+  if (recursoIds && recursoIds.length > 0) {
+    conditions.push('c."recursoId" IN (:recursoIds)');
+    replacements.recursoIds = recursoIds;
+  }
+
+  return conditions.join('\n        AND ');
+}
+
+/**
+ * Los :candidates chunks más cercanos al embedding de la consulta. El ranking se
+ * calcula fuera: un ROW_NUMBER() en esta misma SELECT obligaría a ordenar todos los
+ * chunks y el índice HNSW/IVFFlat no serviría el ORDER BY ... LIMIT
+ * @param {string} filter - Resultado de buildChunkFilter
+ * @returns {string}
+ */
+function nearestChunksSql(filter) {
+  return `
+        SELECT c.id, c.embedding <=> :embedding::vector as distance
+        FROM "Chunks" c
+        INNER JOIN "Recursos" r ON r.id = c."recursoId"
+        WHERE c.embedding IS NOT NULL
+          AND ${SAME_MODEL}
+          AND ${filter}
+        ORDER BY c.embedding <=> :embedding::vector
+        LIMIT :candidates
+      `;
+}
+
+/**
+ * CTEs que terminan en "ranked" (id, score, vector_rank, keyword_rank): los mejores
+ * :candidates chunks que cumplen los filtros, según el modo de búsqueda
+ * @param {string} mode
+ * @param {string} filter - Resultado de buildChunkFilter
+ * @returns {string}
+ */
+function rankedChunksCte(mode, filter) {
+  if (mode === 'vector') {
+    return `ranked AS (
+      SELECT nearest.id,
+        1 - nearest.distance as score,
+        ROW_NUMBER() OVER (ORDER BY nearest.distance) as vector_rank,
+        NULL::bigint as keyword_rank
+      FROM (${nearestChunksSql(filter)}) nearest
+    )`;
+  }
+
+  if (mode === 'keyword') {
+    return `ranked AS (
+      SELECT c.id,
+        ts_rank_cd(${CHUNK_TSVECTOR}, q.query) as score,
+        NULL::bigint as vector_rank,
+        ROW_NUMBER() OVER (ORDER BY ts_rank_cd(${CHUNK_TSVECTOR}, q.query) DESC) as keyword_rank
+      FROM "Chunks" c
+      INNER JOIN "Recursos" r ON r.id = c."recursoId"
+      CROSS JOIN ${QUERY_TSQUERY} AS q(query)
+      WHERE ${CHUNK_TSVECTOR} @@ q.query
+        AND ${filter}
+      ORDER BY score DESC
+      LIMIT :candidates
+    )`;
+  }
+
+  // hybrid: fusionar ambos rankings con reciprocal rank fusion
+  return `vector_ranked AS (
+      SELECT nearest.id, ROW_NUMBER() OVER (ORDER BY nearest.distance) as rank
+      FROM (${nearestChunksSql(filter)}) nearest
+    ),
+    keyword_ranked AS (
+      SELECT c.id, ROW_NUMBER() OVER (ORDER BY ts_rank_cd(${CHUNK_TSVECTOR}, q.query) DESC) as rank
+      FROM "Chunks" c
+      INNER JOIN "Recursos" r ON r.id = c."recursoId"
+      CROSS JOIN ${QUERY_TSQUERY} AS q(query)
+      WHERE ${CHUNK_TSVECTOR} @@ q.query
+        AND ${filter}
+      ORDER BY ts_rank_cd(${CHUNK_TSVECTOR}, q.query) DESC
+      LIMIT :candidates
+    ),
+    ranked AS (
+      SELECT
+        COALESCE(v.id, k.id) as id,
+        COALESCE(1.0 / (:rrfK + v.rank), 0) + COALESCE(1.0 / (:rrfK + k.rank), 0) as score,
+        v.rank as vector_rank,
+        k.rank as keyword_rank
+      FROM vector_ranked v
+      FULL OUTER JOIN keyword_ranked k ON k.id = v.id
+    )`;
+}
+
+/**
+ * Valida modo y parámetros y prepara las piezas comunes de una búsqueda
+ * @returns {Promise<{filter: string, replacements: Object, similaritySql: string}>}
+ */
+async function prepareSearch(queryEmbedding, { mode, queryText, filters, embeddingModel }) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode: ${mode}`);
+  }
+  if (mode !== 'keyword' && !queryEmbedding) {
+    throw new Error(`Query embedding is required for ${mode} search`);
+  }
+  if (mode !== 'vector' && !queryText) {
+    throw new Error(`Query text is required for ${mode} search`);
+  }
+
+  const replacements = {
+    embedding: queryEmbedding ? `[${queryEmbedding.join(',')}]` : null,
+    embeddingModel: null,
+    embeddingDimensions: queryEmbedding ? queryEmbedding.length : null,
+    queryText,
+    rrfK: HYBRID_CONFIG.rrfK
+  };
+
+  if (queryEmbedding) {
+    // La consulta se embebe con el proveedor activo salvo que se indique otro modelo
+    const provider = embeddingModel ? null : await getActiveEmbeddingProvider();
+    if (provider && provider.dimensions && provider.dimensions !== queryEmbedding.length) {
+      const error = new Error(`Query embedding has ${queryEmbedding.length} dimensions, ${provider.model} uses ${provider.dimensions}`);
+      error.code = 'EMBEDDING_MODEL_MISMATCH';
+      throw error;
+    }
+    replacements.embeddingModel = embeddingModel || provider.model;
+  }
+
+  const filter = buildChunkFilter(filters, replacements);
+  const similaritySql = queryEmbedding
+    ? `CASE WHEN ${SAME_MODEL} THEN 1 - (c.embedding <=> :embedding::vector) END`
+    : 'NULL::float';
+
+  return { filter, replacements, similaritySql };
+}
+
+/**
+ * Busca chunks similares a una consulta
+ * @param {number[]|null} queryEmbedding - Embedding de la consulta (no hace falta en modo keyword)
+ * @param {number} limit - Número de resultados
+ * @param {Object} options
+ * @param {string} options.mode - 'vector' (por defecto), 'keyword' o 'hybrid'
+ * @param {string} options.queryText - Texto de la consulta (modos keyword e hybrid)
+ * @param {Object} options.filters - { categoria, tipo, recursoIds } (ver buildChunkFilter)
+ * @param {string} options.embeddingModel - Modelo de queryEmbedding (por defecto el activo)
+ * @returns {Promise<Array>} - Chunks similares con info del recurso padre, ordenados por score
+ */
+async function searchSimilarChunks(queryEmbedding, limit = 5, { mode = 'vector', queryText = null, filters = {}, embeddingModel = null } = {}) {
+  const { sequelize } = require('../models');
+  const { filter, replacements, similaritySql } = await prepareSearch(queryEmbedding, { mode, queryText, filters, embeddingModel });
+
+  return sequelize.query(`
+    WITH ${rankedChunksCte(mode, filter)}
+    SELECT ${CHUNK_COLUMNS},
+      ${similaritySql} as similarity,
+      ranked.score,
+      ranked.vector_rank as "vectorRank",
+      ranked.keyword_rank as "keywordRank"
+    FROM ranked
+    INNER JOIN "Chunks" c ON c.id = ranked.id
     INNER JOIN "Recursos" r ON r.id = c."recursoId"
-    WHERE c.embedding IS NOT NULL 
-      AND c."embeddingStatus" = 'completed'
-      AND r.activo = true
-    ORDER BY c.embedding <=> :embedding::vector
+    ORDER BY ranked.score DESC
     LIMIT :limit
   `, {
-    replacements: { embedding: embeddingStr, limit },
+    replacements: {
+      ...replacements,
+      limit,
+      candidates: mode === 'hybrid' ? Math.max(HYBRID_CONFIG.candidates, limit) : limit
+    },
     type: sequelize.QueryTypes.SELECT
   });
+}
 
-  return results;
+/**
+ * Busca los N recursos más relevantes y sus K mejores chunks, agrupando en la base de datos
+ * @param {number[]|null} queryEmbedding - Embedding de la consulta (no hace falta en modo keyword)
+ * @param {Object} options
+ * @param {number} options.limit - Recursos distintos a devolver
+ * @param {number} options.chunksPerResource - Chunks por recurso
+ * @param {string} options.mode - 'vector' (por defecto), 'keyword' o 'hybrid'
+ * @param {string} options.queryText - Texto de la consulta (modos keyword e hybrid)
+ * @param {Object} options.filters - { categoria, tipo, recursoIds } (ver buildChunkFilter)
+ * @param {string} options.embeddingModel - Modelo de queryEmbedding (por defecto el activo)
+ * @returns {Promise<Array>} - Recursos ordenados por su mejor chunk, cada uno con `chunks`
+ */
+async function searchResources(queryEmbedding, {
+  limit = 5,
+  chunksPerResource = RESOURCE_SEARCH_CONFIG.chunksPerResource,
+  mode = 'vector',
+  queryText = null,
+  filters = {},
+  embeddingModel = null
+} = {}) {
+  const { sequelize } = require('../models');
+  const { filter, replacements, similaritySql } = await prepareSearch(queryEmbedding, { mode, queryText, filters, embeddingModel });
+
+  const rows = await sequelize.query(`
+    WITH ${rankedChunksCte(mode, filter)},
+    per_resource AS (
+      SELECT ranked.*, c."recursoId",
+        ROW_NUMBER() OVER (PARTITION BY c."recursoId" ORDER BY ranked.score DESC) as chunk_rank
+      FROM ranked
+      INNER JOIN "Chunks" c ON c.id = ranked.id
+    ),
+    top_resources AS (
+      SELECT "recursoId", score as resource_score
+      FROM per_resource
+      WHERE chunk_rank = 1
+      ORDER BY score DESC
+      LIMIT :limit
+    )
+    SELECT ${CHUNK_COLUMNS},
+      ${similaritySql} as similarity,
+      p.score,
+      p.vector_rank as "vectorRank",
+      p.keyword_rank as "keywordRank"
+    FROM per_resource p
+    INNER JOIN top_resources t ON t."recursoId" = p."recursoId"
+    INNER JOIN "Chunks" c ON c.id = p.id
+    INNER JOIN "Recursos" r ON r.id = c."recursoId"
+    WHERE p.chunk_rank <= :chunksPerResource
+    ORDER BY t.resource_score DESC, p.chunk_rank
+  `, {
+    replacements: {
+      ...replacements,
+      limit,
+      chunksPerResource,
+      candidates: Math.max(RESOURCE_SEARCH_CONFIG.candidates, limit * chunksPerResource)
+    },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  // Las filas ya vienen agrupadas por recurso y ordenadas: solo hay que darles forma.
+  // En vídeos con transcripción, url lleva el tiempo del mejor chunk (?t=312) y sourceUrl es la original.
+  const resourceMap = new Map();
+  for (const row of rows) {
+    const url = timestampUrl(row.url, row.startSeconds);
+
+    if (!resourceMap.has(row.recursoId)) {
+      resourceMap.set(row.recursoId, {
+        id: row.recursoId,
+        tipo: row.tipo,
+        titulo: row.titulo,
+        descripcion: row.descripcion,
+        url,
+        sourceUrl: row.url,
+        categoria: row.categoria,
+        similarity: row.similarity,
+        score: row.score,
+        contenido: row.chunk_contenido,
+        pageStart: row.pageStart,
+        pageEnd: row.pageEnd,
+        startSeconds: row.startSeconds,
+        endSeconds: row.endSeconds,
+        chunks: []
+      });
+    }
+
+    const resource = resourceMap.get(row.recursoId);
+    resource.chunks.push({
+      id: row.chunk_id,
+      chunkIndex: row.chunkIndex,
+      contenido: row.chunk_contenido,
+      pageStart: row.pageStart,
+      pageEnd: row.pageEnd,
+      startSeconds: row.startSeconds,
+      endSeconds: row.endSeconds,
+      url,
+      similarity: row.similarity,
+      score: row.score
+    });
+    if (row.similarity > resource.similarity) {
+      resource.similarity = row.similarity;
+    }
+  }
+
+  return Array.from(resourceMap.values());
 }
 
 /**
  * Busca recursos similares (método original para compatibilidad)
- * @param {number[]} queryEmbedding - Embedding de la consulta
+ * `contenido` une los mejores chunks de cada recurso.
+ * @param {number[]|null} queryEmbedding - Embedding de la consulta
  * @param {number} limit - Número de resultados
+ * @param {Object} options - { mode, queryText, filters } (ver searchResources)
  * @returns {Promise<Array>} - Recursos similares
  */
-async function searchSimilar(queryEmbedding, limit = 5) {
+async function searchSimilar(queryEmbedding, limit = 5, options = {}) {
   // Primero buscar en chunks
-  const chunkResults = await searchSimilarChunks(queryEmbedding, limit * 2);
+  const resources = await searchResources(queryEmbedding, { ...options, limit });
   
-  if (chunkResults.length > 0) {
-    // Agrupar por recurso y tomar los chunks más relevantes
-    const resourceMap = new Map();
-    
-    for (const chunk of chunkResults) {
-      const resourceId = chunk.recursoId;
-      
-      if (!resourceMap.has(resourceId)) {
-        resourceMap.set(resourceId, {
-          id: resourceId,
-          tipo: chunk.tipo,
-          titulo: chunk.titulo,
-          descripcion: chunk.descripcion,
-          url: chunk.url,
-          categoria: chunk.categoria,
-          similarity: chunk.similarity,
-          contenido: chunk.chunk_contenido,
-          chunks: [chunk.chunk_contenido]
-        });
-      } else {
-        // Añadir contenido de chunks adicionales del mismo recurso
-        const resource = resourceMap.get(resourceId);
-        if (resource.chunks.length < 3) { // Máximo 3 chunks por recurso
-          resource.chunks.push(chunk.chunk_contenido);
-          resource.contenido = resource.chunks.join('\n\n---\n\n');
-        }
-        // Mantener la mejor similaridad
-        if (chunk.similarity > resource.similarity) {
-          resource.similarity = chunk.similarity;
-        }
-      }
-    }
-    
-    // Convertir a array y ordenar por similaridad
-    const results = Array.from(resourceMap.values())
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
-    
-    return results;
+  if (resources.length > 0) {
+    return resources.map(resource => ({
+      ...resource,
+      contenido: resource.chunks.map(chunk => chunk.contenido).join('\n\n---\n\n')
+    }));
+  }
+
+  // Fallback solo posible con embedding (los Recursos no tienen índice de texto)
+  if (!queryEmbedding) {
+    return [];
+  }
+
+  // Recursos.embedding no guarda el modelo: se generó con el modelo original
+  const embeddingModel = options.embeddingModel || (await getActiveEmbeddingProvider()).model;
+  if (embeddingModel !== LEGACY_EMBEDDING_MODEL) {
+    return [];
   }
   
   // Fallback: buscar en la tabla Recursos directamente (recursos sin chunks)
   const { sequelize } = require('../models');
   const embeddingStr = `[${queryEmbedding.join(',')}]`;
+  const filters = options.filters || {};
   
   const results = await sequelize.query(`
     SELECT 
@@ -292,10 +753,13 @@ async function searchSimilar(queryEmbedding, limit = 5) {
     FROM "Recursos"
     WHERE embedding IS NOT NULL 
       AND activo = true
+      ${filters.categoria && filters.categoria !== 'general' ? `AND categoria IN (:categoria, 'general')` : ''}
+      ${filters.tipo ? 'AND tipo = :tipo' : ''}
+      ${filters.recursoIds && filters.recursoIds.length > 0 ? 'AND id IN (:recursoIds)' : ''}
     ORDER BY embedding <=> :embedding::vector
     LIMIT :limit
   `, {
-    replacements: { embedding: embeddingStr, limit },
+    replacements: { embedding: embeddingStr, limit, ...filters },
     type: sequelize.QueryTypes.SELECT
   });
 
@@ -307,8 +771,16 @@ module.exports = {
   generateEmbeddingsBatch,
   splitTextIntoChunks,
   chunkTextGenerator,
+  chunkDocumentGenerator,
   countChunks,
   searchSimilar,
   searchSimilarChunks,
-  CHUNK_CONFIG
+  searchResources,
+  getRateLimitDelayMs,
+  retryAfterMs,
+  CHUNK_CONFIG,
+  EMBEDDING_BATCH_CONFIG,
+  RESOURCE_SEARCH_CONFIG,
+  PAGE_SEPARATOR,
+  SEARCH_MODES
 };
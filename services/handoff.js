@@ -0,0 +1,104 @@
+const { Message } = require('../models');
+const { enqueueConversation, recordResolution } = require('./agentAssignment');
+
+// Handoff a un agente humano: mientras la conversación está en modo 'human' los
+// mensajes del usuario no pasan por el bot y se atienden desde la bandeja de admin.
+// El inicio y el fin quedan como mensajes 'system' en la conversación, y al iniciarlo
+// la conversación entra en la cola de agentes de su categoría (agentAssignment).
+const HANDOFF_EVENTS = {
+  started: 'handoff_started',
+  ended: 'handoff_ended'
+};
+
+const HANDOFF_MESSAGES = {
+  [HANDOFF_EVENTS.started]: 'Un agente de soporte se ha unido a la conversación. El asistente automático queda en pausa.',
+  [HANDOFF_EVENTS.ended]: 'El agente de soporte ha cerrado su intervención. El asistente automático vuelve a responder.'
+};
+
+function handoffError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Guarda un evento del sistema en la conversación
+ * @param {Conversation} conversation
+ * @param {string} event - Uno de HANDOFF_EVENTS
+ * @param {Object} metadata - reason, adminId...
+ * @returns {Promise<Message>}
+ */
+async function recordSystemEvent(conversation, event, metadata = {}) {
+  return Message.create({
+    conversationId: conversation.id,
+    sender: 'system',
+    content: HANDOFF_MESSAGES[event],
+    isRead: true,
+    metadata: { event, ...metadata }
+  });
+}
+
+/**
+ * Pausa el bot y pasa la conversación a un agente. No hace nada si ya estaba en modo human.
+ * @param {Conversation} conversation
+ * @param {Object} options
+ * @param {string} options.reason - 'status', 'feedback' o 'admin'
+ * @param {Object} options.admin - Admin que la toma (si la inicia un admin)
+ * @param {Object} options.details - Datos extra para el evento (escalatedCategory elige la cola)
+ * @returns {Promise<Message|null>} evento creado (null si ya estaba en handoff)
+ */
+async function startHandoff(conversation, { reason, admin = null, details = {} } = {}) {
+  if (conversation.mode === 'human') return null;
+
+  const updates = { mode: 'human', handoffStartedAt: new Date() };
+  if (conversation.status !== 'escalated') {
+    updates.status = 'escalated';
+    updates.escalatedAt = new Date();
+  }
+  await conversation.update(updates);
+  await enqueueConversation(conversation, { queue: details.escalatedCategory, admin });
+
+  console.log(`[Handoff] ${conversation.id} started (${reason})`);
+  return recordSystemEvent(conversation, HANDOFF_EVENTS.started, {
+    reason,
+    adminId: admin ? admin.id : null,
+    adminName: admin ? admin.name : null,
+    ...details
+  });
+}
+
+/**
+ * Devuelve la conversación al bot
+ * @param {Conversation} conversation
+ * @param {Object} options
+ * @param {Object} options.admin - Admin que la devuelve
+ * @param {string} options.reason - 'status' si la resuelve el usuario
+ * @returns {Promise<Message>} evento creado
+ * @throws {Error} code HANDOFF_NOT_ACTIVE si no estaba en modo human
+ */
+async function endHandoff(conversation, { admin = null, reason = null } = {}) {
+  if (conversation.mode !== 'human') {
+    throw handoffError('HANDOFF_NOT_ACTIVE', 'Conversation is not in human mode');
+  }
+
+  const updates = { mode: 'bot', handoffStartedAt: null };
+  if (conversation.status === 'escalated') {
+    updates.status = 'active';
+  }
+  await conversation.update(updates);
+  await recordResolution(conversation);
+
+  console.log(`[Handoff] ${conversation.id} returned to bot${reason ? ` (${reason})` : ''}`);
+  return recordSystemEvent(conversation, HANDOFF_EVENTS.ended, {
+    reason,
+    adminId: admin ? admin.id : null,
+    adminName: admin ? admin.name : null
+  });
+}
+
+module.exports = {
+  startHandoff,
+  endHandoff,
+  recordSystemEvent,
+  HANDOFF_EVENTS
+};
@@ -0,0 +1,441 @@
+const os = require('os');
+const { Op } = require('sequelize');
+const { Recurso, Chunk, IngestionJob, sequelize } = require('../models');
+const {
+  chunkDocumentGenerator,
+  countChunks,
+  getRateLimitDelayMs,
+  CHUNK_CONFIG,
+  EMBEDDING_BATCH_CONFIG
+} = require('./embeddingService');
+const { getActiveEmbeddingProvider } = require('./embeddingProviders');
+const { runReembedBatch } = require('./reembed');
+const { runImportBatch } = require('./knowledgeBundle');
+const { embedWithCache } = require('./embeddingCache');
+const { MAX_EMBEDDING_TOKENS } = require('./tokenizer');
+
+// Tiempo medio por lote (llamada al proveedor + escritura en BD), para las estimaciones
+const SECONDS_PER_BATCH = 3;
+
+const QUEUE_CONFIG = {
+  pollIntervalMs: 5000,        // Cada cuánto se buscan jobs pendientes
+  heartbeatIntervalMs: 10000,  // Cada cuánto el worker marca que sigue vivo
+  staleAfterMs: 120000,        // Sin heartbeat durante este tiempo => worker caído
+  backoffBaseMs: 30000,        // Reintento n espera backoffBaseMs * 2^(n-1)
+  backoffMaxMs: 30 * 60 * 1000
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let running = false;
+let stopped = true;
+
+/**
+ * Tiempo estimado de procesamiento para N chunks
+ * @param {number} numChunks
+ * @returns {number} segundos
+ */
+function estimateProcessingSeconds(numChunks) {
+  const chunksPerBatch = Math.max(1, Math.min(
+    Math.floor(EMBEDDING_BATCH_CONFIG.maxTokens / CHUNK_CONFIG.maxTokens),
+    EMBEDDING_BATCH_CONFIG.maxInputs
+  ));
+  const batches = Math.ceil(numChunks / chunksPerBatch);
+  return Math.ceil(batches * (SECONDS_PER_BATCH + getRateLimitDelayMs() / 1000));
+}
+
+/**
+ * Encola la ingesta (chunks + embeddings) de un recurso.
+ * Cancela cualquier job anterior del mismo recurso que siga pendiente.
+ * @param {string} recursoId
+ * @param {string} fullText - Texto completo a procesar
+ * @returns {Promise<IngestionJob>}
+ */
+async function enqueueIngestion(recursoId, fullText) {
+  await IngestionJob.update(
+    { status: 'cancelled', finishedAt: new Date(), error: 'Reemplazado por un job más reciente' },
+    { where: { recursoId, status: { [Op.in]: ['queued', 'running'] } } }
+  );
+
+  const job = await IngestionJob.create({
+    recursoId,
+    sourceText: fullText,
+    status: 'queued',
+    runAt: new Date()
+  });
+
+  await Recurso.update({ embeddingStatus: 'pending', processingError: null }, { where: { id: recursoId } });
+
+  wake();
+  return job;
+}
+
+/**
+ * Vuelve a encolar un job fallido o cancelado. Se reanuda desde su último chunk completado.
+ * @returns {Promise<IngestionJob|null>} null si el job no existe o no se puede reintentar
+ */
+async function retryJob(jobId) {
+  const job = await IngestionJob.findByPk(jobId);
+  if (!job || !['failed', 'cancelled'].includes(job.status)) {
+    return null;
+  }
+
+  await job.update({
+    status: 'queued',
+    attempts: 0,
+    runAt: new Date(),
+    lockedBy: null,
+    finishedAt: null,
+    error: null
+  });
+  await Recurso.update({ embeddingStatus: 'pending', processingError: null }, { where: { id: job.recursoId } });
+
+  wake();
+  return job;
+}
+
+/**
+ * Cancela un job pendiente o en curso. El worker lo detecta antes del siguiente chunk.
+ * @returns {Promise<IngestionJob|null>} null si el job no existe o ya terminó
+ */
+async function cancelJob(jobId) {
+  const job = await IngestionJob.findByPk(jobId);
+  if (!job || !['queued', 'running'].includes(job.status)) {
+    return null;
+  }
+
+  await job.update({ status: 'cancelled', finishedAt: new Date(), error: 'Cancelado por un administrador' });
+  await Recurso.update(
+    { embeddingStatus: 'error', processingError: 'Ingesta cancelada por un administrador' },
+    { where: { id: job.recursoId } }
+  );
+  return job;
+}
+
+/**
+ * Devuelve a la cola los jobs cuyo worker dejó de dar señales (deploy, crash...)
+ */
+async function recoverStaleJobs() {
+  const [rows] = await sequelize.query(`
+    UPDATE "IngestionJobs"
+    SET status = CASE WHEN attempts >= "maxAttempts" THEN 'failed'::"enum_IngestionJobs_status" ELSE 'queued'::"enum_IngestionJobs_status" END,
+        "lockedBy" = NULL,
+        error = 'Worker sin heartbeat, job recuperado',
+        "finishedAt" = CASE WHEN attempts >= "maxAttempts" THEN NOW() ELSE NULL END,
+        "updatedAt" = NOW()
+    WHERE status = 'running'
+      AND ("heartbeatAt" IS NULL OR "heartbeatAt" < NOW() - :staleMs * INTERVAL '1 millisecond')
+    RETURNING id, "recursoId", status
+  `, {
+    replacements: { staleMs: QUEUE_CONFIG.staleAfterMs }
+  });
+
+  for (const row of rows) {
+    console.log(`[IngestionJob ${row.id}] Recuperado de un worker caído -> ${row.status}`);
+    if (row.status === 'failed') {
+      await Recurso.update(
+        { embeddingStatus: 'error', processingError: 'La ingesta se interrumpió demasiadas veces' },
+        { where: { id: row.recursoId } }
+      );
+    }
+  }
+}
+
+/**
+ * Reclama el siguiente job listo (FOR UPDATE SKIP LOCKED => seguro con varios workers)
+ * @returns {Promise<IngestionJob|null>}
+ */
+async function claimNextJob() {
+  const [rows] = await sequelize.query(`
+    UPDATE "IngestionJobs"
+    SET status = 'running',
+        "lockedBy" = :workerId,
+        "heartbeatAt" = NOW(),
+        "startedAt" = COALESCE("startedAt", NOW()),
+        attempts = attempts + 1,
+        "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM "IngestionJobs"
+      WHERE status = 'queued' AND "runAt" <= NOW()
+      ORDER BY "runAt" ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING id
+  `, {
+    replacements: { workerId: WORKER_ID }
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+  return IngestionJob.findByPk(rows[0].id);
+}
+
+/**
+ * Indica si el job sigue siendo de este worker (no cancelado ni recuperado por otro)
+ */
+async function stillOwned(job) {
+  const current = await IngestionJob.findByPk(job.id, { attributes: ['status', 'lockedBy'] });
+  return !!current && current.status === 'running' && current.lockedBy === WORKER_ID;
+}
+
+/**
+ * Crea los chunks de un lote, los embebe (caché + una llamada por presupuesto de tokens)
+ * y avanza lastChunkIndex del job
+ * @param {IngestionJob} job
+ * @param {Array} batch - Salida de chunkDocumentGenerator
+ */
+async function processBatch(job, batch) {
+  const chunks = await Chunk.bulkCreate(batch.map(chunkData => ({
+    recursoId: job.recursoId,
+    chunkIndex: chunkData.index,
+    contenido: chunkData.content,
+    tokens: chunkData.tokens,
+    // El embedding solo verá los primeros MAX_EMBEDDING_TOKENS tokens
+    truncated: chunkData.tokens > MAX_EMBEDDING_TOKENS,
+    pageStart: chunkData.pageStart,
+    pageEnd: chunkData.pageEnd,
+    startSeconds: chunkData.startSeconds ?? null,
+    endSeconds: chunkData.endSeconds ?? null,
+    embeddingStatus: 'processing'
+  })));
+
+  // Si falla, el job se reintenta desde el primer chunk de este lote
+  const provider = await getActiveEmbeddingProvider();
+  const { embeddings, hits, misses } = await embedWithCache(batch.map(c => c.content), provider);
+
+  // Guardar embeddings junto con el modelo que los generó
+  for (let i = 0; i < chunks.length; i++) {
+    await sequelize.query(`
+      UPDATE "Chunks" 
+      SET embedding = :embedding::vector,
+          "embeddingModel" = :model,
+          "embeddingDimensions" = :dimensions,
+          "embeddingStatus" = 'completed',
+          "updatedAt" = NOW()
+      WHERE id = :id
+    `, {
+      replacements: {
+        embedding: `[${embeddings[i].join(',')}]`,
+        model: provider.model,
+        dimensions: embeddings[i].length,
+        id: chunks[i].id
+      }
+    });
+  }
+
+  await job.update({
+    lastChunkIndex: batch[batch.length - 1].index,
+    heartbeatAt: new Date(),
+    cacheHits: job.cacheHits + hits,
+    cacheMisses: job.cacheMisses + misses
+  });
+}
+
+/**
+ * Procesa un job usando GENERADOR (solo un lote en memoria), reanudando
+ * desde el último chunk completado. Los lotes se cortan por presupuesto de tokens.
+ * @param {IngestionJob} job
+ * @returns {Promise<boolean>} false si el job se canceló a mitad o el recurso ya no existe
+ */
+async function processJob(job) {
+  const { recursoId } = job;
+  const fullText = job.sourceText;
+
+  // El chunker depende del tipo (los artículos se trocean por secciones)
+  const recurso = await Recurso.findByPk(recursoId, { attributes: ['id', 'tipo'] });
+  if (!recurso) {
+    // Se borró mientras el job estaba en cola: no hay nada que trocear ni reintentar
+    await job.update({
+      status: 'cancelled',
+      finishedAt: new Date(),
+      lockedBy: null,
+      error: 'El recurso se eliminó antes de procesar el job'
+    });
+    console.log(`[Recurso ${recursoId}] Job ${job.id} cancelado: el recurso ya no existe`);
+    return false;
+  }
+  const { tipo } = recurso;
+
+  await Recurso.update(
+    { embeddingStatus: 'processing' },
+    { where: { id: recursoId } }
+  );
+
+  if (!fullText || !fullText.trim()) {
+    const error = new Error('El recurso no tiene contenido para procesar');
+    error.permanent = true;
+    throw error;
+  }
+
+  // Eliminar chunks a medio escribir de un intento anterior
+  await Chunk.destroy({ where: { recursoId, chunkIndex: { [Op.gt]: job.lastChunkIndex } } });
+
+  // Contar total para logs (usa generador, no crea array)
+  const totalChunks = countChunks(fullText, tipo);
+  await job.update({ totalChunks });
+
+  if (totalChunks === 0) {
+    const error = new Error('El contenido no generó ningún chunk');
+    error.permanent = true;
+    throw error;
+  }
+
+  console.log(`[Recurso ${recursoId}] Iniciando: ${totalChunks} chunks (desde ${job.lastChunkIndex + 1}, intento ${job.attempts})`);
+
+  let batch = [];
+  let batchTokens = 0;
+
+  const flush = async () => {
+    if (!(await stillOwned(job))) {
+      console.log(`[Recurso ${recursoId}] Job ${job.id} cancelado en el chunk ${batch[0].index}`);
+      return false;
+    }
+
+    await processBatch(job, batch);
+
+    const done = batch[batch.length - 1].index + 1;
+    console.log(`[Recurso ${recursoId}] ${done}/${totalChunks} (caché: ${job.cacheHits} aciertos, ${job.cacheMisses} fallos)`);
+
+    batch = [];
+    batchTokens = 0;
+    return true;
+  };
+
+  for (const chunkData of chunkDocumentGenerator(fullText, tipo)) {
+    if (chunkData.index <= job.lastChunkIndex) {
+      continue;
+    }
+
+    if (batch.length > 0 &&
+        (batchTokens + chunkData.tokens > EMBEDDING_BATCH_CONFIG.maxTokens || batch.length >= EMBEDDING_BATCH_CONFIG.maxInputs)) {
+      if (!(await flush())) return false;
+    }
+
+    batch.push(chunkData);
+    batchTokens += chunkData.tokens;
+  }
+
+  if (batch.length > 0 && !(await flush())) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Ejecuta un job reclamado y deja registrado su resultado
+ */
+async function runJob(job) {
+  const heartbeat = setInterval(() => {
+    IngestionJob.update(
+      { heartbeatAt: new Date() },
+      { where: { id: job.id, lockedBy: WORKER_ID } }
+    ).catch(e => console.error(`[IngestionJob ${job.id}] Heartbeat error:`, e.message));
+  }, QUEUE_CONFIG.heartbeatIntervalMs);
+
+  try {
+    const finished = await processJob(job);
+    if (!finished) return;
+
+    await job.update({ status: 'completed', finishedAt: new Date(), lockedBy: null, error: null });
+    await Recurso.update({ embeddingStatus: 'completed', processingError: null }, { where: { id: job.recursoId } });
+    console.log(`[Recurso ${job.recursoId}] DONE: job ${job.id}`);
+
+  } catch (error) {
+    console.error(`[Recurso ${job.recursoId}] Error en job ${job.id}:`, error.message);
+
+    // Si lo cancelaron mientras fallaba, no reintentar
+    if (!(await stillOwned(job).catch(() => false))) return;
+
+    if (error.permanent || job.attempts >= job.maxAttempts) {
+      await job.update({ status: 'failed', finishedAt: new Date(), lockedBy: null, error: error.message });
+      await Recurso.update({ embeddingStatus: 'error', processingError: error.message }, { where: { id: job.recursoId } });
+      return;
+    }
+
+    const delay = Math.min(
+      QUEUE_CONFIG.backoffBaseMs * Math.pow(2, job.attempts - 1),
+      QUEUE_CONFIG.backoffMaxMs
+    );
+    await job.update({
+      status: 'queued',
+      lockedBy: null,
+      runAt: new Date(Date.now() + delay),
+      error: error.message
+    });
+    await Recurso.update({ embeddingStatus: 'pending' }, { where: { id: job.recursoId } });
+    console.log(`[IngestionJob ${job.id}] Reintento ${job.attempts + 1}/${job.maxAttempts} en ${Math.round(delay / 1000)}s`);
+
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Procesa jobs hasta vaciar la cola y programa la siguiente consulta
+ */
+async function poll() {
+  if (running || stopped) return;
+  running = true;
+  clearTimeout(pollTimer);
+
+  try {
+    await recoverStaleJobs();
+
+    // Los jobs de ingesta tienen prioridad; entre medias, lotes de importación y del re-embed en curso
+    while (!stopped) {
+      const job = await claimNextJob();
+      if (job) {
+        await runJob(job);
+        continue;
+      }
+      if (await runImportBatch(WORKER_ID)) continue;
+      if (!(await runReembedBatch())) break;
+    }
+  } catch (error) {
+    console.error('Ingestion queue error:', error.message);
+  } finally {
+    running = false;
+    if (!stopped) {
+      pollTimer = setTimeout(poll, QUEUE_CONFIG.pollIntervalMs);
+    }
+  }
+}
+
+/**
+ * Despierta al worker sin esperar al siguiente intervalo
+ */
+function wake() {
+  if (!stopped && !running) {
+    setImmediate(poll);
+  }
+}
+
+/**
+ * Arranca el worker de ingesta en este proceso
+ */
+function startWorker() {
+  if (!stopped) return;
+  stopped = false;
+  console.log(`✅ Ingestion worker started (${WORKER_ID})`);
+  poll();
+}
+
+function stopWorker() {
+  stopped = true;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  enqueueIngestion,
+  retryJob,
+  cancelJob,
+  startWorker,
+  stopWorker,
+  wake,
+  estimateProcessingSeconds,
+  QUEUE_CONFIG
+};
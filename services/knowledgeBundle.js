@@ -0,0 +1,533 @@
+const AdmZip = require('adm-zip');
+const { Op } = require('sequelize');
+const { Recurso, ImportJob, ImportRecord, sequelize } = require('../models');
+const {
+  buildFullText,
+  hashFields,
+  contentPreview,
+  createVersion,
+  getLatestVersion
+} = require('./recursoVersions');
+const { storeEmbeddings } = require('./embeddingCache');
+const { getActiveEmbeddingProvider } = require('./embeddingProviders');
+
+// Import/export de la base de conocimiento entre entornos (staging -> producción).
+// Bundle JSONL: una línea de cabecera y una por recurso. Bundle ZIP: manifest.json,
+// recursos.jsonl y los ficheros originales (PDF, SRT/VTT) en files/.
+const BUNDLE_FORMAT = 'growing-kb';
+const BUNDLE_VERSION = 1;
+
+const IMPORT_CONFIG = {
+  batchSize: 25,            // Registros por vuelta del worker
+  staleAfterMs: 120000,     // Sin heartbeat durante este tiempo => otro worker lo retoma
+  maxErrors: 100            // Errores guardados en el job (el contador sigue)
+};
+
+const TIPOS = ['video', 'pdf', 'articulo'];
+const CATEGORIAS = ['comercial', 'meta-ads', 'gohighlevel', 'direccion', 'general'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error con código para que las rutas respondan 4xx
+ */
+function bundleError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Clave estable de un recurso: la importada o, si nació aquí, su id
+ */
+function externalKeyOf(recurso) {
+  return recurso.externalKey || recurso.id;
+}
+
+/**
+ * Nombre seguro para guardar un fichero dentro del ZIP
+ */
+function safeFileName(name) {
+  return (name || 'file').replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Vectores de los chunks de un recurso (solo los completados)
+ * @returns {Promise<Array>}
+ */
+async function exportChunks(recursoId) {
+  const rows = await sequelize.query(`
+    SELECT "chunkIndex", contenido, embedding::text as embedding, "embeddingModel", "embeddingDimensions"
+    FROM "Chunks"
+    WHERE "recursoId" = :recursoId
+      AND "embeddingStatus" = 'completed'
+      AND embedding IS NOT NULL
+    ORDER BY "chunkIndex" ASC
+  `, {
+    replacements: { recursoId },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return rows.map(row => ({
+    chunkIndex: row.chunkIndex,
+    contenido: row.contenido,
+    embeddingModel: row.embeddingModel,
+    embedding: JSON.parse(row.embedding)
+  }));
+}
+
+/**
+ * Registros de exportación, uno a uno (el contenido completo sale de la última versión)
+ * @param {Object} options
+ * @param {boolean} options.includeEmbeddings - Incluir los vectores de los chunks
+ * @param {string} options.categoria - Solo esta categoría
+ * @param {boolean} options.includeFiles - Devolver los ficheros originales (fileData)
+ * @yields {Object} - { externalKey, tipo, titulo, ..., file?, chunks? }
+ */
+async function* exportRecords({ includeEmbeddings = false, categoria = null, includeFiles = true } = {}) {
+  const where = categoria ? { categoria } : {};
+  const recursos = await Recurso.findAll({ where, order: [['createdAt', 'ASC']] });
+
+  for (const recurso of recursos) {
+    const latest = await getLatestVersion(recurso.id);
+    const source = latest || recurso;
+
+    const record = {
+      type: 'recurso',
+      externalKey: externalKeyOf(recurso),
+      tipo: recurso.tipo,
+      titulo: source.titulo,
+      descripcion: source.descripcion,
+      url: recurso.url,
+      categoria: recurso.categoria,
+      activo: recurso.activo,
+      autoSync: recurso.autoSync,
+      contenido: source.contenido
+    };
+
+    if (includeFiles && latest && latest.fileData) {
+      record.file = { name: latest.fileName, mimeType: latest.fileMimeType, data: latest.fileData };
+    }
+    if (includeEmbeddings) {
+      record.chunks = await exportChunks(recurso.id);
+    }
+
+    yield record;
+  }
+}
+
+/**
+ * Cabecera del bundle (modelo de los vectores, para decidir si se pueden reutilizar)
+ */
+async function bundleHeader({ includeEmbeddings = false, count = null } = {}) {
+  const provider = await getActiveEmbeddingProvider();
+  return {
+    type: 'header',
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    embeddingModel: provider.model,
+    embeddingDimensions: provider.dimensions,
+    includeEmbeddings,
+    count
+  };
+}
+
+/**
+ * Línea JSONL de un registro (el fichero va en base64)
+ */
+function recordLine(record) {
+  const { file, ...rest } = record;
+  return JSON.stringify(file
+    ? { ...rest, file: { name: file.name, mimeType: file.mimeType, data: file.data.toString('base64') } }
+    : rest);
+}
+
+/**
+ * Bundle ZIP completo en memoria
+ * @param {Object} options - Ver exportRecords
+ * @returns {Promise<Buffer>}
+ */
+async function exportZip(options = {}) {
+  const zip = new AdmZip();
+  const lines = [];
+
+  for await (const record of exportRecords(options)) {
+    const { file, ...rest } = record;
+    if (file) {
+      const path = `files/${safeFileName(record.externalKey)}/${safeFileName(file.name)}`;
+      zip.addFile(path, Buffer.from(file.data));
+      rest.file = { name: file.name, mimeType: file.mimeType, path };
+    }
+    lines.push(JSON.stringify(rest));
+  }
+
+  const header = await bundleHeader({ includeEmbeddings: !!options.includeEmbeddings, count: lines.length });
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(header, null, 2)));
+  zip.addFile('recursos.jsonl', Buffer.from(lines.join('\n')));
+  return zip.toBuffer();
+}
+
+/**
+ * Lee un bundle (JSONL o ZIP) y devuelve sus registros con el número de línea
+ * @param {Buffer} buffer
+ * @returns {{format: string, header: Object|null, records: Array<{line: number, record: Object|null, error?: string}>}}
+ * @throws {Error} con code BUNDLE_INVALID
+ */
+function parseBundle(buffer) {
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  let zip = null;
+  let text;
+  let header = null;
+
+  if (isZip) {
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw bundleError(`ZIP no válido: ${error.message}`, 'BUNDLE_INVALID');
+    }
+    const manifest = zip.getEntry('manifest.json');
+    const data = zip.getEntry('recursos.jsonl');
+    if (!data) {
+      throw bundleError('El ZIP no contiene recursos.jsonl', 'BUNDLE_INVALID');
+    }
+    header = manifest ? JSON.parse(manifest.getData().toString('utf8')) : null;
+    text = data.getData().toString('utf8');
+  } else {
+    text = buffer.toString('utf8');
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch (error) {
+      records.push({ line: i + 1, record: null, error: `JSON no válido: ${error.message}` });
+      return;
+    }
+    if (record.type === 'header') {
+      header = record;
+      return;
+    }
+
+    // Los ficheros del ZIP se cargan aquí; en JSONL vienen en base64
+    if (record.file) {
+      if (record.file.path && zip) {
+        const entry = zip.getEntry(record.file.path);
+        record.file.data = entry ? entry.getData() : null;
+      } else if (typeof record.file.data === 'string') {
+        record.file.data = Buffer.from(record.file.data, 'base64');
+      }
+    }
+    records.push({ line: i + 1, record });
+  });
+
+  if (header && header.format && header.format !== BUNDLE_FORMAT) {
+    throw bundleError(`Formato de bundle desconocido: ${header.format}`, 'BUNDLE_INVALID');
+  }
+  if (records.length === 0) {
+    throw bundleError('El bundle no contiene recursos', 'BUNDLE_INVALID');
+  }
+
+  return { format: isZip ? 'zip' : 'jsonl', header, records };
+}
+
+/**
+ * Valida un registro del bundle
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+function validateRecord(record) {
+  if (!record.externalKey || typeof record.externalKey !== 'string') return 'externalKey is required';
+  if (!TIPOS.includes(record.tipo)) return `Invalid tipo: ${record.tipo}`;
+  if (!record.titulo || typeof record.titulo !== 'string') return 'titulo is required';
+  if (record.categoria && !CATEGORIAS.includes(record.categoria)) return `Invalid categoria: ${record.categoria}`;
+  return null;
+}
+
+/**
+ * Siembra EmbeddingCache con los vectores exportados si son del modelo activo:
+ * al trocear de nuevo, los chunks iguales no llaman al proveedor
+ * @returns {Promise<number>} vectores sembrados
+ */
+async function seedEmbeddings(chunks, provider) {
+  const entries = (chunks || [])
+    .filter(c => c && c.contenido && Array.isArray(c.embedding) &&
+      c.embeddingModel === provider.model &&
+      (!provider.dimensions || c.embedding.length === provider.dimensions))
+    .map(c => ({ text: c.contenido, embedding: c.embedding }));
+
+  await storeEmbeddings(entries, provider.model);
+  return entries.length;
+}
+
+/**
+ * Crea o actualiza un recurso a partir de un registro (upsert por externalKey)
+ * @param {Object} record
+ * @param {Object} options - { reuseEmbeddings, provider, userId }
+ * @returns {Promise<{result: 'created'|'updated'|'skipped', recursoId: string, embeddingsReused: number}>}
+ */
+async function importRecord(record, { reuseEmbeddings = true, provider = null, userId = null } = {}) {
+  // Lazy: ingestionQueue procesa los imports y no puede requerir este módulo al cargarse
+  const { enqueueIngestion } = require('./ingestionQueue');
+
+  let recurso = await Recurso.findOne({ where: { externalKey: record.externalKey } });
+  if (!recurso && UUID_PATTERN.test(record.externalKey)) {
+    // Reimportar en el mismo entorno: la clave es el id del recurso original
+    recurso = await Recurso.findOne({ where: { id: record.externalKey, externalKey: { [Op.is]: null } } });
+  }
+
+  const fields = {
+    titulo: record.titulo,
+    descripcion: record.descripcion || null,
+    contenido: record.contenido || null
+  };
+  const attributes = {
+    tipo: record.tipo,
+    url: record.url || null,
+    categoria: record.categoria || 'general',
+    activo: record.activo !== false,
+    autoSync: record.autoSync === true
+  };
+  const file = record.file && record.file.data
+    ? { data: record.file.data, name: record.file.name, mimeType: record.file.mimeType }
+    : null;
+
+  let result;
+  let contentChanged;
+
+  if (!recurso) {
+    recurso = await Recurso.create({
+      ...attributes,
+      externalKey: record.externalKey,
+      titulo: fields.titulo,
+      descripcion: fields.descripcion,
+      contenido: contentPreview(fields.contenido)
+    });
+    await createVersion(recurso.id, fields, { origen: 'create', userId, file });
+    result = 'created';
+    contentChanged = true;
+  } else {
+    const latest = await getLatestVersion(recurso.id);
+    contentChanged = !latest || hashFields(fields) !== latest.contentHash;
+    const attributesChanged = Object.keys(attributes).some(key => recurso[key] !== attributes[key]) ||
+      recurso.externalKey !== record.externalKey;
+
+    if (!contentChanged && !attributesChanged) {
+      return { result: 'skipped', recursoId: recurso.id, embeddingsReused: 0 };
+    }
+
+    await recurso.update({
+      ...attributes,
+      externalKey: record.externalKey,
+      ...(contentChanged ? {
+        titulo: fields.titulo,
+        descripcion: fields.descripcion,
+        contenido: contentPreview(fields.contenido)
+      } : {})
+    });
+    if (contentChanged) {
+      await createVersion(recurso.id, fields, { origen: 'update', userId, file });
+    }
+    result = 'updated';
+  }
+
+  let embeddingsReused = 0;
+  if (contentChanged) {
+    if (reuseEmbeddings && provider) {
+      embeddingsReused = await seedEmbeddings(record.chunks, provider);
+    }
+    await enqueueIngestion(recurso.id, buildFullText(fields));
+  }
+
+  return { result, recursoId: recurso.id, embeddingsReused };
+}
+
+/**
+ * Fila de ImportRecords: el fichero va aparte porque un Buffer no cabe en JSONB
+ */
+function toImportRow(importJobId, position, { line, record, error }) {
+  let fileData = null;
+  if (record && record.file) {
+    const { data, ...file } = record.file;
+    fileData = data || null;
+    record = { ...record, file };
+  }
+  return { importJobId, position, line, record, fileData, error: error || null };
+}
+
+/**
+ * Registro tal y como lo devuelve parseBundle
+ */
+function fromImportRow(row) {
+  const record = row.record && row.record.file
+    ? { ...row.record, file: { ...row.record.file, data: row.fileData } }
+    : row.record;
+  return { line: row.line, record, error: row.error || undefined };
+}
+
+/**
+ * Guarda los registros de un bundle ya leído para que el worker los procese por lotes
+ * @param {string} importJobId
+ * @param {Array<{line: number, record: Object|null, error?: string}>} records - De parseBundle
+ * @param {Object} options - { transaction }
+ */
+async function storeImportRecords(importJobId, records, { transaction = null } = {}) {
+  for (let i = 0; i < records.length; i += IMPORT_CONFIG.batchSize) {
+    const rows = records
+      .slice(i, i + IMPORT_CONFIG.batchSize)
+      .map((entry, offset) => toImportRow(importJobId, i + offset, entry));
+    await ImportRecord.bulkCreate(rows, { transaction });
+  }
+}
+
+/**
+ * Lee el bundle subido y guarda el job con sus registros (lo procesa el worker de ingesta)
+ * @param {{data: Buffer, name: string}} file
+ * @param {Object} options - { reuseEmbeddings, userId }
+ * @returns {Promise<ImportJob>}
+ * @throws {Error} con code BUNDLE_INVALID
+ */
+async function createImportJob(file, { reuseEmbeddings = true, userId = null } = {}) {
+  // Se parsea una sola vez, al subir: un bundle inválido responde 400 en vez de
+  // fallar en segundo plano y el worker no vuelve a leer el fichero en cada lote
+  const { format, records } = parseBundle(file.data);
+
+  return sequelize.transaction(async (transaction) => {
+    const job = await ImportJob.create({
+      status: 'queued',
+      fileName: file.name,
+      format,
+      reuseEmbeddings,
+      totalRecords: records.length,
+      createdByUserId: userId
+    }, { transaction });
+
+    await storeImportRecords(job.id, records, { transaction });
+    return job;
+  });
+}
+
+/**
+ * Reclama el job de importación en curso de este worker, uno en cola o uno abandonado
+ * @param {string} workerId
+ * @returns {Promise<ImportJob|null>}
+ */
+async function claimImportJob(workerId) {
+  const [rows] = await sequelize.query(`
+    UPDATE "ImportJobs"
+    SET status = 'running',
+        "lockedBy" = :workerId,
+        "heartbeatAt" = NOW(),
+        "startedAt" = COALESCE("startedAt", NOW()),
+        "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM "ImportJobs"
+      WHERE status = 'queued'
+        OR (status = 'running' AND ("lockedBy" = :workerId OR "heartbeatAt" < NOW() - :staleMs * INTERVAL '1 millisecond'))
+      ORDER BY "createdAt" ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING id
+  `, {
+    replacements: { workerId, staleMs: IMPORT_CONFIG.staleAfterMs }
+  });
+
+  return rows.length > 0 ? ImportJob.findByPk(rows[0].id) : null;
+}
+
+/**
+ * Importa el siguiente lote de registros (lo llama el worker de ingesta entre jobs).
+ * Se reanuda desde processedRecords: el upsert hace que repetir un registro sea inocuo.
+ * @param {string} workerId
+ * @returns {Promise<boolean>} true si queda trabajo
+ */
+async function runImportBatch(workerId) {
+  const job = await claimImportJob(workerId);
+  if (!job) return false;
+
+  try {
+    const provider = job.reuseEmbeddings ? await getActiveEmbeddingProvider() : null;
+    const rows = await ImportRecord.findAll({
+      where: { importJobId: job.id, position: { [Op.gte]: job.processedRecords } },
+      order: [['position', 'ASC']],
+      limit: IMPORT_CONFIG.batchSize
+    });
+    const batch = rows.map(fromImportRow);
+
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0, embeddingsReused: 0 };
+    const errors = [...(job.errors || [])];
+
+    for (const { line, record, error } of batch) {
+      const invalid = error || validateRecord(record);
+      if (invalid) {
+        counts.failed++;
+        errors.push({ line, externalKey: record ? record.externalKey : null, error: invalid });
+        continue;
+      }
+
+      try {
+        const { result, embeddingsReused } = await importRecord(record, {
+          reuseEmbeddings: job.reuseEmbeddings,
+          provider,
+          userId: job.createdByUserId
+        });
+        counts[result]++;
+        counts.embeddingsReused += embeddingsReused;
+      } catch (recordError) {
+        counts.failed++;
+        errors.push({ line, externalKey: record.externalKey, error: recordError.message });
+      }
+    }
+
+    const processedRecords = job.processedRecords + batch.length;
+    const done = batch.length === 0 || processedRecords >= job.totalRecords;
+
+    await job.update({
+      processedRecords,
+      created: job.created + counts.created,
+      updated: job.updated + counts.updated,
+      skipped: job.skipped + counts.skipped,
+      failed: job.failed + counts.failed,
+      embeddingsReused: job.embeddingsReused + counts.embeddingsReused,
+      errors: errors.slice(0, IMPORT_CONFIG.maxErrors),
+      heartbeatAt: new Date(),
+      ...(done ? { status: 'completed', finishedAt: new Date(), lockedBy: null } : {})
+    });
+
+    if (done) {
+      await ImportRecord.destroy({ where: { importJobId: job.id } });
+      console.log(`[Import ${job.id}] ${job.created} creados, ${job.updated} actualizados, ${job.skipped} sin cambios, ${job.failed} con error`);
+    }
+    return !done;
+
+  } catch (error) {
+    console.error(`[Import ${job.id}] Error:`, error.message);
+    await job.update({ status: 'failed', error: error.message, finishedAt: new Date(), lockedBy: null });
+    await ImportRecord.destroy({ where: { importJobId: job.id } });
+    return false;
+  }
+}
+
+/**
+ * Estado de un job de importación
+ * @param {string} jobId
+ * @returns {Promise<ImportJob|null>}
+ */
+async function getImportJob(jobId) {
+  return ImportJob.findByPk(jobId);
+}
+
+module.exports = {
+  exportRecords,
+  exportZip,
+  bundleHeader,
+  recordLine,
+  parseBundle,
+  importRecord,
+  createImportJob,
+  runImportBatch,
+  getImportJob,
+  IMPORT_CONFIG
+};
@@ -0,0 +1,280 @@
+// Chunker para artículos en Markdown/HTML: respeta encabezados, listas, tablas y
+// bloques de código, y antepone a cada chunk la ruta de encabezados de su sección.
+
+const HTML_PATTERN = /<\/?(h[1-6]|p|div|ul|ol|li|table|tr|td|th|br|section|article)\b[^>]*>/i;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+/;
+const TABLE_ROW_PATTERN = /^\s*\|/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+const HEADING_SEPARATOR = ' > ';
+
+const ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'"
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&(nbsp|amp|lt|gt|quot|apos|#39);/g, entity => ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+}
+
+function inlineText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convierte el HTML de un artículo al Markdown que entiende el chunker
+ * (encabezados, listas, tablas y párrafos; el resto de etiquetas se descarta)
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\n${'#'.repeat(level)} ${inlineText(inner)}\n\n`)
+    .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (_, row) => {
+      const cells = [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(m => inlineText(m[1]));
+      return `\n| ${cells.join(' | ')} |`;
+    })
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) => `\n\n\`\`\`\n${code.replace(/<[^>]+>/g, '')}\n\`\`\`\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(table|thead|tbody|ul|ol|p|div|section|article|blockquote)[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Divide el Markdown en bloques: heading, paragraph, list, table y code
+ * @param {string} markdown
+ * @returns {Array<{type: string, text: string, level?: number}>}
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  const lines = markdown.split(/\r?\n/);
+  let current = null;
+
+  const close = () => {
+    if (current && current.lines.length > 0) {
+      blocks.push({ type: current.type, text: current.lines.join('\n') });
+    }
+    current = null;
+  };
+  const clean = line => line.replace(/[ \t]+/g, ' ').trim();
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE_PATTERN.test(line)) {
+      close();
+      const fence = line.trim().slice(0, 3);
+      const code = [line];
+      while (++i < lines.length) {
+        code.push(lines[i]);
+        if (lines[i].trim().startsWith(fence)) break;
+      }
+      blocks.push({ type: 'code', text: code.join('\n').trim() });
+      continue;
+    }
+
+    if (!line.trim()) {
+      // Una línea en blanco entre elementos de la misma lista no la corta
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (!(current && current.type === 'list' && next && LIST_ITEM_PATTERN.test(next))) {
+        close();
+      }
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      close();
+      blocks.push({ type: 'heading', level: heading[1].length, text: clean(heading[2]) });
+      continue;
+    }
+
+    const type = TABLE_ROW_PATTERN.test(line) ? 'table'
+      : LIST_ITEM_PATTERN.test(line) ? 'list'
+        : 'paragraph';
+
+    // Las líneas de continuación de un elemento de lista siguen en la lista
+    const continues = current && (current.type === type || (current.type === 'list' && type === 'paragraph'));
+    if (!continues) {
+      close();
+      current = { type, lines: [] };
+    }
+    current.lines.push(type === 'list' || current.type !== 'list' ? clean(line) : `  ${clean(line)}`);
+  }
+  close();
+
+  return blocks;
+}
+
+/**
+ * Agrupa los bloques en secciones con su ruta de encabezados
+ * @param {Array} blocks
+ * @returns {Array<{path: string[], blocks: Array}>}
+ */
+function buildSections(blocks) {
+  const sections = [];
+  const stack = [];
+  let section = { path: [], blocks: [] };
+
+  for (const block of blocks) {
+    if (block.type !== 'heading') {
+      section.blocks.push(block);
+      continue;
+    }
+
+    if (section.blocks.length > 0) {
+      sections.push(section);
+    }
+    while (stack.length > 0 && stack[stack.length - 1].level >= block.level) {
+      stack.pop();
+    }
+    stack.push(block);
+    section = { path: stack.map(h => h.text), blocks: [] };
+  }
+
+  if (section.blocks.length > 0) {
+    sections.push(section);
+  }
+  return sections;
+}
+
+/**
+ * Agrupa líneas (filas o elementos) en trozos que caben en maxTokens, repitiendo la cabecera
+ */
+function groupLines(units, maxTokens, countTokens, header = '') {
+  const pieces = [];
+  const headerTokens = header ? countTokens(header) : 0;
+  let current = header;
+  let currentTokens = headerTokens;
+
+  for (const unit of units) {
+    // +1 por el salto de línea
+    const unitTokens = countTokens(unit) + 1;
+    if (currentTokens + unitTokens > maxTokens && current && current !== header) {
+      pieces.push(current);
+      current = header ? `${header}\n${unit}` : unit;
+      currentTokens = headerTokens + unitTokens;
+    } else {
+      current = current ? `${current}\n${unit}` : unit;
+      currentTokens += unitTokens;
+    }
+  }
+  if (current && current !== header) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Divide un bloque que no cabe en un chunk: tablas por filas (con su cabecera),
+ * listas por elementos y el resto con el chunker de texto plano
+ * @returns {string[]}
+ */
+function splitBlock(block, maxTokens, { splitText, countTokens }) {
+  const fits = piece => countTokens(piece) <= maxTokens;
+
+  if (block.type === 'table') {
+    const rows = block.text.split('\n');
+    const headerRows = rows.length > 1 && TABLE_SEPARATOR_PATTERN.test(rows[1]) ? 2 : 1;
+    const header = rows.slice(0, headerRows).join('\n');
+    if (countTokens(header) < maxTokens / 2) {
+      return groupLines(rows.slice(headerRows), maxTokens, countTokens, header)
+        .flatMap(piece => (fits(piece) ? [piece] : splitText(piece, maxTokens)));
+    }
+  }
+
+  if (block.type === 'list') {
+    const items = [];
+    for (const line of block.text.split('\n')) {
+      if (LIST_ITEM_PATTERN.test(line) || items.length === 0) {
+        items.push(line);
+      } else {
+        items[items.length - 1] += `\n${line}`;
+      }
+    }
+    return groupLines(items, maxTokens, countTokens)
+      .flatMap(piece => (fits(piece) ? [piece] : splitText(piece, maxTokens)));
+  }
+
+  return splitText(block.text, maxTokens);
+}
+
+/**
+ * Generador de chunks estructurados
+ * @param {string} text - Markdown o HTML
+ * @param {Object} options
+ * @param {number} options.maxTokens - Tamaño máximo de chunk (incluida la ruta de encabezados)
+ * @param {Function} options.countTokens - Tokenizador (ver tokenizer.js)
+ * @param {Function} options.splitText - (texto, maxTokens) => string[] para bloques demasiado largos
+ * @yields {{content: string, tokens: number, index: number, pageStart: null, pageEnd: null, headingPath: string|null}}
+ */
+function* markdownChunkGenerator(text, { maxTokens, countTokens, splitText }) {
+  if (!text || text.trim().length === 0) {
+    return;
+  }
+
+  const markdown = HTML_PATTERN.test(text) ? htmlToMarkdown(text) : text;
+  const sections = buildSections(parseBlocks(markdown.replace(/\f/g, '\n\n')));
+  let index = 0;
+
+  for (const section of sections) {
+    const headingPath = section.path.length > 0 ? section.path.join(HEADING_SEPARATOR) : null;
+    const prefix = headingPath ? `${headingPath}\n\n` : '';
+    // Con rutas muy largas se deja al menos la mitad del chunk para el contenido
+    const budget = Math.max(maxTokens - countTokens(prefix), Math.floor(maxTokens / 2));
+
+    let pieces = [];
+    let tokens = 0;
+
+    const emit = function* () {
+      const content = prefix + pieces.join('\n\n');
+      yield {
+        content,
+        tokens: countTokens(content),
+        index: index++,
+        pageStart: null,
+        pageEnd: null,
+        headingPath
+      };
+      pieces = [];
+      tokens = 0;
+    };
+
+    for (const block of section.blocks) {
+      const blockTokens = countTokens(block.text);
+      const blockPieces = blockTokens <= budget ? [block.text] : splitBlock(block, budget, { splitText, countTokens });
+
+      for (const piece of blockPieces) {
+        // +1 por el separador entre piezas
+        const pieceTokens = (piece === block.text ? blockTokens : countTokens(piece)) + 1;
+        if (pieces.length > 0 && tokens + pieceTokens > budget) {
+          yield* emit();
+        }
+        pieces.push(piece);
+        tokens += pieceTokens;
+      }
+    }
+
+    if (pieces.length > 0) {
+      yield* emit();
+    }
+  }
+}
+
+module.exports = {
+  markdownChunkGenerator,
+  htmlToMarkdown,
+  HEADING_SEPARATOR
+};
@@ -0,0 +1,195 @@
+const { Op } = require('sequelize');
+const { Message } = require('../models');
+
+// Revisiones de mensajes. Regenerar una respuesta del bot crea otra con la misma
+// replyToMessageId y revision + 1, y deja las anteriores como alternativas
+// (isActive: false). Editar el último mensaje del usuario guarda el texto anterior en
+// metadata.edits y borra (paranoid) las respuestas que lo seguían.
+
+function revisionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Mensaje del usuario al que responde una respuesta del bot. Las respuestas guardadas
+ * antes de existir replyToMessageId se atribuyen al último mensaje del usuario anterior.
+ * @param {Message} botMessage
+ * @returns {Promise<Message|null>}
+ */
+async function findAnsweredMessage(botMessage) {
+  if (botMessage.replyToMessageId) {
+    return Message.findByPk(botMessage.replyToMessageId);
+  }
+
+  return Message.findOne({
+    where: {
+      conversationId: botMessage.conversationId,
+      sender: 'user',
+      createdAt: { [Op.lte]: botMessage.createdAt }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Solo se edita o regenera el último intercambio: lo anterior ya es contexto de lo que siguió
+ * @throws {Error} code NOT_LATEST_MESSAGE
+ */
+async function assertLatestUserMessage(userMessage) {
+  const latest = await Message.findOne({
+    where: { conversationId: userMessage.conversationId, sender: 'user' },
+    attributes: ['id'],
+    order: [['createdAt', 'DESC']]
+  });
+
+  if (!latest || latest.id !== userMessage.id) {
+    throw revisionError('NOT_LATEST_MESSAGE', 'Only the latest message can be edited or regenerated');
+  }
+}
+
+/**
+ * Número de la próxima respuesta a un mensaje (cuenta también las invalidadas)
+ */
+async function nextRevision(userMessage) {
+  const last = await Message.max('revision', {
+    where: { replyToMessageId: userMessage.id },
+    paranoid: false
+  });
+  return (last || 0) + 1;
+}
+
+/**
+ * Comprueba que una respuesta del bot se puede regenerar y la enlaza con su mensaje
+ * @param {Message} botMessage
+ * @returns {Promise<{userMessage: Message, revision: number}>}
+ * @throws {Error} code NOT_A_BOT_MESSAGE / NO_USER_MESSAGE / NOT_LATEST_MESSAGE
+ */
+async function prepareRegeneration(botMessage) {
+  if (botMessage.sender !== 'bot') {
+    throw revisionError('NOT_A_BOT_MESSAGE', 'Only bot answers can be regenerated');
+  }
+
+  const userMessage = await findAnsweredMessage(botMessage);
+  if (!userMessage) {
+    throw revisionError('NO_USER_MESSAGE', 'This answer does not reply to a user message');
+  }
+  await assertLatestUserMessage(userMessage);
+
+  if (!botMessage.replyToMessageId) {
+    await botMessage.update({ replyToMessageId: userMessage.id });
+  }
+
+  return { userMessage, revision: await nextRevision(userMessage) };
+}
+
+/**
+ * Deja una respuesta como la que se muestra; las demás del mismo mensaje pasan a alternativas
+ * @param {Message} answer
+ */
+async function activateRevision(answer) {
+  const others = await Message.findAll({
+    where: {
+      replyToMessageId: answer.replyToMessageId,
+      id: { [Op.ne]: answer.id },
+      isActive: true
+    }
+  });
+
+  // Uno a uno para que cada cambio llegue al canal en tiempo real
+  for (const other of others) {
+    await other.update({ isActive: false });
+  }
+  if (!answer.isActive) await answer.update({ isActive: true });
+}
+
+/**
+ * Edita el último mensaje del usuario y borra las respuestas que lo seguían
+ * @param {Message} userMessage
+ * @param {string} content
+ * @returns {Promise<{revision: number, invalidated: number}>} revision de la próxima respuesta
+ * @throws {Error} code NOT_A_USER_MESSAGE / NOT_LATEST_MESSAGE
+ */
+async function editUserMessage(userMessage, content) {
+  if (userMessage.sender !== 'user') {
+    throw revisionError('NOT_A_USER_MESSAGE', 'Only user messages can be edited');
+  }
+  await assertLatestUserMessage(userMessage);
+
+  const metadata = userMessage.metadata || {};
+  await userMessage.update({
+    content,
+    editedAt: new Date(),
+    metadata: {
+      ...metadata,
+      edits: [
+        ...(metadata.edits || []),
+        { content: userMessage.content, createdAt: userMessage.editedAt || userMessage.createdAt }
+      ]
+    }
+  });
+
+  // Respuestas (y alternativas) al texto anterior: quedan borradas pero recuperables
+  const answers = await Message.findAll({
+    where: {
+      conversationId: userMessage.conversationId,
+      sender: 'bot',
+      createdAt: { [Op.gt]: userMessage.createdAt }
+    }
+  });
+  for (const answer of answers) {
+    if (!answer.replyToMessageId) await answer.update({ replyToMessageId: userMessage.id });
+    await answer.destroy();
+  }
+
+  return { revision: await nextRevision(userMessage), invalidated: answers.length };
+}
+
+/**
+ * Mensaje del usuario con sus ediciones y todas las respuestas que ha tenido
+ * @param {Message} message - El mensaje del usuario o cualquiera de sus respuestas
+ * @returns {Promise<{userMessage: Object, revisions: Object[]}|null>}
+ */
+async function listRevisions(message) {
+  const userMessage = message.sender === 'user' ? message : await findAnsweredMessage(message);
+  if (!userMessage) return null;
+
+  const answers = await Message.findAll({
+    where: { replyToMessageId: userMessage.id },
+    attributes: ['id', 'content', 'sources', 'revision', 'isActive', 'metadata', 'createdAt', 'deletedAt'],
+    order: [['revision', 'ASC'], ['createdAt', 'ASC']],
+    paranoid: false
+  });
+
+  // Respuesta anterior a replyToMessageId (solo tiene una)
+  if (answers.length === 0 && message.sender === 'bot') answers.push(message);
+
+  return {
+    userMessage: {
+      id: userMessage.id,
+      content: userMessage.content,
+      editedAt: userMessage.editedAt,
+      edits: (userMessage.metadata && userMessage.metadata.edits) || [],
+      createdAt: userMessage.createdAt
+    },
+    revisions: answers.map(answer => ({
+      id: answer.id,
+      revision: answer.revision,
+      content: answer.content,
+      sources: answer.sources || [],
+      isActive: answer.isActive && !answer.deletedAt,
+      invalidated: !!answer.deletedAt,
+      error: !!(answer.metadata && answer.metadata.error),
+      createdAt: answer.createdAt
+    }))
+  };
+}
+
+module.exports = {
+  findAnsweredMessage,
+  prepareRegeneration,
+  activateRevision,
+  editUserMessage,
+  listRevisions
+};
@@ -0,0 +1,82 @@
+const { Recurso } = require('../models');
+const { timestampUrl } = require('./transcriptService');
+
+// Citas de las respuestas del bot: qué recurso/chunk de la base de conocimiento se usó.
+// El proveedor (n8n, openai, echo) devuelve `sources` y se guardan en Messages.sources.
+const MAX_SOURCES = 20;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toInteger(value) {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Normaliza una cita tal y como la manda el proveedor. Acepta los nombres de
+ * /api/recursos/buscar (id, similarity, chunks[0]) además de los propios.
+ * @returns {Object|null} null si no identifica ningún recurso ni url
+ */
+function normalizeSource(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const chunk = Array.isArray(raw.chunks) && raw.chunks.length > 0 ? raw.chunks[0] : {};
+  const recursoId = raw.recursoId || raw.id;
+  const chunkId = raw.chunkId || chunk.id;
+  const pageStart = toInteger(raw.pageStart ?? raw.page ?? chunk.pageStart);
+
+  const source = {
+    recursoId: typeof recursoId === 'string' && UUID_PATTERN.test(recursoId) ? recursoId : null,
+    chunkId: typeof chunkId === 'string' && UUID_PATTERN.test(chunkId) ? chunkId : null,
+    titulo: typeof raw.titulo === 'string' ? raw.titulo.substring(0, 255) : null,
+    tipo: typeof raw.tipo === 'string' ? raw.tipo : null,
+    similarity: toNumber(raw.similarity ?? raw.score),
+    url: typeof raw.url === 'string' ? raw.url.substring(0, 2000) : null,
+    pageStart,
+    pageEnd: toInteger(raw.pageEnd ?? chunk.pageEnd) ?? pageStart,
+    startSeconds: toInteger(raw.startSeconds ?? raw.timestamp ?? chunk.startSeconds),
+    endSeconds: toInteger(raw.endSeconds ?? chunk.endSeconds)
+  };
+
+  return source.recursoId || source.url ? source : null;
+}
+
+/**
+ * Normaliza las citas de una respuesta y completa título, tipo y url con el recurso
+ * @param {Array} rawSources - `sources` de la respuesta del proveedor
+ * @returns {Promise<Array>} citas listas para guardar (vacío si no hay)
+ */
+async function resolveSources(rawSources) {
+  if (!Array.isArray(rawSources)) return [];
+
+  const sources = rawSources.map(normalizeSource).filter(Boolean).slice(0, MAX_SOURCES);
+  const ids = [...new Set(sources.map(s => s.recursoId).filter(Boolean))];
+  if (ids.length === 0) return sources;
+
+  const recursos = await Recurso.findAll({
+    where: { id: ids },
+    attributes: ['id', 'titulo', 'tipo', 'url']
+  });
+  const byId = new Map(recursos.map(r => [r.id, r]));
+
+  return sources.map(source => {
+    const recurso = byId.get(source.recursoId);
+    if (!recurso) return source;
+    return {
+      ...source,
+      titulo: source.titulo || recurso.titulo,
+      tipo: source.tipo || recurso.tipo,
+      url: source.url || (recurso.url ? timestampUrl(recurso.url, source.startSeconds) : null)
+    };
+  });
+}
+
+module.exports = {
+  normalizeSource,
+  resolveSources,
+  MAX_SOURCES
+};
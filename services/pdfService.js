@@ -0,0 +1,80 @@
+// lib/pdf-parse.js directamente: el index del paquete ejecuta un modo debug al cargarse
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * Crea un error de extracción con código para mostrarlo en el Recurso
+ */
+function pdfError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Texto de una página (mismo criterio de saltos de línea que pdf-parse)
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Extrae el texto de un PDF página a página
+ * @param {Buffer} buffer - Contenido del fichero
+ * @returns {Promise<{pages: string[], numPages: number, info: Object|null}>}
+ * @throws {Error} con code PDF_INVALID, PDF_ENCRYPTED o PDF_EMPTY
+ */
+async function extractPdfPages(buffer) {
+  if (!buffer || buffer.length < 5 || buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw pdfError('PDF_INVALID', 'El fichero no es un PDF válido');
+  }
+
+  const pages = [];
+  let data;
+
+  try {
+    // Copia a un Uint8Array propio: pdf.js lee el ArrayBuffer subyacente e ignora el offset de Buffers compartidos
+    data = await pdfParse(new Uint8Array(buffer), {
+      pagerender: async (pageData) => {
+        const text = await renderPage(pageData);
+        pages[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+  } catch (error) {
+    if (error && error.name === 'PasswordException') {
+      throw pdfError('PDF_ENCRYPTED', 'El PDF está protegido con contraseña. Sube una versión sin cifrar.');
+    }
+    throw pdfError('PDF_INVALID', `No se pudo leer el PDF: ${error && error.message ? error.message : error}`);
+  }
+
+  const allPages = Array.from({ length: data.numpages }, (_, i) => pages[i] || '');
+
+  if (!allPages.some(page => page.trim().length > 0)) {
+    throw pdfError('PDF_EMPTY', 'El PDF no contiene texto extraíble (¿es un escaneo sin OCR?).');
+  }
+
+  return {
+    pages: allPages,
+    numPages: data.numpages,
+    info: data.info || null
+  };
+}
+
+module.exports = {
+  extractPdfPages
+};
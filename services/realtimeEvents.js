@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { Conversation, Message, RealtimeEvent } = require('../models');
+
+// Eventos del canal en tiempo real (services/realtimeServer.js). Se generan desde los
+// hooks de Message y Conversation, así cualquier ruta o servicio que cree un mensaje
+// o cambie una conversación los emite; se guardan en RealtimeEvents para poder
+// reanudar tras una reconexión y se reparten a los sockets de este proceso.
+const REALTIME_EVENTS = {
+  messageCreated: 'message-created',
+  messageUpdated: 'message-updated',     // Edición o cambio de revisión activa
+  messageDeleted: 'message-deleted',     // Respuesta invalidada al editar el mensaje anterior
+  conversationUpdated: 'conversation-updated',
+  statusChanged: 'status-changed'
+};
+
+const REALTIME_CONFIG = {
+  retentionHours: parseInt(process.env.REALTIME_EVENT_RETENTION_HOURS) || 24,
+  replayLimit: 500,                  // Eventos por reanudación (el cliente pide más si hasMore)
+  purgeIntervalMs: 60 * 60 * 1000
+};
+
+// Campos del mensaje cuyo cambio se envía en message-updated
+const MESSAGE_FIELDS = ['content', 'editedAt', 'isActive'];
+
+// Campos de la conversación que se envían en conversation-updated
+const CONVERSATION_FIELDS = ['title', 'category', 'status', 'mode', 'rating', 'queue', 'assignedToUserId'];
+
+const listeners = new Set();
+let hooksRegistered = false;
+let purgeTimer = null;
+
+/**
+ * Mensaje tal y como lo ve el cliente (sin la imagen: se pide con GET /conversation/:id)
+ */
+function serializeMessage(message) {
+  return {
+    id: message.id,
+    conversationId: message.conversationId,
+    sender: message.sender,
+    content: message.content,
+    imageMimeType: message.imageMimeType || null,
+    hasImage: !!message.imageData,
+    sources: message.sources || [],
+    replyToMessageId: message.replyToMessageId || null,
+    revision: message.revision,
+    isActive: message.isActive,
+    editedAt: message.editedAt || null,
+    isRead: message.isRead,
+    createdAt: message.createdAt
+  };
+}
+
+function serializeConversation(conversation) {
+  const data = { id: conversation.id };
+  for (const field of CONVERSATION_FIELDS) data[field] = conversation[field] ?? null;
+  data.updatedAt = conversation.updatedAt;
+  return data;
+}
+
+function serializeEvent(event) {
+  return {
+    id: Number(event.id),
+    type: event.type,
+    conversationId: event.conversationId,
+    data: event.data,
+    createdAt: event.createdAt
+  };
+}
+
+/**
+ * Guarda un evento y lo reparte a los listeners de este proceso
+ * @param {Object} event - { conversationId, userId, type, data }
+ * @returns {Promise<Object>} evento serializado (con userId para autorizar el reparto)
+ */
+async function publishEvent({ conversationId, userId, type, data }) {
+  const event = await RealtimeEvent.create({ conversationId, userId, type, data });
+  const payload = { ...serializeEvent(event), userId };
+
+  for (const listener of listeners) {
+    try {
+      listener(payload);
+    } catch (error) {
+      console.error('Realtime listener error:', error.message);
+    }
+  }
+  return payload;
+}
+
+/**
+ * Escucha los eventos publicados en este proceso
+ * @param {Function} listener - Recibe { id, type, conversationId, userId, data, createdAt }
+ * @returns {Function} para dejar de escuchar
+ */
+function onRealtimeEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function publishMessageEvent(type, message) {
+  const conversation = await Conversation.findByPk(message.conversationId, { attributes: ['id', 'userId'] });
+  if (!conversation) return null;
+
+  return publishEvent({
+    conversationId: conversation.id,
+    userId: conversation.userId,
+    type,
+    data: { message: serializeMessage(message) }
+  });
+}
+
+/**
+ * status-changed si cambió el estado; conversation-updated si cambió otro campo visible
+ * @param {Conversation} conversation
+ * @param {string[]} fields - Campos guardados en el update
+ */
+async function publishConversationChanges(conversation, fields) {
+  const changed = CONVERSATION_FIELDS.filter(field => fields.includes(field));
+  if (changed.length === 0) return;
+
+  const base = { conversationId: conversation.id, userId: conversation.userId };
+
+  if (changed.includes('status')) {
+    await publishEvent({
+      ...base,
+      type: REALTIME_EVENTS.statusChanged,
+      data: {
+        status: conversation.status,
+        previousStatus: conversation.previous('status') ?? null,
+        conversation: serializeConversation(conversation)
+      }
+    });
+  }
+
+  const others = changed.filter(field => field !== 'status');
+  if (others.length > 0) {
+    await publishEvent({
+      ...base,
+      type: REALTIME_EVENTS.conversationUpdated,
+      data: { changed: others, conversation: serializeConversation(conversation) }
+    });
+  }
+}
+
+/**
+ * Ejecuta la publicación tras el commit si hay transacción; un fallo no rompe la petición
+ */
+function afterCommit(options, publish) {
+  const run = () => publish().catch(error => console.error('Realtime publish error:', error.message));
+  if (options && options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+}
+
+/**
+ * Registra los hooks que generan los eventos (una vez por proceso)
+ */
+function registerRealtimeHooks() {
+  if (hooksRegistered) return;
+  hooksRegistered = true;
+
+  Message.addHook('afterCreate', 'realtime', (message, options) => {
+    afterCommit(options, () => publishMessageEvent(REALTIME_EVENTS.messageCreated, message));
+  });
+
+  // update() guarda solo los campos que cambian: options.fields dice cuáles
+  Message.addHook('afterUpdate', 'realtime', (message, options) => {
+    const fields = options.fields || [];
+    if (!MESSAGE_FIELDS.some(field => fields.includes(field))) return;
+    afterCommit(options, () => publishMessageEvent(REALTIME_EVENTS.messageUpdated, message));
+  });
+
+  Message.addHook('afterDestroy', 'realtime', (message, options) => {
+    afterCommit(options, () => publishMessageEvent(REALTIME_EVENTS.messageDeleted, message));
+  });
+
+  Conversation.addHook('afterUpdate', 'realtime', (conversation, options) => {
+    const fields = options.fields || [];
+    afterCommit(options, () => publishConversationChanges(conversation, fields));
+  });
+}
+
+/**
+ * Eventos posteriores a lastEventId que puede ver un cliente
+ * @param {Object} options
+ * @param {number} options.lastEventId
+ * @param {string} options.userId - Sus propias conversaciones
+ * @param {string[]} options.conversationIds - Conversaciones suscritas
+ * @param {boolean} options.allConversations - Admin suscrito a todas
+ * @returns {Promise<{events: Object[], hasMore: boolean, resyncRequired: boolean}>}
+ */
+async function eventsSince({ lastEventId, userId = null, conversationIds = [], allConversations = false }) {
+  const scope = [];
+  if (userId) scope.push({ userId });
+  if (conversationIds.length > 0) scope.push({ conversationId: { [Op.in]: conversationIds } });
+
+  if (!allConversations && scope.length === 0) {
+    return { events: [], hasMore: false, resyncRequired: false };
+  }
+
+  const where = { id: { [Op.gt]: lastEventId } };
+  if (!allConversations) where[Op.or] = scope;
+
+  const [rows, oldestId] = await Promise.all([
+    RealtimeEvent.findAll({
+      where,
+      order: [['id', 'ASC']],
+      limit: REALTIME_CONFIG.replayLimit + 1
+    }),
+    RealtimeEvent.min('id')
+  ]);
+
+  const hasMore = rows.length > REALTIME_CONFIG.replayLimit;
+  const events = rows.slice(0, REALTIME_CONFIG.replayLimit).map(event => ({
+    ...serializeEvent(event),
+    userId: event.userId
+  }));
+
+  return {
+    events,
+    hasMore,
+    // Los ids son consecutivos: si el más antiguo que queda es posterior, se purgaron eventos
+    // que el cliente no vio y tiene que recargar por HTTP
+    resyncRequired: oldestId !== null && oldestId !== undefined && Number(oldestId) > lastEventId + 1
+  };
+}
+
+/**
+ * Id del último evento guardado (punto de partida para reanudar)
+ * @returns {Promise<number>}
+ */
+async function latestEventId() {
+  const id = await RealtimeEvent.max('id');
+  return id ? Number(id) : 0;
+}
+
+/**
+ * Borra los eventos más antiguos que retentionHours
+ * @returns {Promise<number>} eventos borrados
+ */
+async function purgeRealtimeEvents() {
+  const cutoff = new Date(Date.now() - REALTIME_CONFIG.retentionHours * 60 * 60 * 1000);
+  return RealtimeEvent.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+}
+
+function startRealtimeEventPurge() {
+  if (purgeTimer) return;
+
+  const tick = () => purgeRealtimeEvents().catch(error => {
+    console.error('Realtime event purge error:', error.message);
+  });
+
+  purgeTimer = setInterval(tick, REALTIME_CONFIG.purgeIntervalMs);
+  console.log(`✅ Realtime event retention started (${REALTIME_CONFIG.retentionHours} hours)`);
+  tick();
+}
+
+function stopRealtimeEventPurge() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+module.exports = {
+  registerRealtimeHooks,
+  onRealtimeEvent,
+  publishEvent,
+  eventsSince,
+  latestEventId,
+  serializeMessage,
+  serializeConversation,
+  purgeRealtimeEvents,
+  startRealtimeEventPurge,
+  stopRealtimeEventPurge,
+  REALTIME_EVENTS,
+  REALTIME_CONFIG
+};
@@ -0,0 +1,316 @@
+const { WebSocketServer } = require('ws');
+const { Conversation } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  registerRealtimeHooks,
+  onRealtimeEvent,
+  eventsSince,
+  latestEventId
+} = require('./realtimeEvents');
+
+// Canal WebSocket en /api/realtime. Se autentica con el mismo JWT que la API
+// (?token= o cabecera Authorization). El dueño de una conversación recibe sus eventos
+// sin suscribirse; los admins se suscriben a conversaciones concretas o a todas ('*').
+const REALTIME_PATH = '/api/realtime';
+
+const SOCKET_CONFIG = {
+  heartbeatMs: 30 * 1000,
+  maxPayloadBytes: 16 * 1024,
+  maxSubscriptions: 100,
+  deliveredIdsKept: 1000      // Ids ya entregados que se recuerdan para no repetirlos al reanudar
+};
+
+// Códigos de cierre propios (rango 4000-4999)
+const CLOSE_CODES = {
+  tokenExpired: 4001
+};
+
+const ALL_CONVERSATIONS = '*';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function send(client, message) {
+  if (client.ws.readyState === client.ws.OPEN) {
+    client.ws.send(JSON.stringify(message));
+  }
+}
+
+function sendError(client, code, message, extra = {}) {
+  send(client, { type: 'error', code, message, ...extra });
+}
+
+/**
+ * Un evento se entrega al dueño de la conversación y a los admins suscritos
+ */
+function canReceive(client, event) {
+  if (event.userId && event.userId === client.user.id) return true;
+  if (!client.isAdmin) return false;
+  return client.subscriptions.has(ALL_CONVERSATIONS) || client.subscriptions.has(event.conversationId);
+}
+
+function deliver(client, event) {
+  if (client.delivered.has(event.id)) return;
+  client.delivered.add(event.id);
+  if (client.delivered.size > SOCKET_CONFIG.deliveredIdsKept) {
+    client.delivered.delete(client.delivered.values().next().value);
+  }
+
+  const { userId, ...payload } = event;
+  send(client, { type: 'event', event: payload });
+}
+
+// Mientras se reenvían eventos antiguos los nuevos se encolan para mantener el orden
+function holdLiveEvents(client) {
+  client.replaying += 1;
+}
+
+function releaseLiveEvents(client) {
+  client.replaying -= 1;
+  if (client.replaying > 0) return;
+
+  const pending = client.pending;
+  client.pending = [];
+  for (const event of pending) deliver(client, event);
+}
+
+/**
+ * Reenvía los eventos posteriores a lastEventId
+ * @param {Object} client
+ * @param {number} lastEventId
+ * @param {string[]} conversationIds - Solo estas conversaciones (por defecto todo lo que ve el cliente)
+ */
+async function replay(client, lastEventId, conversationIds = null) {
+  holdLiveEvents(client);
+
+  try {
+    const scope = conversationIds
+      ? { conversationIds }
+      : {
+        userId: client.user.id,
+        conversationIds: [...client.subscriptions].filter(id => id !== ALL_CONVERSATIONS),
+        allConversations: client.subscriptions.has(ALL_CONVERSATIONS)
+      };
+
+    const { events, hasMore, resyncRequired } = await eventsSince({ lastEventId, ...scope });
+
+    if (resyncRequired) {
+      send(client, { type: 'resync', message: 'Some events are no longer available, reload the conversations' });
+    }
+
+    const visible = events.filter(event => canReceive(client, event));
+    for (const event of visible) deliver(client, event);
+
+    send(client, {
+      type: 'replayed',
+      count: visible.length,
+      lastEventId: events.length > 0 ? events[events.length - 1].id : lastEventId,
+      hasMore
+    });
+  } finally {
+    releaseLiveEvents(client);
+  }
+}
+
+/**
+ * Suscribe a un admin a una conversación (o a todas con '*'); los usuarios solo pueden
+ * suscribirse a las suyas, que ya reciben
+ * @returns {Promise<boolean>}
+ */
+async function subscribe(client, conversationId) {
+  if (conversationId === ALL_CONVERSATIONS) {
+    if (!client.isAdmin) {
+      sendError(client, 'forbidden', 'Only admins can subscribe to all conversations', { conversationId });
+      return false;
+    }
+  } else {
+    const conversation = UUID_PATTERN.test(conversationId)
+      ? await Conversation.findByPk(conversationId, { attributes: ['id', 'userId'] })
+      : null;
+    if (!conversation) {
+      sendError(client, 'not_found', 'Conversation not found', { conversationId });
+      return false;
+    }
+    if (!client.isAdmin && conversation.userId !== client.user.id) {
+      sendError(client, 'forbidden', 'Not allowed to access this conversation', { conversationId });
+      return false;
+    }
+  }
+
+  if (client.isAdmin) {
+    if (client.subscriptions.size >= SOCKET_CONFIG.maxSubscriptions && !client.subscriptions.has(conversationId)) {
+      sendError(client, 'too_many_subscriptions', `At most ${SOCKET_CONFIG.maxSubscriptions} subscriptions`, { conversationId });
+      return false;
+    }
+    client.subscriptions.add(conversationId);
+  }
+
+  send(client, { type: 'subscribed', conversationId });
+  return true;
+}
+
+async function handleMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return sendError(client, 'invalid_message', 'Messages must be JSON');
+  }
+
+  const lastEventId = parseInt(message.lastEventId);
+
+  switch (message.type) {
+    case 'subscribe': {
+      const subscribed = await subscribe(client, String(message.conversationId || ''));
+      if (subscribed && Number.isFinite(lastEventId)) {
+        const scope = message.conversationId === ALL_CONVERSATIONS ? null : [message.conversationId];
+        await replay(client, lastEventId, scope);
+      }
+      return;
+    }
+    case 'unsubscribe':
+      client.subscriptions.delete(String(message.conversationId || ''));
+      return send(client, { type: 'unsubscribed', conversationId: message.conversationId });
+    case 'resume':
+      if (!Number.isFinite(lastEventId)) {
+        return sendError(client, 'invalid_message', 'lastEventId is required');
+      }
+      return replay(client, lastEventId);
+    case 'ping':
+      return send(client, { type: 'pong' });
+    default:
+      return sendError(client, 'invalid_message', `Unknown message type: ${message.type}`);
+  }
+}
+
+async function handleConnection(ws, { user, decoded }, url, clients) {
+  const client = {
+    ws,
+    user,
+    isAdmin: user.role === 'admin',
+    subscriptions: new Set(),
+    replaying: 0,
+    pending: [],
+    delivered: new Set(),
+    alive: true
+  };
+  clients.set(ws, client);
+
+  // Reanudación tras reconectar: ?lastEventId=<último id recibido>. Lo que llegue
+  // antes de terminar el reenvío se entrega después, en orden.
+  const lastEventId = parseInt(url.searchParams.get('lastEventId'));
+  const resuming = Number.isFinite(lastEventId);
+  if (resuming) holdLiveEvents(client);
+
+  // El socket no sobrevive al token con el que se abrió
+  let expiryTimer = null;
+  if (decoded.exp) {
+    const msUntilExpiry = Math.max(decoded.exp * 1000 - Date.now(), 0);
+    expiryTimer = setTimeout(() => ws.close(CLOSE_CODES.tokenExpired, 'Token expired'), Math.min(msUntilExpiry, 2147483647));
+  }
+
+  const unsubscribe = onRealtimeEvent(event => {
+    if (!canReceive(client, event)) return;
+    if (client.replaying > 0) {
+      client.pending.push(event);
+    } else {
+      deliver(client, event);
+    }
+  });
+
+  ws.on('pong', () => { client.alive = true; });
+  ws.on('message', raw => {
+    handleMessage(client, raw.toString()).catch(error => {
+      console.error('Realtime message error:', error.message);
+      sendError(client, 'server_error', 'Error processing message');
+    });
+  });
+  ws.on('close', () => {
+    clients.delete(ws);
+    unsubscribe();
+    clearTimeout(expiryTimer);
+  });
+  ws.on('error', error => console.error('Realtime socket error:', error.message));
+
+  try {
+    // Suscripciones iniciales: ?subscribe=<id>,<id> o ?subscribe=*
+    const initial = (url.searchParams.get('subscribe') || '').split(',').map(id => id.trim()).filter(Boolean);
+    for (const conversationId of initial.slice(0, SOCKET_CONFIG.maxSubscriptions)) {
+      await subscribe(client, conversationId);
+    }
+
+    send(client, {
+      type: 'ready',
+      userId: user.id,
+      role: user.role,
+      subscriptions: [...client.subscriptions],
+      lastEventId: await latestEventId()
+    });
+
+    if (resuming) await replay(client, lastEventId);
+  } finally {
+    if (resuming) releaseLiveEvents(client);
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Monta el canal en el servidor HTTP de Express
+ * @param {http.Server} server
+ * @returns {WebSocketServer}
+ */
+function attachRealtime(server) {
+  registerRealtimeHooks();
+
+  const wss = new WebSocketServer({ noServer: true, maxPayload: SOCKET_CONFIG.maxPayloadBytes });
+  const clients = new Map();
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== REALTIME_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = url.searchParams.get('token') || req.headers.authorization?.replace('Bearer ', '');
+
+    let auth;
+    try {
+      auth = await authenticateToken(token);
+    } catch (error) {
+      console.log('Realtime auth failed:', error.reason || error.message);
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      handleConnection(ws, auth, url, clients).catch(error => {
+        console.error('Realtime connection error:', error.message);
+        ws.close(1011, 'Server error');
+      });
+    });
+  });
+
+  // Cierra los sockets que no contestan al ping
+  const heartbeat = setInterval(() => {
+    for (const [ws, client] of clients) {
+      if (!client.alive) {
+        ws.terminate();
+        continue;
+      }
+      client.alive = false;
+      ws.ping();
+    }
+  }, SOCKET_CONFIG.heartbeatMs);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`✅ Realtime channel ready on ${REALTIME_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  attachRealtime,
+  REALTIME_PATH,
+  CLOSE_CODES
+};
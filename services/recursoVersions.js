@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { RecursoVersion } = require('../models');
+const { PAGE_SEPARATOR } = require('./embeddingService');
+
+const PREVIEW_LENGTH = 500;
+
+/**
+ * Texto completo que se trocea para un recurso/versión
+ * @param {{titulo: string, descripcion?: string, contenido?: string}} fields
+ * @returns {string}
+ */
+function buildFullText({ titulo, descripcion, contenido }) {
+  return [titulo, descripcion, contenido].filter(Boolean).join('\n\n');
+}
+
+function hashFields(fields) {
+  return crypto.createHash('sha256').update(buildFullText(fields)).digest('hex');
+}
+
+/**
+ * Preview que se guarda en Recurso.contenido (el original completo vive en RecursoVersion)
+ * @param {string} contenido
+ * @returns {string|null}
+ */
+function contentPreview(contenido) {
+  if (!contenido) {
+    return null;
+  }
+
+  const text = contenido.split(PAGE_SEPARATOR).join('\n\n');
+  return text.substring(0, PREVIEW_LENGTH) + (text.length > PREVIEW_LENGTH ? '...' : '');
+}
+
+/**
+ * Guarda una nueva revisión con el contenido completo
+ * @param {string} recursoId
+ * @param {{titulo: string, descripcion?: string, contenido?: string}} fields
+ * @param {Object} options - { origen, rolledBackFrom, userId, file: { data, name, mimeType } }
+ * @returns {Promise<RecursoVersion>}
+ */
+async function createVersion(recursoId, fields, { origen = 'update', rolledBackFrom = null, userId = null, file = null } = {}) {
+  const last = await RecursoVersion.max('version', { where: { recursoId } });
+
+  return RecursoVersion.create({
+    recursoId,
+    version: (last || 0) + 1,
+    titulo: fields.titulo,
+    descripcion: fields.descripcion || null,
+    contenido: fields.contenido || null,
+    fileData: file ? file.data : null,
+    fileName: file ? file.name : null,
+    fileMimeType: file ? file.mimeType : null,
+    contentHash: hashFields(fields),
+    origen,
+    rolledBackFrom,
+    createdByUserId: userId
+  });
+}
+
+/**
+ * Fichero original de una versión en el formato que espera createVersion()
+ * @returns {{data: Buffer, name: string, mimeType: string}|null}
+ */
+function versionFile(version) {
+  return version && version.fileData
+    ? { data: version.fileData, name: version.fileName, mimeType: version.fileMimeType }
+    : null;
+}
+
+/**
+ * Última revisión de un recurso
+ * @returns {Promise<RecursoVersion|null>}
+ */
+async function getLatestVersion(recursoId) {
+  return RecursoVersion.findOne({
+    where: { recursoId },
+    order: [['version', 'DESC']]
+  });
+}
+
+/**
+ * Última revisión, creando una "legacy" a partir del propio recurso si aún no tiene
+ * (recursos creados antes de guardar versiones: solo queda el preview).
+ * @param {Recurso} recurso
+ * @returns {Promise<RecursoVersion>}
+ */
+async function getOrCreateLatestVersion(recurso) {
+  const latest = await getLatestVersion(recurso.id);
+  if (latest) {
+    return latest;
+  }
+
+  return createVersion(recurso.id, {
+    titulo: recurso.titulo,
+    descripcion: recurso.descripcion,
+    contenido: recurso.contenido
+  }, { origen: 'legacy' });
+}
+
+module.exports = {
+  buildFullText,
+  hashFields,
+  contentPreview,
+  createVersion,
+  versionFile,
+  getLatestVersion,
+  getOrCreateLatestVersion
+};
@@ -0,0 +1,358 @@
+const { Op } = require('sequelize');
+const { ReembedJob, sequelize } = require('../models');
+const {
+  createEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  invalidateActiveEmbeddingProvider
+} = require('./embeddingProviders');
+const { embedWithCache } = require('./embeddingCache');
+
+// Re-embed de toda la base de conocimiento: se genera embeddingNext junto al vector
+// actual (la búsqueda sigue usando el viejo) y al conmutar se copian todos de golpe.
+const REEMBED_CONFIG = {
+  batchSize: 20,                // El ritmo lo marca el limitador adaptativo de embeddingService
+  maxAttempts: 5               // Fallos seguidos antes de marcar el job como failed
+};
+
+/**
+ * Error con código para que las rutas respondan 4xx
+ */
+function reembedError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Proveedor con el que trabaja un job
+ * @param {ReembedJob} job
+ */
+function jobProvider(job) {
+  return createEmbeddingProvider({
+    provider: job.provider,
+    model: job.model,
+    baseUrl: job.baseUrl,
+    dimensions: job.dimensions
+  });
+}
+
+/**
+ * Chunks que aún no tienen vector del modelo indicado (ni actual ni siguiente)
+ * @param {string} model
+ * @param {Object} transaction
+ * @returns {Promise<number>}
+ */
+async function countPendingChunks(model, transaction = null) {
+  const [row] = await sequelize.query(`
+    SELECT COUNT(*)::int as count
+    FROM "Chunks"
+    WHERE "embeddingStatus" = 'completed'
+      AND "embeddingModel" IS DISTINCT FROM :model
+      AND "embeddingNextModel" IS DISTINCT FROM :model
+  `, {
+    replacements: { model },
+    type: sequelize.QueryTypes.SELECT,
+    transaction
+  });
+  return row.count;
+}
+
+/**
+ * Descarta los vectores siguientes de un modelo (job cancelado o reemplazado)
+ * @param {string} model
+ */
+async function clearNextEmbeddings(model) {
+  await sequelize.query(`
+    UPDATE "Chunks"
+    SET "embeddingNext" = NULL, "embeddingNextModel" = NULL, "embeddingNextDimensions" = NULL
+    WHERE "embeddingNextModel" = :model
+  `, {
+    replacements: { model }
+  });
+}
+
+/**
+ * Lanza el re-embed de todos los chunks con otro modelo.
+ * Prueba el proveedor antes de crear el job (y así conoce la dimensión real).
+ * @param {Object} config - { provider, model, baseUrl, dimensions }
+ * @param {string} userId
+ * @returns {Promise<ReembedJob>}
+ */
+async function startReembed(config, userId = null) {
+  let provider;
+  try {
+    provider = createEmbeddingProvider(config);
+  } catch (error) {
+    throw reembedError(error.message, 'REEMBED_INVALID');
+  }
+
+  let probe;
+  try {
+    [probe] = await provider.embed(['Prueba de embedding']);
+  } catch (error) {
+    throw reembedError(`El proveedor no responde: ${error.message}`, 'REEMBED_INVALID');
+  }
+  if (config.dimensions && probe.length !== config.dimensions) {
+    throw reembedError(`El modelo devuelve ${probe.length} dimensiones, no ${config.dimensions}`, 'REEMBED_INVALID');
+  }
+
+  const active = await getActiveEmbeddingProvider();
+  if (active.model === provider.model) {
+    throw reembedError(`${provider.model} ya es el modelo activo`, 'REEMBED_INVALID');
+  }
+
+  // Solo un re-embed a la vez: el anterior se cancela
+  const previous = await ReembedJob.findAll({ where: { status: { [Op.in]: ['running', 'ready'] } } });
+  for (const job of previous) {
+    await cancelReembed(job.id, 'Reemplazado por un re-embed más reciente');
+  }
+
+  const totalChunks = await sequelize.query(
+    `SELECT COUNT(*)::int as count FROM "Chunks" WHERE "embeddingStatus" = 'completed'`,
+    { type: sequelize.QueryTypes.SELECT }
+  ).then(([row]) => row.count);
+
+  const job = await ReembedJob.create({
+    provider: provider.name,
+    model: provider.model,
+    baseUrl: provider.baseUrl,
+    dimensions: probe.length,
+    status: 'running',
+    totalChunks,
+    processedChunks: 0,
+    startedAt: new Date(),
+    createdByUserId: userId
+  });
+
+  console.log(`[Reembed ${job.id}] ${totalChunks} chunks -> ${provider.name}/${provider.model} (${probe.length} dims)`);
+  return job;
+}
+
+/**
+ * Embebe un lote de chunks para el job.
+ * target 'next': job en curso, se escribe en embeddingNext.
+ * target 'current': job ya conmutado, se corrigen en su sitio chunks escritos con el modelo anterior.
+ * @returns {Promise<number>} chunks procesados
+ */
+async function embedBatch(job, target) {
+  const chunks = await sequelize.query(`
+    SELECT id, contenido
+    FROM "Chunks"
+    WHERE "embeddingStatus" = 'completed'
+      AND "embeddingModel" IS DISTINCT FROM :model
+      ${target === 'next' ? 'AND "embeddingNextModel" IS DISTINCT FROM :model' : ''}
+    ORDER BY "createdAt" ASC
+    LIMIT :batchSize
+  `, {
+    replacements: { model: job.model, batchSize: REEMBED_CONFIG.batchSize },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  if (chunks.length === 0) {
+    return 0;
+  }
+
+  const { embeddings } = await embedWithCache(chunks.map(c => c.contenido), jobProvider(job));
+
+  const columns = target === 'next'
+    ? { vector: 'embeddingNext', model: 'embeddingNextModel', dimensions: 'embeddingNextDimensions' }
+    : { vector: 'embedding', model: 'embeddingModel', dimensions: 'embeddingDimensions' };
+
+  for (let i = 0; i < chunks.length; i++) {
+    await sequelize.query(`
+      UPDATE "Chunks"
+      SET "${columns.vector}" = :embedding::vector,
+          "${columns.model}" = :model,
+          "${columns.dimensions}" = :dimensions
+      WHERE id = :id
+    `, {
+      replacements: {
+        embedding: `[${embeddings[i].join(',')}]`,
+        model: job.model,
+        dimensions: embeddings[i].length,
+        id: chunks[i].id
+      }
+    });
+  }
+
+  return chunks.length;
+}
+
+/**
+ * Procesa un lote del re-embed en curso (lo llama el worker de ingesta entre jobs).
+ * Sin re-embed en curso, corrige chunks que se escribieron con el modelo anterior
+ * justo después de conmutar (otros procesos aún con el proveedor en caché).
+ * @returns {Promise<boolean>} true si queda trabajo
+ */
+async function runReembedBatch() {
+  const job = await ReembedJob.findOne({
+    where: { status: 'running' },
+    order: [['createdAt', 'ASC']]
+  });
+
+  if (!job) {
+    const switched = await ReembedJob.findOne({
+      where: { status: 'switched' },
+      order: [['switchedAt', 'DESC']]
+    });
+    if (!switched) return false;
+
+    try {
+      const fixed = await embedBatch(switched, 'current');
+      if (fixed > 0) {
+        console.log(`[Reembed ${switched.id}] ${fixed} chunks con el modelo anterior corregidos`);
+      }
+      return fixed > 0;
+    } catch (error) {
+      console.error(`[Reembed ${switched.id}] Error corrigiendo chunks:`, error.message);
+      return false;
+    }
+  }
+
+  try {
+    const processed = await embedBatch(job, 'next');
+
+    if (processed === 0) {
+      await job.update({ status: 'ready', finishedAt: new Date(), error: null });
+      console.log(`[Reembed ${job.id}] Listo para conmutar`);
+      return false;
+    }
+
+    await job.update({
+      processedChunks: job.processedChunks + processed,
+      attempts: 0,
+      error: null
+    });
+
+    return true;
+
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    console.error(`[Reembed ${job.id}] Error (${attempts}/${REEMBED_CONFIG.maxAttempts}):`, error.message);
+
+    await job.update({
+      attempts,
+      error: error.message,
+      ...(attempts >= REEMBED_CONFIG.maxAttempts ? { status: 'failed', finishedAt: new Date() } : {})
+    });
+    // Se reintenta en la siguiente vuelta del worker
+    return false;
+  }
+}
+
+/**
+ * Conmuta todos los chunks al modelo del job en una única transacción.
+ * Si quedan chunks sin vector nuevo (p. ej. ingestados después), el job vuelve a running.
+ * @param {string} jobId
+ * @returns {Promise<ReembedJob|null>} null si el job no existe
+ */
+async function switchReembed(jobId) {
+  const job = await ReembedJob.findByPk(jobId);
+  if (!job) return null;
+
+  if (!['running', 'ready'].includes(job.status)) {
+    throw reembedError(`No se puede conmutar un re-embed en estado ${job.status}`, 'REEMBED_NOT_READY');
+  }
+
+  let pending = 0;
+  await sequelize.transaction(async (transaction) => {
+    // Bloquea escrituras en Chunks mientras se comprueba y se conmuta
+    await sequelize.query('LOCK TABLE "Chunks" IN SHARE ROW EXCLUSIVE MODE', { transaction });
+
+    pending = await countPendingChunks(job.model, transaction);
+    if (pending > 0) return;
+
+    await sequelize.query(`
+      UPDATE "Chunks"
+      SET embedding = "embeddingNext",
+          "embeddingModel" = "embeddingNextModel",
+          "embeddingDimensions" = "embeddingNextDimensions",
+          "embeddingNext" = NULL,
+          "embeddingNextModel" = NULL,
+          "embeddingNextDimensions" = NULL
+      WHERE "embeddingNextModel" = :model
+    `, {
+      replacements: { model: job.model },
+      transaction
+    });
+
+    await job.update({ status: 'switched', switchedAt: new Date(), error: null }, { transaction });
+  });
+
+  if (pending > 0) {
+    await job.update({ status: 'running', finishedAt: null });
+    throw reembedError(`Quedan ${pending} chunks sin el vector nuevo`, 'REEMBED_PENDING', { pending });
+  }
+
+  invalidateActiveEmbeddingProvider();
+  console.log(`[Reembed ${job.id}] Conmutado a ${job.provider}/${job.model}`);
+  return job;
+}
+
+/**
+ * Cancela un re-embed no conmutado y descarta sus vectores
+ * @param {string} jobId
+ * @param {string} reason
+ * @returns {Promise<ReembedJob|null>} null si no existe o ya terminó
+ */
+async function cancelReembed(jobId, reason = 'Cancelado por un administrador') {
+  const job = await ReembedJob.findByPk(jobId);
+  if (!job || !['running', 'ready', 'failed'].includes(job.status)) {
+    return null;
+  }
+
+  await job.update({ status: 'cancelled', finishedAt: new Date(), error: reason });
+  await clearNextEmbeddings(job.model);
+  return job;
+}
+
+/**
+ * Modelo activo, chunks por modelo y últimos re-embeds
+ */
+async function getEmbeddingStatus() {
+  const active = await getActiveEmbeddingProvider();
+
+  const byModel = await sequelize.query(`
+    SELECT "embeddingModel" as model, "embeddingDimensions" as dimensions, COUNT(*)::int as chunks
+    FROM "Chunks"
+    WHERE "embeddingStatus" = 'completed'
+    GROUP BY "embeddingModel", "embeddingDimensions"
+    ORDER BY chunks DESC
+  `, { type: sequelize.QueryTypes.SELECT });
+
+  const jobs = await ReembedJob.findAll({
+    order: [['createdAt', 'DESC']],
+    limit: 10
+  });
+
+  const current = jobs.find(j => ['running', 'ready'].includes(j.status));
+
+  return {
+    active: {
+      provider: active.name,
+      model: active.model,
+      dimensions: active.dimensions,
+      baseUrl: active.baseUrl
+    },
+    chunksByModel: byModel,
+    // Chunks que la búsqueda ignora por tener otro modelo
+    staleChunks: byModel
+      .filter(row => row.model !== active.model)
+      .reduce((sum, row) => sum + row.chunks, 0),
+    current: current ? {
+      ...current.toJSON(),
+      pendingChunks: await countPendingChunks(current.model)
+    } : null,
+    jobs
+  };
+}
+
+module.exports = {
+  startReembed,
+  runReembedBatch,
+  switchReembed,
+  cancelReembed,
+  getEmbeddingStatus,
+  REEMBED_CONFIG
+};
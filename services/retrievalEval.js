@@ -0,0 +1,255 @@
+const { EvalSet, EvalRun } = require('../models');
+const {
+  generateEmbedding,
+  searchResources,
+  CHUNK_CONFIG,
+  RESOURCE_SEARCH_CONFIG,
+  SEARCH_MODES
+} = require('./embeddingService');
+const { getActiveEmbeddingProvider } = require('./embeddingProviders');
+
+const EVAL_DEFAULTS = {
+  k: 5,
+  mode: 'vector'
+};
+
+/**
+ * Valida y normaliza las preguntas de un set de evaluación
+ * @param {Array} questions - [{ question, expected: [{ recursoId, chunkIndex? }] }]
+ * @returns {Array} - Preguntas limpias
+ * @throws {Error} con code 'EVAL_INVALID' si el formato no es válido
+ */
+function normalizeQuestions(questions) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'EVAL_INVALID';
+    return error;
+  };
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw invalid('questions must be a non-empty array');
+  }
+
+  return questions.map((q, i) => {
+    if (!q || typeof q.question !== 'string' || !q.question.trim()) {
+      throw invalid(`questions[${i}].question is required`);
+    }
+    if (!Array.isArray(q.expected) || q.expected.length === 0) {
+      throw invalid(`questions[${i}].expected must be a non-empty array`);
+    }
+
+    const expected = q.expected.map((e, j) => {
+      if (!e || !e.recursoId) {
+        throw invalid(`questions[${i}].expected[${j}].recursoId is required`);
+      }
+      const chunkIndex = e.chunkIndex === undefined || e.chunkIndex === null ? null : parseInt(e.chunkIndex);
+      if (chunkIndex !== null && Number.isNaN(chunkIndex)) {
+        throw invalid(`questions[${i}].expected[${j}].chunkIndex must be an integer`);
+      }
+      return { recursoId: e.recursoId, chunkIndex };
+    });
+
+    return { question: q.question.trim(), expected };
+  });
+}
+
+/**
+ * Compara lo recuperado con lo esperado para una pregunta
+ * @param {Object} question - { question, expected }
+ * @param {Array} resources - Resultado de searchResources (ordenado)
+ * @returns {Object} - { recall, reciprocalRank, firstHitRank, hits, misses, retrieved }
+ */
+function scoreQuestion(question, resources) {
+  const hits = [];
+  const misses = [];
+  let firstHitRank = null;
+
+  for (const expected of question.expected) {
+    const position = resources.findIndex(r =>
+      r.id === expected.recursoId &&
+      (expected.chunkIndex === null || r.chunks.some(c => c.chunkIndex === expected.chunkIndex))
+    );
+
+    if (position === -1) {
+      misses.push(expected);
+    } else {
+      hits.push({ ...expected, rank: position + 1 });
+      if (firstHitRank === null || position + 1 < firstHitRank) {
+        firstHitRank = position + 1;
+      }
+    }
+  }
+
+  return {
+    question: question.question,
+    recall: hits.length / question.expected.length,
+    reciprocalRank: firstHitRank ? 1 / firstHitRank : 0,
+    firstHitRank,
+    hits,
+    misses,
+    retrieved: resources.map(r => ({
+      recursoId: r.id,
+      titulo: r.titulo,
+      score: r.score,
+      chunkIndexes: r.chunks.map(c => c.chunkIndex)
+    }))
+  };
+}
+
+/**
+ * Agrega los resultados por pregunta en las métricas del run
+ * @param {Array} results - Salida de scoreQuestion
+ * @returns {{recallAtK: number, mrr: number, hitRate: number, questions: number}}
+ */
+function aggregateMetrics(results) {
+  const n = results.length;
+  const sum = (fn) => results.reduce((acc, r) => acc + fn(r), 0);
+
+  return {
+    recallAtK: n ? sum(r => r.recall) / n : 0,
+    mrr: n ? sum(r => r.reciprocalRank) / n : 0,
+    hitRate: n ? sum(r => (r.firstHitRank ? 1 : 0)) / n : 0,
+    questions: n
+  };
+}
+
+/**
+ * Ejecuta un set de evaluación contra la búsqueda actual y guarda el run
+ * @param {string} evalSetId
+ * @param {Object} options
+ * @param {number} options.k - Recursos recuperados por pregunta
+ * @param {string} options.mode - Modo de búsqueda (ver SEARCH_MODES)
+ * @param {string} options.label - Etiqueta del run
+ * @param {string} options.userId - Admin que lo lanza
+ * @returns {Promise<EvalRun>}
+ */
+async function runEvalSet(evalSetId, { k = EVAL_DEFAULTS.k, mode = EVAL_DEFAULTS.mode, label = null, userId = null } = {}) {
+  if (!SEARCH_MODES.includes(mode)) {
+    const error = new Error(`Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}`);
+    error.code = 'EVAL_INVALID';
+    throw error;
+  }
+
+  const evalSet = await EvalSet.findByPk(evalSetId);
+  if (!evalSet) {
+    const error = new Error('Eval set not found');
+    error.code = 'EVAL_NOT_FOUND';
+    throw error;
+  }
+
+  const embeddingProvider = await getActiveEmbeddingProvider();
+
+  const run = await EvalRun.create({
+    evalSetId,
+    status: 'running',
+    label,
+    mode,
+    k,
+    config: {
+      embeddingProvider: embeddingProvider.name,
+      embeddingModel: embeddingProvider.model,
+      chunkConfig: CHUNK_CONFIG,
+      chunksPerResource: RESOURCE_SEARCH_CONFIG.chunksPerResource
+    },
+    startedAt: new Date(),
+    createdByUserId: userId
+  });
+
+  try {
+    const results = [];
+
+    for (const question of evalSet.questions) {
+      const queryEmbedding = mode === 'keyword' ? null : await generateEmbedding(question.question, embeddingProvider);
+      const resources = await searchResources(queryEmbedding, {
+        limit: k,
+        mode,
+        queryText: question.question,
+        embeddingModel: embeddingProvider.model
+      });
+      results.push(scoreQuestion(question, resources));
+    }
+
+    await run.update({
+      status: 'completed',
+      metrics: aggregateMetrics(results),
+      results,
+      finishedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`Eval run ${run.id} failed:`, error.message);
+    await run.update({
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date()
+    });
+  }
+
+  return run;
+}
+
+/**
+ * Compara dos runs (p. ej. antes/después de un reindex); las preguntas se emparejan por texto
+ * @param {EvalRun} base
+ * @param {EvalRun} target
+ * @returns {Object} - Métricas de ambos, deltas y cambios por pregunta
+ */
+function compareRuns(base, target) {
+  const metricDelta = (name) => (target.metrics?.[name] || 0) - (base.metrics?.[name] || 0);
+  const baseResults = new Map((base.results || []).map(r => [r.question, r]));
+
+  const questions = (target.results || []).map(t => {
+    const b = baseResults.get(t.question);
+    if (!b) {
+      return { question: t.question, change: 'new', target: { recall: t.recall, firstHitRank: t.firstHitRank } };
+    }
+
+    let change = 'unchanged';
+    if (t.recall > b.recall || (t.recall === b.recall && t.reciprocalRank > b.reciprocalRank)) {
+      change = 'improved';
+    } else if (t.recall < b.recall || (t.recall === b.recall && t.reciprocalRank < b.reciprocalRank)) {
+      change = 'regressed';
+    }
+
+    return {
+      question: t.question,
+      change,
+      base: { recall: b.recall, firstHitRank: b.firstHitRank },
+      target: { recall: t.recall, firstHitRank: t.firstHitRank }
+    };
+  });
+
+  const summary = (run) => ({
+    id: run.id,
+    label: run.label,
+    mode: run.mode,
+    k: run.k,
+    config: run.config,
+    metrics: run.metrics,
+    createdAt: run.createdAt
+  });
+
+  return {
+    base: summary(base),
+    target: summary(target),
+    delta: {
+      recallAtK: metricDelta('recallAtK'),
+      mrr: metricDelta('mrr'),
+      hitRate: metricDelta('hitRate')
+    },
+    counts: {
+      improved: questions.filter(q => q.change === 'improved').length,
+      regressed: questions.filter(q => q.change === 'regressed').length,
+      unchanged: questions.filter(q => q.change === 'unchanged').length
+    },
+    questions
+  };
+}
+
+module.exports = {
+  normalizeQuestions,
+  scoreQuestion,
+  aggregateMetrics,
+  runEvalSet,
+  compareRuns,
+  EVAL_DEFAULTS
+};
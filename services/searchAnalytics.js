@@ -0,0 +1,301 @@
+const { SearchLog, sequelize } = require('../models');
+const { getActiveEmbeddingProvider } = require('./embeddingProviders');
+
+// Registro de las búsquedas de /api/recursos/buscar e informe de huecos de conocimiento:
+// temas más buscados, consultas sin buenos resultados y recursos que nunca se devuelven.
+const SEARCH_LOG_CONFIG = {
+  retentionDays: parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90,
+  maxRows: parseInt(process.env.SEARCH_LOG_MAX_ROWS) || 100000,
+  purgeIntervalMs: 6 * 60 * 60 * 1000
+};
+
+const REPORT_DEFAULTS = {
+  days: 30,
+  gapThreshold: parseFloat(process.env.SEARCH_GAP_THRESHOLD) || 0.5,  // Mejor similitud por debajo = hueco
+  clusterThreshold: 0.85,   // Similitud coseno mínima para juntar dos consultas en un tema
+  limit: 20,
+  maxQueries: 2000,         // Consultas distintas que se agrupan como mucho
+  examplesPerCluster: 5
+};
+
+let purgeTimer = null;
+
+/**
+ * Forma canónica de una consulta para contar repeticiones
+ * ("¿Cómo creo una campaña?" y "como creo una campaña" son la misma)
+ */
+function normalizeQuery(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Guarda una búsqueda y lo que devolvió. Se llama sin await desde la ruta:
+ * un fallo del registro no debe romper la búsqueda.
+ * @param {Object} search
+ * @param {string} search.query
+ * @param {Object} search.filters - { categoria, tipo }
+ * @param {string} search.mode
+ * @param {number[]|null} search.queryEmbedding
+ * @param {Array} search.results - Salida de searchResources
+ * @param {number} search.durationMs
+ * @param {string} search.apiKeyId - Clave de servicio que hizo la búsqueda
+ */
+async function recordSearch({ query, filters = {}, mode, queryEmbedding = null, results = [], durationMs = null, apiKeyId = null }) {
+  const scores = results.map(r => (r.similarity == null ? null : Number(r.similarity)));
+  const similarities = scores.filter(s => s !== null);
+  const embeddingModel = queryEmbedding ? (await getActiveEmbeddingProvider()).model : null;
+
+  return SearchLog.create({
+    query,
+    normalizedQuery: normalizeQuery(query),
+    categoria: filters.categoria || null,
+    tipo: filters.tipo || null,
+    mode,
+    topSimilarity: similarities.length > 0 ? Math.max(...similarities) : null,
+    scores,
+    recursoIds: results.map(r => r.id),
+    resultCount: results.length,
+    embedding: queryEmbedding,
+    embeddingModel,
+    durationMs,
+    apiKeyId
+  });
+}
+
+/**
+ * Borra búsquedas más antiguas que retentionDays y, si aún quedan más de maxRows, las más viejas
+ * @returns {Promise<number>} filas borradas
+ */
+async function purgeSearchLogs() {
+  const [, expired] = await sequelize.query(`
+    DELETE FROM "SearchLogs"
+    WHERE "createdAt" < NOW() - make_interval(days => :retentionDays)
+  `, { replacements: { retentionDays: SEARCH_LOG_CONFIG.retentionDays } });
+
+  const [, overflow] = await sequelize.query(`
+    DELETE FROM "SearchLogs"
+    WHERE id IN (
+      SELECT id FROM "SearchLogs"
+      ORDER BY "createdAt" DESC
+      OFFSET :maxRows
+    )
+  `, { replacements: { maxRows: SEARCH_LOG_CONFIG.maxRows } });
+
+  const deleted = (expired?.rowCount || 0) + (overflow?.rowCount || 0);
+  if (deleted > 0) {
+    console.log(`[Search log] ${deleted} búsquedas purgadas`);
+  }
+  return deleted;
+}
+
+function startSearchLogPurge() {
+  if (purgeTimer) return;
+
+  const tick = () => purgeSearchLogs().catch(error => {
+    console.error('Search log purge error:', error.message);
+  });
+
+  purgeTimer = setInterval(tick, SEARCH_LOG_CONFIG.purgeIntervalMs);
+  console.log(`✅ Search log retention started (${SEARCH_LOG_CONFIG.retentionDays} days, max ${SEARCH_LOG_CONFIG.maxRows} rows)`);
+  tick();
+}
+
+function stopSearchLogPurge() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Agrupa consultas parecidas por similitud de embedding (agrupamiento voraz: cada consulta,
+ * de más a menos buscada, entra en el primer tema cuyo líder supera el umbral).
+ * Las consultas sin embedding (modo keyword) o de otro modelo solo se juntan con su texto exacto.
+ * @param {Array} queries - [{ query, searches, avgTopSimilarity, lastSearchedAt, embedding, embeddingModel }]
+ * @param {number} threshold - Similitud coseno mínima
+ * @returns {Array} temas ordenados por número de búsquedas
+ */
+function clusterQueries(queries, threshold = REPORT_DEFAULTS.clusterThreshold, examples = REPORT_DEFAULTS.examplesPerCluster) {
+  const clusters = [];
+  const sorted = [...queries].sort((a, b) => b.searches - a.searches);
+
+  for (const item of sorted) {
+    const cluster = item.embedding && clusters.find(c =>
+      c.embedding &&
+      c.embeddingModel === item.embeddingModel &&
+      c.embedding.length === item.embedding.length &&
+      cosineSimilarity(c.embedding, item.embedding) >= threshold
+    );
+
+    if (cluster) {
+      cluster.items.push(item);
+    } else {
+      clusters.push({ embedding: item.embedding, embeddingModel: item.embeddingModel, items: [item] });
+    }
+  }
+
+  return clusters
+    .map(({ items }) => {
+      const searches = items.reduce((sum, i) => sum + i.searches, 0);
+      const scored = items.filter(i => i.avgTopSimilarity != null);
+      const scoredSearches = scored.reduce((sum, i) => sum + i.searches, 0);
+
+      return {
+        label: items[0].query,
+        searches,
+        distinctQueries: items.length,
+        avgTopSimilarity: scoredSearches > 0
+          ? scored.reduce((sum, i) => sum + i.avgTopSimilarity * i.searches, 0) / scoredSearches
+          : null,
+        lastSearchedAt: items.reduce((last, i) => (i.lastSearchedAt > last ? i.lastSearchedAt : last), items[0].lastSearchedAt),
+        queries: items.slice(0, examples).map(i => ({ query: i.query, searches: i.searches }))
+      };
+    })
+    .sort((a, b) => b.searches - a.searches);
+}
+
+/**
+ * Filtro WHERE común del informe (ventana de días y categoría)
+ */
+function reportFilter({ since, categoria }, replacements) {
+  replacements.since = since;
+  let filter = '"createdAt" >= :since';
+  if (categoria) {
+    replacements.categoria = categoria;
+    filter += ' AND categoria = :categoria';
+  }
+  return filter;
+}
+
+/**
+ * Consultas distintas (por texto normalizado) con su número de búsquedas y el embedding
+ * de la más reciente, listas para clusterQueries
+ * @param {string} filter - Condición SQL sobre SearchLogs
+ */
+async function loadQueryGroups(filter, replacements, maxQueries) {
+  const rows = await sequelize.query(`
+    WITH grouped AS (
+      SELECT "normalizedQuery",
+        COUNT(*)::int as searches,
+        AVG("topSimilarity") as "avgTopSimilarity",
+        MAX("createdAt") as "lastSearchedAt"
+      FROM "SearchLogs"
+      WHERE ${filter}
+      GROUP BY "normalizedQuery"
+      ORDER BY searches DESC, "lastSearchedAt" DESC
+      LIMIT :maxQueries
+    ),
+    latest AS (
+      SELECT DISTINCT ON ("normalizedQuery") "normalizedQuery", query, embedding, "embeddingModel"
+      FROM "SearchLogs"
+      WHERE ${filter}
+        AND "normalizedQuery" IN (SELECT "normalizedQuery" FROM grouped)
+      ORDER BY "normalizedQuery", "createdAt" DESC
+    )
+    SELECT g.*, l.query, l.embedding, l."embeddingModel"
+    FROM grouped g
+    INNER JOIN latest l ON l."normalizedQuery" = g."normalizedQuery"
+  `, {
+    replacements: { ...replacements, maxQueries },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return rows.map(row => ({
+    ...row,
+    avgTopSimilarity: row.avgTopSimilarity == null ? null : Number(row.avgTopSimilarity)
+  }));
+}
+
+/**
+ * Informe de búsquedas: totales, temas más buscados, huecos de conocimiento
+ * y recursos activos que ninguna búsqueda ha devuelto en la ventana
+ * @param {Object} options
+ * @param {number} options.days - Ventana en días
+ * @param {string} options.categoria - Solo búsquedas filtradas por esta categoría (y sus recursos)
+ * @param {number} options.gapThreshold - Mejor similitud por debajo de la cual la búsqueda es un hueco
+ * @param {number} options.clusterThreshold - Similitud mínima para agrupar consultas
+ * @param {number} options.limit - Temas/huecos/recursos a devolver
+ * @returns {Promise<Object>}
+ */
+async function getSearchReport({
+  days = REPORT_DEFAULTS.days,
+  categoria = null,
+  gapThreshold = REPORT_DEFAULTS.gapThreshold,
+  clusterThreshold = REPORT_DEFAULTS.clusterThreshold,
+  limit = REPORT_DEFAULTS.limit
+} = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const replacements = { gapThreshold };
+  const filter = reportFilter({ since, categoria }, replacements);
+  // Sin resultados, o el mejor por debajo del umbral (keyword no tiene similitud: solo cuenta si no devolvió nada)
+  const gapFilter = `${filter} AND ("resultCount" = 0 OR "topSimilarity" < :gapThreshold)`;
+
+  const [[totals], topicGroups, gapGroups, neverRetrieved] = await Promise.all([
+    sequelize.query(`
+      SELECT
+        COUNT(*)::int as searches,
+        COUNT(DISTINCT "normalizedQuery")::int as "distinctQueries",
+        COUNT(*) FILTER (WHERE "resultCount" = 0)::int as "noResults",
+        COUNT(*) FILTER (WHERE "resultCount" = 0 OR "topSimilarity" < :gapThreshold)::int as gaps,
+        AVG("topSimilarity") as "avgTopSimilarity",
+        AVG("durationMs") as "avgDurationMs"
+      FROM "SearchLogs"
+      WHERE ${filter}
+    `, { replacements, type: sequelize.QueryTypes.SELECT }),
+    loadQueryGroups(filter, replacements, REPORT_DEFAULTS.maxQueries),
+    loadQueryGroups(gapFilter, replacements, REPORT_DEFAULTS.maxQueries),
+    sequelize.query(`
+      SELECT r.id, r.titulo, r.tipo, r.categoria, r.url, r."createdAt"
+      FROM "Recursos" r
+      WHERE r.activo = true
+        AND r."embeddingStatus" = 'completed'
+        ${categoria ? 'AND r.categoria = :categoria' : ''}
+        AND NOT EXISTS (
+          SELECT 1 FROM "SearchLogs" s
+          WHERE s."createdAt" >= :since AND s."recursoIds" @> ARRAY[r.id]
+        )
+      ORDER BY r."createdAt" ASC
+      LIMIT :limit
+    `, { replacements: { ...replacements, limit }, type: sequelize.QueryTypes.SELECT })
+  ]);
+
+  return {
+    window: { days, since, categoria },
+    thresholds: { gapThreshold, clusterThreshold },
+    totals: {
+      ...totals,
+      avgTopSimilarity: totals.avgTopSimilarity == null ? null : Number(totals.avgTopSimilarity),
+      avgDurationMs: totals.avgDurationMs == null ? null : Math.round(Number(totals.avgDurationMs))
+    },
+    topTopics: clusterQueries(topicGroups, clusterThreshold).slice(0, limit),
+    knowledgeGaps: clusterQueries(gapGroups, clusterThreshold).slice(0, limit),
+    neverRetrieved
+  };
+}
+
+module.exports = {
+  normalizeQuery,
+  recordSearch,
+  purgeSearchLogs,
+  startSearchLogPurge,
+  stopSearchLogPurge,
+  clusterQueries,
+  getSearchReport,
+  SEARCH_LOG_CONFIG,
+  REPORT_DEFAULTS
+};
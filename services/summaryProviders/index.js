@@ -0,0 +1,49 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createStubProvider } = require('./stubProvider');
+
+const SUMMARY_PROVIDERS = ['openai', 'stub'];
+
+let cachedProvider = null;
+
+/**
+ * Crea un proveedor de resúmenes de conversación.
+ * Todos exponen summarize({ conversation, previousSummary, messages }) => Promise<string>
+ * @param {Object} config
+ * @param {string} config.provider - 'openai' o 'stub' (determinista y sin red, para tests)
+ * @param {string} config.model
+ * @returns {{name: string, model: string, configured: boolean, summarize: Function}}
+ */
+function createSummaryProvider({ provider = 'openai', model } = {}) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider({
+        model: model || process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+        apiKey: process.env.OPENAI_API_KEY
+      });
+
+    case 'stub':
+      return createStubProvider();
+
+    default:
+      throw new Error(`Unknown summary provider: ${provider}`);
+  }
+}
+
+/**
+ * Proveedor configurado (SUMMARY_PROVIDER, SUMMARY_MODEL)
+ */
+function getSummaryProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createSummaryProvider({
+      provider: process.env.SUMMARY_PROVIDER || 'openai',
+      model: process.env.SUMMARY_MODEL || undefined
+    });
+  }
+  return cachedProvider;
+}
+
+module.exports = {
+  createSummaryProvider,
+  getSummaryProvider,
+  SUMMARY_PROVIDERS
+};
@@ -0,0 +1,77 @@
+const OpenAI = require('openai');
+
+const SUMMARY_PROMPT = `Resumes conversaciones de soporte de Growing Inmobiliario para el equipo de agentes.
+Escribe en español un resumen de 2 a 4 frases: qué necesita el usuario, qué se le ha respondido y qué queda pendiente.
+Si se indica un resumen anterior, intégralo con los mensajes nuevos en un único resumen actualizado.
+No inventes datos ni añadas saludos.`;
+
+const SENDER_LABELS = {
+  user: 'Usuario',
+  bot: 'Asistente',
+  admin: 'Agente de soporte',
+  system: 'Evento'
+};
+
+/**
+ * Texto de la conversación que se pasa al modelo
+ */
+function formatTranscript(messages) {
+  return messages
+    .map(m => `${SENDER_LABELS[m.sender] || m.sender}: ${(m.content || (m.hasImage ? '[imagen]' : '')).trim()}`)
+    .join('\n');
+}
+
+/**
+ * Resúmenes con chat.completions de OpenAI
+ * @param {Object} config
+ * @param {string} config.model
+ * @param {string} config.apiKey
+ * @returns {{name: string, model: string, configured: boolean, summarize: Function}}
+ */
+function createOpenAIProvider({ model, apiKey }) {
+  // Cliente creado al primer uso: sin OPENAI_API_KEY el servidor arranca igualmente
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new OpenAI({ apiKey });
+    return client;
+  };
+
+  /**
+   * @param {Object} input
+   * @param {Conversation} input.conversation
+   * @param {string|null} input.previousSummary
+   * @param {Message[]} input.messages - Mensajes nuevos, en orden cronológico
+   * @returns {Promise<string>}
+   */
+  async function summarize({ conversation, previousSummary, messages }) {
+    const context = [
+      `Título: ${conversation.title}. Categoría: ${conversation.category}. Estado: ${conversation.status}.`,
+      previousSummary ? `Resumen anterior:\n${previousSummary}` : null,
+      `Mensajes${previousSummary ? ' nuevos' : ''}:\n${formatTranscript(messages)}`
+    ].filter(Boolean).join('\n\n');
+
+    const completion = await getClient().chat.completions.create({
+      model,
+      temperature: 0.2,
+      max_tokens: 300,
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: context }
+      ]
+    });
+
+    return (completion.choices[0].message.content || '').trim();
+  }
+
+  return {
+    name: 'openai',
+    model,
+    configured: Boolean(apiKey),
+    summarize
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  formatTranscript
+};
@@ -0,0 +1,52 @@
+// Resumen determinista sin red (tests y desarrollo): la primera y la última pregunta
+// del usuario y el estado de la conversación.
+const MAX_LENGTH = 500;
+
+function clip(text, length) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.substring(0, length - 3)}...` : clean;
+}
+
+function sentence(text) {
+  return /[.!?…]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * @returns {{name: string, model: string, configured: boolean, summarize: Function}}
+ */
+function createStubProvider() {
+  async function summarize({ conversation, previousSummary, messages }) {
+    const questions = messages.filter(m => m.sender === 'user' && m.content && m.content.trim());
+    const parts = [];
+
+    if (previousSummary) {
+      // El estado se vuelve a añadir al final
+      parts.push(previousSummary.replace(/\s*Estado: [a-z]+\.$/, ''));
+    } else {
+      parts.push(`Consulta de ${conversation.category} sobre "${clip(conversation.title, 80)}".`);
+    }
+    if (questions.length > 0) {
+      parts.push(sentence(`El usuario pregunta: ${clip(questions[0].content, 120)}`));
+    }
+    if (questions.length > 1) {
+      parts.push(sentence(`Última pregunta: ${clip(questions[questions.length - 1].content, 120)}`));
+    }
+    if (messages.some(m => m.sender === 'admin')) {
+      parts.push('Ha intervenido un agente de soporte.');
+    }
+    parts.push(`Estado: ${conversation.status}.`);
+
+    return clip(parts.join(' '), MAX_LENGTH);
+  }
+
+  return {
+    name: 'stub',
+    model: 'stub',
+    configured: true,
+    summarize
+  };
+}
+
+module.exports = {
+  createStubProvider
+};
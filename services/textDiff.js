@@ -0,0 +1,167 @@
+/**
+ * Diff por líneas (algoritmo de Myers) para comparar versiones de recursos
+ */
+
+// Por encima de esta distancia de edición se trata como reemplazo completo
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+  return text ? String(text).split(/\r?\n/) : [];
+}
+
+/**
+ * Camino mínimo de edición entre a y b
+ * @returns {Array<{type: 'equal'|'added'|'removed', line: string}>|null} null si supera MAX_EDIT_DISTANCE
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] guarda v[-d-1..d+1] antes del paso d
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const get = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diff por líneas entre dos arrays
+ * @returns {Array<{type: 'equal'|'added'|'removed', line: string}>}
+ */
+function diffLines(a, b) {
+  // Recortar prefijo y sufijo comunes (reduce mucho el trabajo de Myers)
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map(line => ({ type: 'removed', line })),
+    ...middleB.map(line => ({ type: 'added', line }))
+  ];
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ];
+}
+
+/**
+ * Compara dos textos y agrupa los cambios, colapsando las zonas sin cambios
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {number} context - Líneas sin cambios a mostrar alrededor de cada cambio
+ * @returns {{stats: {added: number, removed: number}, changes: Array}}
+ */
+function diffTexts(oldText, newText, context = 3) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  const groups = [];
+  const stats = { added: 0, removed: 0 };
+  for (const op of ops) {
+    if (op.type !== 'equal') stats[op.type]++;
+
+    const last = groups[groups.length - 1];
+    if (last && last.type === op.type) {
+      last.lines.push(op.line);
+    } else {
+      groups.push({ type: op.type, lines: [op.line] });
+    }
+  }
+
+  const changes = [];
+  groups.forEach((group, i) => {
+    if (group.type !== 'equal') {
+      changes.push(group);
+      return;
+    }
+
+    const head = i > 0 ? group.lines.slice(0, context) : [];
+    const tail = i < groups.length - 1 ? group.lines.slice(-context) : [];
+    const skipped = group.lines.length - head.length - tail.length;
+
+    if (skipped <= 0) {
+      changes.push(group);
+      return;
+    }
+    if (head.length) changes.push({ type: 'equal', lines: head });
+    changes.push({ type: 'skipped', count: skipped });
+    if (tail.length) changes.push({ type: 'equal', lines: tail });
+  });
+
+  return { stats, changes };
+}
+
+module.exports = {
+  diffLines,
+  diffTexts
+};
@@ -0,0 +1,83 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// cl100k_base: la codificación de text-embedding-3-* y gpt-4o-mini. Las tablas BPE van en
+// el paquete (sin red). Para otros modelos de embeddings es una aproximación muy cercana.
+const ENCODING = 'cl100k_base';
+
+// Máximo de tokens por input de los modelos de embeddings de OpenAI
+const MAX_EMBEDDING_TOKENS = 8191;
+
+let encoder = null;
+
+/**
+ * Codificador BPE (las tablas se cargan al primer uso)
+ * @returns {Tiktoken}
+ */
+function getEncoder() {
+  if (!encoder) {
+    encoder = new Tiktoken(require(`js-tiktoken/ranks/${ENCODING}`));
+  }
+  return encoder;
+}
+
+/**
+ * Tokens de un texto. Los tokens especiales (<|endoftext|>...) se codifican como texto
+ * normal: por defecto js-tiktoken lanza un error y un documento o mensaje que los
+ * mencione no se podría trocear ni enviar en el historial.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function encode(text) {
+  return getEncoder().encode(text, [], []);
+}
+
+/**
+ * Número real de tokens de un texto
+ * @param {string} text
+ * @returns {number}
+ */
+function countTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return encode(text).length;
+}
+
+/**
+ * Recorta un texto a un máximo de tokens
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {{text: string, tokens: number, truncated: boolean}}
+ */
+function truncateToTokens(text, maxTokens = MAX_EMBEDDING_TOKENS) {
+  const tokens = encode(text || '');
+  if (tokens.length <= maxTokens) {
+    return { text, tokens: tokens.length, truncated: false };
+  }
+
+  return {
+    text: getEncoder().decode(tokens.slice(0, maxTokens)),
+    tokens: maxTokens,
+    truncated: true
+  };
+}
+
+/**
+ * Caracteres por token medidos en una muestra del texto (para estimar dónde cortar)
+ * @param {string} text
+ * @param {number} sampleChars
+ * @returns {number}
+ */
+function charsPerToken(text, sampleChars = 20000) {
+  const sample = text.length > sampleChars ? text.substring(0, sampleChars) : text;
+  const tokens = countTokens(sample);
+  return tokens > 0 ? sample.length / tokens : 4;
+}
+
+module.exports = {
+  countTokens,
+  truncateToTokens,
+  charsPerToken,
+  MAX_EMBEDDING_TOKENS,
+  ENCODING
+};
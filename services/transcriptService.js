@@ -0,0 +1,246 @@
+// Transcripciones de vídeo (SRT y WebVTT): parseo, troceo por cues y enlaces con tiempo.
+// El contenido de la versión se guarda como WebVTT normalizado, así el chunker recupera
+// los tiempos de cada cue al re-trocear (reprocess, rollback...).
+
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+const TRANSCRIPT_PATTERN = /^\s*(?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3}\s+-->\s+/m;
+const SKIPPED_BLOCKS = /^(WEBVTT|NOTE|STYLE|REGION)\b/;
+
+/**
+ * Crea un error de transcripción con código para mostrarlo en el Recurso
+ */
+function transcriptError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * "01:02:03,450" / "02:03.450" -> segundos
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+  return timestamp
+    .replace(',', '.')
+    .split(':')
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Segundos -> "00:05:12.000" (formato WebVTT)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Texto de un cue sin etiquetas de voz/estilo (<v Ana>, <i>, {\an8}...)
+ */
+function cueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Separa un texto con cues en el texto previo (título, descripción) y los cues
+ * @param {string} text - SRT, WebVTT o texto completo de un recurso con transcripción
+ * @returns {{preamble: string, cues: Array<{start: number, end: number, text: string}>}}
+ */
+function parseCues(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+
+  const preamble = [];
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim());
+    if (lines.length === 0) continue;
+
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+    if (timingIndex === -1) {
+      // Lo anterior al primer cue (título, descripción) se conserva; cabeceras y notas no
+      if (cues.length === 0 && !SKIPPED_BLOCKS.test(lines[0].trim())) {
+        preamble.push(lines.join('\n').trim());
+      }
+      continue;
+    }
+
+    const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+    const textLines = lines.slice(timingIndex + 1);
+    const content = cueText(textLines);
+    if (content) {
+      cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: content });
+    }
+  }
+
+  return { preamble: preamble.join('\n\n'), cues };
+}
+
+/**
+ * ¿El texto es (o contiene) una transcripción con tiempos?
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isTranscript(text) {
+  return Boolean(text) && TRANSCRIPT_PATTERN.test(text);
+}
+
+/**
+ * Lee un fichero SRT o WebVTT y lo normaliza a WebVTT
+ * @param {Buffer|string} data - Contenido del fichero
+ * @returns {{contenido: string, cues: number, durationSeconds: number}}
+ * @throws {Error} con code TRANSCRIPT_INVALID o TRANSCRIPT_EMPTY
+ */
+function parseTranscript(data) {
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data || '');
+
+  if (!isTranscript(text)) {
+    throw transcriptError('TRANSCRIPT_INVALID', 'El fichero no es un SRT o WebVTT válido');
+  }
+
+  const { cues } = parseCues(text);
+  if (cues.length === 0) {
+    throw transcriptError('TRANSCRIPT_EMPTY', 'La transcripción no contiene texto');
+  }
+
+  const contenido = ['WEBVTT', ...cues.map(cue =>
+    `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`
+  )].join('\n\n');
+
+  return {
+    contenido,
+    cues: cues.length,
+    durationSeconds: Math.ceil(cues[cues.length - 1].end)
+  };
+}
+
+/**
+ * Generador de chunks de una transcripción: agrupa cues enteros hasta maxTokens y
+ * solapa los últimos cues (hasta overlapTokens) con el chunk siguiente
+ * @param {string} text - Texto completo del recurso (preámbulo + WebVTT)
+ * @param {Object} options
+ * @param {number} options.maxTokens
+ * @param {number} options.overlapTokens
+ * @param {Function} options.countTokens - Tokenizador (ver tokenizer.js)
+ * @param {Function} options.splitText - (texto, maxTokens) => string[] para cues demasiado largos
+ * @yields {{content: string, tokens: number, index: number, pageStart: null, pageEnd: null, startSeconds: number, endSeconds: number}}
+ */
+function* transcriptChunkGenerator(text, { maxTokens, overlapTokens, countTokens, splitText }) {
+  const { preamble, cues } = parseCues(text || '');
+  if (cues.length === 0) {
+    return;
+  }
+
+  // Cues más largos que un chunk se parten conservando sus tiempos
+  const units = cues.flatMap(cue => {
+    const tokens = countTokens(cue.text);
+    return tokens <= maxTokens
+      ? [{ ...cue, tokens }]
+      : splitText(cue.text, maxTokens).map(piece => ({ ...cue, text: piece, tokens: countTokens(piece) }));
+  });
+
+  let index = 0;
+  let current = [];
+  let tokens = 0;
+  let overlapCount = 0;
+  // El preámbulo (título, descripción) va al principio del primer chunk
+  let prefix = preamble ? `${preamble}\n\n` : '';
+  let prefixTokens = prefix ? countTokens(prefix) : 0;
+
+  const emit = function* () {
+    const content = prefix + current.map(unit => unit.text).join(' ');
+    yield {
+      content,
+      tokens: countTokens(content),
+      index: index++,
+      pageStart: null,
+      pageEnd: null,
+      startSeconds: Math.floor(current[0].start),
+      endSeconds: Math.ceil(current[current.length - 1].end)
+    };
+    prefix = '';
+    prefixTokens = 0;
+
+    const overlap = [];
+    let overlapSize = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (overlapSize + current[i].tokens + 1 > overlapTokens) break;
+      overlap.unshift(current[i]);
+      overlapSize += current[i].tokens + 1;
+    }
+    current = overlap;
+    tokens = overlapSize;
+    overlapCount = overlap.length;
+  };
+
+  for (const unit of units) {
+    // +1 por el espacio entre cues
+    if (prefixTokens + tokens + unit.tokens + 1 > maxTokens) {
+      if (current.length > overlapCount) {
+        yield* emit();
+      }
+      // Si ni con el solapamiento cabe, el chunk empieza sin él
+      if (tokens + unit.tokens + 1 > maxTokens) {
+        current = [];
+        tokens = 0;
+      }
+      overlapCount = 0;
+    }
+    current.push(unit);
+    tokens += unit.tokens + 1;
+  }
+
+  if (current.length > overlapCount) {
+    yield* emit();
+  }
+}
+
+/**
+ * URL del vídeo que empieza en un segundo concreto (?t=312; Vimeo usa #t=312s)
+ * @param {string} url
+ * @param {number|null} seconds
+ * @returns {string|null}
+ */
+function timestampUrl(url, seconds) {
+  if (!url || seconds === null || seconds === undefined) {
+    return url || null;
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)vimeo\.com$/.test(parsed.hostname)) {
+      parsed.hash = `t=${seconds}s`;
+    } else {
+      parsed.searchParams.set('t', String(seconds));
+    }
+    return parsed.toString();
+  } catch (error) {
+    // URL relativa o no estándar: se devuelve tal cual
+    return url;
+  }
+}
+
+module.exports = {
+  parseTranscript,
+  parseCues,
+  isTranscript,
+  transcriptChunkGenerator,
+  timestampUrl,
+  formatTimestamp
+};
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { fetchArticle } = require('../services/articleSync');
+const { extractArticle } = require('../services/articleExtractor');
+
+// Páginas del centro de ayuda servidas por un servidor HTTP local
+const ARTICLE_PAGE = `<!DOCTYPE html>
+<html>
+<head><title>Cómo conectar GoHighLevel</title></head>
+<body class="has-sidebar">
+  <header><a href="/">Inicio</a></header>
+  <nav><ul><li>Menú principal</li></ul></nav>
+  <div class="breadcrumbs">Ayuda / Integraciones</div>
+  <article>
+    <h1>Cómo conectar GoHighLevel</h1>
+    <p>Entra en <strong>Ajustes</strong> y pulsa Integraciones.</p>
+    <ul><li>Copia la API key</li><li>Pégala en el formulario</li></ul>
+  </article>
+  <aside>Artículos relacionados</aside>
+  <footer>© Growing Inmobiliario</footer>
+</body>
+</html>`;
+
+const NAV_ONLY_PAGE = '<html><body><nav>Menú</nav><footer>Pie</footer></body></html>';
+
+const ROUTES = {
+  '/article': { status: 200, type: 'text/html; charset=utf-8', body: ARTICLE_PAGE },
+  '/moved': { status: 301, location: '/article' },
+  '/json': { status: 200, type: 'application/json', body: '{"ok":true}' },
+  '/empty': { status: 200, type: 'text/html', body: NAV_ONLY_PAGE },
+  '/error': { status: 503, type: 'text/html', body: '<p>Mantenimiento</p>' }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = ROUTES[req.url];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('<p>No encontrada</p>');
+    }
+    res.writeHead(route.status, route.location
+      ? { Location: route.location }
+      : { 'Content-Type': route.type });
+    res.end(route.body || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('extractArticle keeps the article and drops navigation, header, footer and sidebar', () => {
+  const { title, markdown } = extractArticle(ARTICLE_PAGE);
+
+  assert.equal(title, 'Cómo conectar GoHighLevel');
+  assert.match(markdown, /Cómo conectar GoHighLevel/);
+  assert.match(markdown, /Ajustes/);
+  assert.match(markdown, /Copia la API key/);
+  for (const removed of ['Inicio', 'Menú principal', 'Ayuda / Integraciones', 'relacionados', '©']) {
+    assert.ok(!markdown.includes(removed), `"${removed}" should not be in the article`);
+  }
+});
+
+test('fetchArticle downloads the page and returns its status and text', async () => {
+  const article = await fetchArticle(`${baseUrl}/article`);
+
+  assert.equal(article.status, 200);
+  assert.equal(article.title, 'Cómo conectar GoHighLevel');
+  assert.match(article.markdown, /Pégala en el formulario/);
+});
+
+test('fetchArticle follows redirects', async () => {
+  const article = await fetchArticle(`${baseUrl}/moved`);
+  assert.equal(article.status, 200);
+  assert.match(article.markdown, /Integraciones/);
+});
+
+test('fetchArticle returns the same content for an unchanged page', async () => {
+  const first = await fetchArticle(`${baseUrl}/article`);
+  const second = await fetchArticle(`${baseUrl}/article`);
+  assert.equal(first.markdown, second.markdown);
+});
+
+test('fetchArticle keeps the HTTP status of failed pages', async () => {
+  await assert.rejects(fetchArticle(`${baseUrl}/missing`), { code: 'ARTICLE_FETCH_FAILED', status: 404 });
+  await assert.rejects(fetchArticle(`${baseUrl}/error`), { code: 'ARTICLE_FETCH_FAILED', status: 503 });
+});
+
+test('fetchArticle rejects pages that are not HTML or have no text', async () => {
+  await assert.rejects(fetchArticle(`${baseUrl}/json`), { code: 'ARTICLE_NOT_HTML', status: 200 });
+  await assert.rejects(fetchArticle(`${baseUrl}/empty`), { code: 'ARTICLE_EMPTY', status: 200 });
+});
+
+test('fetchArticle reports connection errors without a status', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(fetchArticle(`http://127.0.0.1:${port}/article`), { code: 'ARTICLE_FETCH_FAILED', status: null });
+});
@@ -0,0 +1,128 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Message } = require('../models');
+const { historyConfig, summarizeOlderTurns, buildHistory, HISTORY_DEFAULTS } = require('../services/conversationHistory');
+const { countTokens } = require('../services/tokenizer');
+
+const ENV_KEYS = ['CHAT_HISTORY_MAX_MESSAGES', 'CHAT_HISTORY_MAX_MESSAGES_META_ADS', 'CHAT_HISTORY_MAX_TOKENS', 'CHAT_HISTORY_INCLUDE_IMAGES'];
+const originalFindAll = Message.findAll;
+let savedEnv;
+let findAllOptions;
+
+// Mensajes de la conversación, del más antiguo al más reciente (findAll los devuelve al revés)
+function mockMessages(rows) {
+  const start = Date.parse('2026-01-01T10:00:00Z');
+  const messages = rows.map((row, i) => Message.build({
+    id: `m${i}`,
+    metadata: {},
+    hasImage: false,
+    createdAt: new Date(start + i * 60000),
+    ...row
+  }, { raw: true }));
+
+  Message.findAll = async (options) => {
+    findAllOptions = options;
+    return messages.slice().reverse().slice(0, options.limit);
+  };
+}
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterEach(() => {
+  Message.findAll = originalFindAll;
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('historyConfig uses the defaults and per-category overrides', () => {
+  assert.deepEqual(historyConfig('general'), {
+    maxMessages: HISTORY_DEFAULTS.maxMessages,
+    maxTokens: HISTORY_DEFAULTS.maxTokens,
+    includeImages: false
+  });
+
+  process.env.CHAT_HISTORY_MAX_MESSAGES = '8';
+  process.env.CHAT_HISTORY_MAX_MESSAGES_META_ADS = '3';
+  process.env.CHAT_HISTORY_MAX_TOKENS = 'no-es-un-numero';
+  process.env.CHAT_HISTORY_INCLUDE_IMAGES = 'true';
+
+  assert.equal(historyConfig('comercial').maxMessages, 8);
+  assert.equal(historyConfig('meta-ads').maxMessages, 3);
+  assert.equal(historyConfig('meta-ads').maxTokens, HISTORY_DEFAULTS.maxTokens);
+  assert.equal(historyConfig('meta-ads').includeImages, true);
+});
+
+test('summarizeOlderTurns lists the user questions within the budget, newest kept', () => {
+  const messages = [
+    { sender: 'user', content: 'Primera pregunta' },
+    { sender: 'bot', content: 'Respuesta' },
+    { sender: 'user', content: 'Segunda   pregunta\ncon salto' }
+  ];
+
+  assert.equal(
+    summarizeOlderTurns(messages),
+    'Antes en esta conversación el usuario preguntó:\n- Primera pregunta\n- Segunda pregunta con salto'
+  );
+
+  const header = 'Antes en esta conversación el usuario preguntó:';
+  const budget = countTokens(header) + countTokens('- Segunda pregunta con salto') + 1;
+  assert.equal(summarizeOlderTurns(messages, budget), `${header}\n- Segunda pregunta con salto`);
+  assert.equal(summarizeOlderTurns([{ sender: 'bot', content: 'Hola' }]), null);
+});
+
+test('buildHistory keeps the latest messages in order and skips the error replies', async () => {
+  mockMessages([
+    { sender: 'user', content: 'Hola' },
+    { sender: 'bot', content: 'Lo siento, ha ocurrido un error', metadata: { error: true } },
+    { sender: 'user', content: '¿Cómo conecto GHL?', hasImage: true },
+    { sender: 'admin', content: 'Te ayudo yo', metadata: { adminName: 'Laura' } }
+  ]);
+
+  const result = await buildHistory({ id: 'c1', category: 'general' }, { excludeMessageId: 'm9' });
+
+  assert.deepEqual(result.history.map(m => [m.role, m.label, m.content, m.hasImage]), [
+    ['user', 'Usuario', 'Hola', false],
+    ['user', 'Usuario', '¿Cómo conecto GHL?', true],
+    ['assistant', 'Agente de soporte (Laura)', 'Te ayudo yo', false]
+  ]);
+  assert.equal(result.omittedMessages, 0);
+  assert.equal(result.summary, null);
+  assert.ok(!findAllOptions.attributes.includes('imageData'));
+});
+
+test('buildHistory stops at the token budget and summarizes the older turns', async () => {
+  const long = 'palabra '.repeat(100).trim();
+  mockMessages([
+    { sender: 'user', content: 'Pregunta antigua' },
+    { sender: 'bot', content: long },
+    { sender: 'user', content: 'Pregunta reciente' },
+    { sender: 'bot', content: 'Respuesta corta' }
+  ]);
+  process.env.CHAT_HISTORY_MAX_TOKENS = '40';
+
+  const result = await buildHistory({ id: 'c1', category: 'general' });
+
+  assert.deepEqual(result.history.map(m => m.content), ['Pregunta reciente', 'Respuesta corta']);
+  assert.equal(result.omittedMessages, 2);
+  assert.equal(result.summary, 'Antes en esta conversación el usuario preguntó:\n- Pregunta antigua');
+  assert.equal(result.tokens, countTokens('Pregunta reciente') + countTokens('Respuesta corta') + 2 * HISTORY_DEFAULTS.messageOverheadTokens);
+  assert.ok(result.tokens <= 40);
+});
+
+test('buildHistory caps the window at maxMessages and can be disabled', async () => {
+  mockMessages(Array.from({ length: 6 }, (_, i) => ({ sender: i % 2 ? 'bot' : 'user', content: `m${i}` })));
+  process.env.CHAT_HISTORY_MAX_MESSAGES = '2';
+
+  const result = await buildHistory({ id: 'c1', category: 'general' });
+  assert.deepEqual(result.history.map(m => m.content), ['m4', 'm5']);
+  assert.equal(result.omittedMessages, 4);
+
+  process.env.CHAT_HISTORY_MAX_MESSAGES = '0';
+  Message.findAll = async () => assert.fail('history is disabled');
+  assert.deepEqual(await buildHistory({ id: 'c1', category: 'general' }), { history: [], summary: null, omittedMessages: 0, tokens: 0 });
+});
@@ -0,0 +1,88 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateEmbeddingsBatch,
+  retryAfterMs,
+  getRateLimitDelayMs,
+  EMBEDDING_BATCH_CONFIG
+} = require('../services/embeddingService');
+
+const originalBatchConfig = { ...EMBEDDING_BATCH_CONFIG };
+
+// Proveedor falso: guarda cada llamada y devuelve un vector por texto
+function fakeProvider(failures = []) {
+  const calls = [];
+  return {
+    calls,
+    model: 'fake',
+    dimensions: 1,
+    async embed(texts) {
+      calls.push(texts);
+      const failure = failures.shift();
+      if (failure) throw failure;
+      return texts.map(text => [text.length]);
+    }
+  };
+}
+
+function apiError(status, { code = null, headers = {} } = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.code = code;
+  error.headers = headers;
+  return error;
+}
+
+afterEach(() => Object.assign(EMBEDDING_BATCH_CONFIG, originalBatchConfig));
+
+test('retryAfterMs reads retry-after-ms and retry-after (seconds or date)', () => {
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after-ms': '250' } })), 250);
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after': '2' } })), 2000);
+  assert.equal(retryAfterMs(apiError(429, { headers: new Headers({ 'retry-after': '1.5' }) })), 1500);
+
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  const fromDate = retryAfterMs(apiError(429, { headers: { 'retry-after': inFiveSeconds } }));
+  assert.ok(fromDate > 3000 && fromDate <= 5000);
+
+  assert.equal(retryAfterMs(apiError(429, { headers: { 'retry-after': 'mañana' } })), null);
+  assert.equal(retryAfterMs(new Error('sin cabeceras')), null);
+});
+
+test('generateEmbeddingsBatch splits batches by number of inputs', async () => {
+  EMBEDDING_BATCH_CONFIG.maxInputs = 2;
+  const provider = fakeProvider();
+
+  const embeddings = await generateEmbeddingsBatch(['uno', '  ', 'dos', 'tres', null, 'cuatro', 'cinco'], provider);
+
+  assert.deepEqual(provider.calls, [['uno', 'dos'], ['tres', 'cuatro'], ['cinco']]);
+  assert.deepEqual(embeddings, [[3], [3], [4], [6], [5]]);
+});
+
+test('generateEmbeddingsBatch splits batches by token budget', async () => {
+  // Un texto que ya no cabe abre un lote nuevo; uno solo más largo que el presupuesto va en su propio lote
+  EMBEDDING_BATCH_CONFIG.maxTokens = 1;
+  const provider = fakeProvider();
+
+  await generateEmbeddingsBatch(['primer texto', 'segundo texto', 'tercero'], provider);
+
+  assert.deepEqual(provider.calls, [['primer texto'], ['segundo texto'], ['tercero']]);
+});
+
+test('generateEmbeddingsBatch does not retry when the quota is exhausted', async () => {
+  const provider = fakeProvider([apiError(429, { code: 'insufficient_quota' })]);
+
+  await assert.rejects(generateEmbeddingsBatch(['uno'], provider), { code: 'insufficient_quota' });
+  assert.equal(provider.calls.length, 1);
+  assert.equal(getRateLimitDelayMs(), 0);
+});
+
+test('generateEmbeddingsBatch retries rate limited batches', async () => {
+  const provider = fakeProvider([apiError(429, { headers: { 'retry-after-ms': '10' } })]);
+
+  const embeddings = await generateEmbeddingsBatch(['uno', 'dos'], provider);
+
+  assert.deepEqual(embeddings, [[3], [3]]);
+  assert.deepEqual(provider.calls, [['uno', 'dos'], ['uno', 'dos']]);
+  // Tras la llamada correcta la espera se reduce a la mitad del mínimo de 1s
+  assert.equal(getRateLimitDelayMs(), 500);
+});
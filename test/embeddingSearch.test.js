@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../models');
+const { searchSimilarChunks, searchResources } = require('../services/embeddingService');
+
+const originalQuery = sequelize.query;
+const EMBEDDING = [0.1, 0.2, 0.3];
+let queries;
+let rows;
+
+// Fila de la consulta de búsqueda (chunk + columnas del recurso)
+function chunkRow(recursoId, id, score, extra = {}) {
+  return {
+    recursoId,
+    chunk_id: id,
+    chunkIndex: 0,
+    chunk_contenido: `texto ${id}`,
+    score,
+    similarity: score,
+    tipo: 'articulo',
+    titulo: `Recurso ${recursoId}`,
+    url: `https://example.com/${recursoId}`,
+    categoria: 'general',
+    ...extra
+  };
+}
+
+beforeEach(() => {
+  queries = [];
+  rows = [];
+  sequelize.query = async (sql, options) => {
+    queries.push({ sql, replacements: options.replacements });
+    return rows;
+  };
+});
+
+afterEach(() => {
+  sequelize.query = originalQuery;
+});
+
+test('hybrid search fuses the vector and keyword rankings with RRF', async () => {
+  rows = [{ chunk_id: 'a', score: 0.03 }];
+
+  const results = await searchSimilarChunks(EMBEDDING, 5, { mode: 'hybrid', queryText: 'conectar ghl', embeddingModel: 'text-embedding-3-small' });
+
+  assert.deepEqual(results, rows);
+  const [{ sql, replacements }] = queries;
+  assert.match(sql, /FULL OUTER JOIN keyword_ranked/);
+  assert.match(sql, /1\.0 \/ \(:rrfK \+ v\.rank\)/);
+  assert.match(sql, /plainto_tsquery\('spanish', :queryText\)/);
+  assert.equal(replacements.rrfK, 60);
+  assert.equal(replacements.embedding, '[0.1,0.2,0.3]');
+  assert.equal(replacements.queryText, 'conectar ghl');
+  assert.equal(replacements.limit, 5);
+  // Cada ranking aporta más candidatos que el límite para que la fusión tenga margen
+  assert.ok(replacements.candidates >= 50);
+});
+
+test('keyword search ranks with the Spanish full text index and needs no embedding', async () => {
+  await searchSimilarChunks(null, 3, { mode: 'keyword', queryText: 'facturación' });
+
+  const [{ sql, replacements }] = queries;
+  assert.match(sql, /ts_rank_cd\(to_tsvector\('spanish', c\.contenido\), q\.query\)/);
+  assert.doesNotMatch(sql, /<=>/);
+  assert.equal(replacements.embedding, null);
+  assert.equal(replacements.limit, 3);
+});
+
+test('vector search orders by cosine distance', async () => {
+  await searchSimilarChunks(EMBEDDING, 4, { embeddingModel: 'text-embedding-3-small' });
+
+  const [{ sql }] = queries;
+  assert.match(sql, /ORDER BY c\.embedding <=> :embedding::vector/);
+  assert.doesNotMatch(sql, /to_tsvector/);
+});
+
+test('invalid modes and missing inputs are rejected before querying', async () => {
+  await assert.rejects(searchSimilarChunks(EMBEDDING, 5, { mode: 'fuzzy' }), /Invalid search mode: fuzzy/);
+  await assert.rejects(searchSimilarChunks(EMBEDDING, 5, { mode: 'hybrid' }), /Query text is required for hybrid search/);
+  await assert.rejects(searchSimilarChunks(null, 5, { mode: 'vector' }), /Query embedding is required for vector search/);
+  assert.equal(queries.length, 0);
+});
+
+test('filters restrict by category (plus general), type and resources', async () => {
+  await searchSimilarChunks(EMBEDDING, 5, {
+    embeddingModel: 'text-embedding-3-small',
+    filters: { categoria: 'meta-ads', tipo: 'video', recursoIds: ['r1', 'r2'] }
+  });
+
+  const [{ sql, replacements }] = queries;
+  assert.match(sql, /r\.categoria IN \(:categoria, 'general'\)/);
+  assert.match(sql, /r\.tipo = :tipo/);
+  assert.match(sql, /c\."recursoId" IN \(:recursoIds\)/);
+  assert.match(sql, /r\.activo = true/);
+  assert.equal(replacements.categoria, 'meta-ads');
+  assert.equal(replacements.tipo, 'video');
+  assert.deepEqual(replacements.recursoIds, ['r1', 'r2']);
+});
+
+test('the general category does not filter', async () => {
+  await searchSimilarChunks(null, 5, { mode: 'keyword', queryText: 'hola', filters: { categoria: 'general', recursoIds: [] } });
+
+  const [{ sql, replacements }] = queries;
+  assert.doesNotMatch(sql, /:categoria/);
+  assert.doesNotMatch(sql, /:recursoIds/);
+  assert.equal(replacements.categoria, undefined);
+});
+
+test('searchResources groups the best chunks of each resource', async () => {
+  rows = [
+    chunkRow('r1', 'c1', 0.9),
+    chunkRow('r1', 'c2', 0.7),
+    chunkRow('r2', 'c3', 0.8)
+  ];
+
+  const resources = await searchResources(EMBEDDING, { limit: 2, chunksPerResource: 2, embeddingModel: 'text-embedding-3-small' });
+
+  const [{ sql, replacements }] = queries;
+  assert.match(sql, /PARTITION BY c\."recursoId"/);
+  assert.equal(replacements.limit, 2);
+  assert.equal(replacements.chunksPerResource, 2);
+
+  assert.deepEqual(resources.map(r => [r.id, r.chunks.map(c => c.id)]), [['r1', ['c1', 'c2']], ['r2', ['c3']]]);
+  assert.equal(resources[0].similarity, 0.9);
+  assert.equal(resources[0].contenido, 'texto c1');
+});
+
+test('video results link to the second of their best chunk', async () => {
+  rows = [
+    chunkRow('r1', 'c1', 0.9, { tipo: 'video', url: 'https://www.youtube.com/watch?v=x', startSeconds: 312, endSeconds: 340 }),
+    chunkRow('r1', 'c2', 0.7, { tipo: 'video', url: 'https://www.youtube.com/watch?v=x', startSeconds: 15, endSeconds: 40 })
+  ];
+
+  const [resource] = await searchResources(EMBEDDING, { embeddingModel: 'text-embedding-3-small' });
+
+  assert.equal(resource.url, 'https://www.youtube.com/watch?v=x&t=312');
+  assert.equal(resource.sourceUrl, 'https://www.youtube.com/watch?v=x');
+  assert.equal(resource.startSeconds, 312);
+  assert.deepEqual(resource.chunks.map(c => c.url), [
+    'https://www.youtube.com/watch?v=x&t=312',
+    'https://www.youtube.com/watch?v=x&t=15'
+  ]);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { parseBundle, recordLine } = require('../services/knowledgeBundle');
+
+const HEADER = { type: 'header', format: 'growing-kb', version: 1, embeddingModel: 'text-embedding-3-small' };
+const RECORD = { externalKey: 'kb:guia-ghl', tipo: 'articulo', titulo: 'Guía GHL', contenido: 'Texto' };
+
+const jsonl = lines => Buffer.from(lines.join('\n'));
+
+test('parseBundle reads a JSONL bundle with its header', () => {
+  const { format, header, records } = parseBundle(jsonl([JSON.stringify(HEADER), JSON.stringify(RECORD), '']));
+
+  assert.equal(format, 'jsonl');
+  assert.deepEqual(header, HEADER);
+  assert.deepEqual(records, [{ line: 2, record: RECORD }]);
+});
+
+test('parseBundle keeps invalid lines as errors with their line number', () => {
+  const { records } = parseBundle(jsonl([JSON.stringify(RECORD), '{roto', JSON.stringify({ ...RECORD, externalKey: 'kb:otro' })]));
+
+  assert.equal(records.length, 3);
+  assert.equal(records[1].line, 2);
+  assert.equal(records[1].record, null);
+  assert.match(records[1].error, /JSON no válido/);
+  assert.equal(records[2].record.externalKey, 'kb:otro');
+});
+
+test('recordLine and parseBundle round-trip files as base64', () => {
+  const file = { name: 'guia.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4 contenido') };
+  const line = recordLine({ ...RECORD, tipo: 'pdf', file });
+
+  assert.equal(JSON.parse(line).file.data, file.data.toString('base64'));
+  const [{ record }] = parseBundle(jsonl([line])).records;
+  assert.deepEqual(record.file, file);
+});
+
+test('parseBundle reads ZIP bundles with the manifest and the files folder', () => {
+  const zip = new AdmZip();
+  const pdf = Buffer.from('%PDF-1.4 zip');
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(HEADER)));
+  zip.addFile('files/kb_guia/guia.pdf', pdf);
+  zip.addFile('recursos.jsonl', jsonl([
+    JSON.stringify({ ...RECORD, tipo: 'pdf', file: { name: 'guia.pdf', mimeType: 'application/pdf', path: 'files/kb_guia/guia.pdf' } })
+  ]));
+
+  const { format, header, records } = parseBundle(zip.toBuffer());
+
+  assert.equal(format, 'zip');
+  assert.equal(header.embeddingModel, 'text-embedding-3-small');
+  assert.deepEqual(records[0].record.file.data, pdf);
+});
+
+test('parseBundle rejects unknown formats and bundles without records', () => {
+  assert.throws(() => parseBundle(jsonl([JSON.stringify({ ...HEADER, format: 'otro' }), JSON.stringify(RECORD)])), { code: 'BUNDLE_INVALID' });
+  assert.throws(() => parseBundle(jsonl([JSON.stringify(HEADER)])), { code: 'BUNDLE_INVALID' });
+  assert.throws(() => parseBundle(Buffer.from('')), { code: 'BUNDLE_INVALID' });
+
+  const zip = new AdmZip();
+  zip.addFile('otro.txt', Buffer.from('x'));
+  assert.throws(() => parseBundle(zip.toBuffer()), { code: 'BUNDLE_INVALID', message: /recursos\.jsonl/ });
+});
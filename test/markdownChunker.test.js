@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocumentGenerator } = require('../services/embeddingService');
+const { htmlToMarkdown, HEADING_SEPARATOR } = require('../services/markdownChunker');
+
+const ARTICLE = `# Guía GoHighLevel
+
+Intro corta.
+
+## Conectar
+
+- Paso uno
+- Paso dos
+
+| Campo | Valor |
+|---|---|
+| API key | copiar |
+
+## Código
+
+\`\`\`
+const x = 1;
+
+
+const y = 2;
+\`\`\`
+`;
+
+const chunksOf = (text, maxTokens) => [...chunkDocumentGenerator(text, 'articulo', maxTokens)];
+
+test('articles are chunked by section with the heading path as prefix', () => {
+  const chunks = chunksOf(ARTICLE, 60);
+
+  assert.deepEqual(chunks.map(c => c.headingPath), [
+    'Guía GoHighLevel',
+    `Guía GoHighLevel${HEADING_SEPARATOR}Conectar`,
+    `Guía GoHighLevel${HEADING_SEPARATOR}Código`
+  ]);
+  assert.deepEqual(chunks.map(c => c.index), [0, 1, 2]);
+  for (const chunk of chunks) {
+    assert.ok(chunk.content.startsWith(chunk.headingPath));
+  }
+});
+
+test('lists, tables and code blocks are kept whole', () => {
+  const [, list, code] = chunksOf(ARTICLE, 60);
+
+  assert.match(list.content, /- Paso uno\n- Paso dos/);
+  assert.match(list.content, /\| API key \| copiar \|/);
+  assert.match(code.content, /```\nconst x = 1;\n\n\nconst y = 2;\n```/);
+});
+
+test('sections longer than the budget are split and keep their heading', () => {
+  const text = `# Largo\n\n${'Frase de relleno para el párrafo. '.repeat(120)}`;
+  const chunks = chunksOf(text, 100);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.equal(chunk.headingPath, 'Largo');
+    assert.ok(chunk.content.startsWith('Largo\n\n'));
+  }
+});
+
+test('HTML articles are converted to Markdown before chunking', () => {
+  assert.equal(
+    htmlToMarkdown('<h2>Título</h2><p>Hola &amp; adiós</p><ul><li>a</li><li>b</li></ul>').replace(/\n{3,}/g, '\n\n').trim(),
+    '## Título\n\nHola & adiós\n\n- a\n- b'
+  );
+
+  const [chunk] = chunksOf('<h1>T</h1><p>Hola &amp; adiós</p><ul><li>a</li><li>b</li></ul>', 500);
+  assert.equal(chunk.headingPath, 'T');
+  assert.equal(chunk.content, 'T\n\nHola & adiós\n\n- a\n- b');
+});
+
+test('other resource types keep the plain text chunker', () => {
+  const [chunk] = [...chunkDocumentGenerator('# No es un encabezado\n\ntexto', 'pdf')];
+  assert.equal(chunk.headingPath, undefined);
+  assert.equal(chunk.content, '# No es un encabezado texto');
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { countTokens, truncateToTokens, charsPerToken } = require('../services/tokenizer');
+
+test('countTokens counts cl100k_base tokens and handles empty text', () => {
+  assert.equal(countTokens(''), 0);
+  assert.equal(countTokens(null), 0);
+  assert.equal(countTokens('hello world'), 2);
+});
+
+test('special tokens are counted as plain text instead of throwing', () => {
+  const text = 'hola <|endoftext|> x <|fim_prefix|>';
+  assert.ok(countTokens(text) > 4);
+
+  const { text: truncated, truncated: wasTruncated } = truncateToTokens(text, 1000);
+  assert.equal(truncated, text);
+  assert.equal(wasTruncated, false);
+});
+
+test('truncateToTokens cuts to the token budget', () => {
+  const text = 'palabra '.repeat(200);
+  const result = truncateToTokens(text, 50);
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.tokens, 50);
+  assert.equal(countTokens(result.text), 50);
+  assert.ok(text.startsWith(result.text));
+});
+
+test('truncateToTokens keeps texts that fit', () => {
+  assert.deepEqual(truncateToTokens('corto', 10), { text: 'corto', tokens: countTokens('corto'), truncated: false });
+});
+
+test('charsPerToken measures the text and falls back to 4 for empty text', () => {
+  assert.equal(charsPerToken(''), 4);
+  const ratio = charsPerToken('El asistente responde en español con pasos concretos. '.repeat(20));
+  assert.ok(ratio > 2 && ratio < 8);
+});
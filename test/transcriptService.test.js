@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseTranscript,
+  parseCues,
+  isTranscript,
+  transcriptChunkGenerator,
+  timestampUrl,
+  formatTimestamp
+} = require('../services/transcriptService');
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,500
+Hola y <i>bienvenidos</i>.
+
+2
+00:00:05,000 --> 00:00:09,250
+Hoy vemos cómo conectar GoHighLevel.
+`;
+
+const VTT = `WEBVTT
+
+NOTE comentario que no se indexa
+
+00:01.000 --> 00:04.500
+<v Ana>Hola y bienvenidos.
+
+01:02:03.000 --> 01:02:05.400
+Último cue &amp; cierre.
+`;
+
+test('parseTranscript normalizes SRT to WebVTT', () => {
+  const result = parseTranscript(Buffer.from(SRT));
+
+  assert.equal(result.cues, 2);
+  assert.equal(result.durationSeconds, 10);
+  assert.equal(result.contenido, [
+    'WEBVTT',
+    '00:00:01.000 --> 00:00:04.500\nHola y bienvenidos.',
+    '00:00:05.000 --> 00:00:09.250\nHoy vemos cómo conectar GoHighLevel.'
+  ].join('\n\n'));
+});
+
+test('parseCues reads WebVTT without headers, notes or voice tags', () => {
+  const { preamble, cues } = parseCues(VTT);
+
+  assert.equal(preamble, '');
+  assert.deepEqual(cues, [
+    { start: 1, end: 4.5, text: 'Hola y bienvenidos.' },
+    { start: 3723, end: 3725.4, text: 'Último cue & cierre.' }
+  ]);
+});
+
+test('parseCues keeps the text before the first cue as preamble', () => {
+  const { preamble, cues } = parseCues(`Webinar de onboarding\n\n${SRT}`);
+  assert.equal(preamble, 'Webinar de onboarding');
+  assert.equal(cues.length, 2);
+});
+
+test('parseTranscript rejects files that are not transcripts or have no text', () => {
+  assert.equal(isTranscript('texto normal'), false);
+  assert.throws(() => parseTranscript('texto normal'), { code: 'TRANSCRIPT_INVALID' });
+  assert.throws(() => parseTranscript('WEBVTT\n\n00:01.000 --> 00:02.000\n<i></i>\n'), { code: 'TRANSCRIPT_EMPTY' });
+});
+
+test('transcriptChunkGenerator groups whole cues and keeps their times', () => {
+  // Un "token" por palabra para que el troceo sea predecible
+  const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+  const splitText = (text, max) => {
+    const words = text.split(' ');
+    const pieces = [];
+    for (let i = 0; i < words.length; i += max) pieces.push(words.slice(i, i + max).join(' '));
+    return pieces;
+  };
+  const cues = Array.from({ length: 6 }, (_, i) =>
+    `${formatTimestamp(i * 10)} --> ${formatTimestamp(i * 10 + 9.5)}\nuno dos tres cue${i}`
+  );
+  const text = `Título\n\nWEBVTT\n\n${cues.join('\n\n')}`;
+
+  const chunks = [...transcriptChunkGenerator(text, { maxTokens: 12, overlapTokens: 5, countTokens, splitText })];
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks[0].content.startsWith('Título\n\n'));
+  assert.equal(chunks[0].startSeconds, 0);
+  assert.equal(chunks[chunks.length - 1].endSeconds, 60);
+  chunks.forEach((chunk, i) => {
+    assert.equal(chunk.index, i);
+    assert.ok(chunk.tokens <= 12);
+    assert.equal(chunk.pageStart, null);
+  });
+  // El último cue de un chunk se repite al principio del siguiente
+  const lastCue = chunks[0].content.match(/cue\d/g).pop();
+  assert.match(chunks[1].content, new RegExp(`^uno dos tres ${lastCue}`));
+});
+
+test('timestampUrl links to the second the chunk starts', () => {
+  assert.equal(timestampUrl('https://www.youtube.com/watch?v=abc', 312), 'https://www.youtube.com/watch?v=abc&t=312');
+  assert.equal(timestampUrl('https://vimeo.com/123', 312), 'https://vimeo.com/123#t=312s');
+  assert.equal(timestampUrl('https://example.com/v.mp4', null), 'https://example.com/v.mp4');
+  assert.equal(timestampUrl('/videos/v.mp4', 5), '/videos/v.mp4');
+  assert.equal(timestampUrl(null, 5), null);
+});
+
+test('formatTimestamp writes WebVTT times', () => {
+  assert.equal(formatTimestamp(0), '00:00:00.000');
+  assert.equal(formatTimestamp(3723.4), '01:02:03.400');
+});